@@ -14,6 +14,7 @@ import {PowerManagerIndicator} from './lib/quickSettingsPanel.js';
 import * as Helper from './lib/helper.js';
 import * as ProfileMatcher from './lib/profileMatcher.js';
 import {UIPatcher} from './lib/uiPatcher.js';
+import {ExplainService} from './lib/explainService.js';
 
 export default class HaraHachiBuExtension extends Extension {
     enable() {
@@ -38,6 +39,7 @@ export default class HaraHachiBuExtension extends Extension {
         }
         this._powerManager = null;
         this._uiPatcher = null;
+        this._explainService = null;
 
         ProfileMatcher.runMigrations(this._settings);
         this._initializePowerManager();
@@ -59,13 +61,14 @@ export default class HaraHachiBuExtension extends Extension {
             await this._stateManager.initialize();
             if (this._destroyed) return;
 
-            this._powerManager = new PowerManagerIndicator(this._settings, this, this._stateManager);
-            if (this._destroyed) return;
+            this._explainService = new ExplainService(this._stateManager);
 
-            this._uiPatcher = new UIPatcher();
+            // The Quick Settings UI is only shown in the user session; on the
+            // lock screen the extension keeps running so screen-lock rules apply.
+            if (!Main.sessionMode.isLocked)
+                this._createUI();
 
-            if (this._settings.get_boolean('hide-builtin-power-profile'))
-                this._uiPatcher.hideBuiltinPowerProfile();
+            Main.sessionMode.connectObject('updated', () => this._onSessionModeUpdated(), this);
 
             this._settings.connectObject(
                 'changed::hide-builtin-power-profile',
@@ -90,6 +93,8 @@ export default class HaraHachiBuExtension extends Extension {
             this._powerController = null;
             this._batteryController?.destroy();
             this._batteryController = null;
+            this._explainService?.destroy();
+            this._explainService = null;
             this._stateManager?.destroy();
             this._stateManager = null;
 
@@ -105,14 +110,37 @@ export default class HaraHachiBuExtension extends Extension {
         }
     }
 
-    _destroyPowerManager() {
-        if (this._settings) this._settings.disconnectObject(this);
+    _createUI() {
+        this._powerManager = new PowerManagerIndicator(this._settings, this, this._stateManager);
+        this._uiPatcher = new UIPatcher();
 
+        if (this._settings.get_boolean('hide-builtin-power-profile'))
+            this._uiPatcher.hideBuiltinPowerProfile();
+    }
+
+    _destroyUI() {
         this._uiPatcher?.destroy();
         this._uiPatcher = null;
 
         this._powerManager?.destroy();
         this._powerManager = null;
+    }
+
+    _onSessionModeUpdated() {
+        if (Main.sessionMode.isLocked)
+            this._destroyUI();
+        else if (!this._powerManager)
+            this._createUI();
+    }
+
+    _destroyPowerManager() {
+        if (this._settings) this._settings.disconnectObject(this);
+        Main.sessionMode.disconnectObject(this);
+
+        this._destroyUI();
+
+        this._explainService?.destroy();
+        this._explainService = null;
 
         this._stateManager?.destroy();
         this._stateManager = null;
@@ -124,6 +152,10 @@ export default class HaraHachiBuExtension extends Extension {
         this._powerController = null;
     }
 
+    // The extension declares the unlock-dialog session mode so that scenarios
+    // with screen-lock rules (e.g. Power Saver while locked) are applied while
+    // the screen is locked. Its Quick Settings UI is removed while locked, and
+    // everything is torn down here when the extension is disabled.
     disable() {
         this._destroyed = true;
 
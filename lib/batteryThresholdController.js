@@ -16,6 +16,8 @@ const {readFileAsync, readFileIntAsync, debugError, debugWarn} = Helper;
 const AUTO_DISCHARGE_HYSTERESIS = 1; // % buffer to prevent rapid toggling
 const AUTO_DISCHARGE_STOP_MARGIN = 5; // % below end threshold to stop on end-only devices
 const UPOWER_PROXY_TIMEOUT_MS = 5000;
+const DRAIN_RATE_WINDOW_SECONDS = 600; // Sliding window for the battery drain rate
+const DRAIN_RATE_MIN_SPAN_SECONDS = 300; // Samples must span this long before a rate is reported
 
 export const BatteryThresholdController = GObject.registerClass(
     {
@@ -36,6 +38,8 @@ export const BatteryThresholdController = GObject.registerClass(
             this._batteryLevel = null;
             this._batteryState = 0;
             this._sysfsStatus = null; // Cached sysfs status
+            this._drainSamples = []; // {time, charge} with charge in % of full, oldest first
+            this._batteryDrainRate = null; // %/hour while discharging, 0 otherwise; null until enough samples
             this._onBattery = false;
             this._proxy = null;
             this._upowerProxy = null;
@@ -149,6 +153,8 @@ export const BatteryThresholdController = GObject.registerClass(
             <property name="State" type="u" access="read"/>
             <property name="TimeToEmpty" type="x" access="read"/>
             <property name="TimeToFull" type="x" access="read"/>
+            <property name="Energy" type="d" access="read"/>
+            <property name="EnergyFull" type="d" access="read"/>
           </interface>
         </node>`;
 
@@ -233,6 +239,7 @@ export const BatteryThresholdController = GObject.registerClass(
                         } else {
                             this._batteryState = this._proxy.State;
                             this._batteryLevel = this._proxy.Percentage;
+                            this._updateDrainRate();
 
                             this._proxy.connectObject(
                                 'g-properties-changed',
@@ -268,6 +275,11 @@ export const BatteryThresholdController = GObject.registerClass(
                                         }
                                     }
 
+                                    // Energy updates between whole-percent changes refine the drain rate
+                                    if ('Energy' in changedProps || statusChanged) {
+                                        if (this._updateDrainRate()) statusChanged = true;
+                                    }
+
                                     if (statusChanged) this.emit('battery-status-changed');
                                 },
                                 this
@@ -325,6 +337,7 @@ export const BatteryThresholdController = GObject.registerClass(
                 if (this._destroyed) return;
                 if (status && status !== this._sysfsStatus) {
                     this._sysfsStatus = status;
+                    this._updateDrainRate();
                     this.emit('battery-status-changed');
                 }
             } catch (e) {
@@ -366,6 +379,51 @@ export const BatteryThresholdController = GObject.registerClass(
             return this._batteryLevel ?? 0;
         }
 
+        /**
+         * Battery drain rate in % of capacity per hour, averaged over a sliding window.
+         * 0 while not discharging; null until the samples span long enough.
+         */
+        get batteryDrainRate() {
+            return this._batteryDrainRate;
+        }
+
+        /**
+         * Record a charge sample and recompute the drain rate.
+         * Returns true if the rate changed.
+         */
+        _updateDrainRate() {
+            let rate = 0;
+            if (this.getBatteryStatus() !== 'Discharging') {
+                this._drainSamples = [];
+            } else {
+                // Energy gives a finer reading than the whole-percent level where UPower reports it
+                const energyFull = this._proxy?.EnergyFull ?? 0;
+                const charge = energyFull > 0 ? (100 * this._proxy.Energy) / energyFull : this.batteryLevel;
+                // Wall-clock time, as the monotonic clock stops while suspended. A gap longer than
+                // the window (suspend, or a clock change) leaves nothing to compare against.
+                const now = GLib.get_real_time() / 1e6;
+                const last = this._drainSamples.at(-1);
+                if (last && (now < last.time || now - last.time > DRAIN_RATE_WINDOW_SECONDS)) this._drainSamples = [];
+                this._drainSamples.push({time: now, charge});
+
+                // Keep the newest sample at or before the window start as the baseline
+                const windowStart = now - DRAIN_RATE_WINDOW_SECONDS;
+                while (this._drainSamples.length > 1 && this._drainSamples[1].time <= windowStart)
+                    this._drainSamples.shift();
+
+                const base = this._drainSamples[0];
+                const span = now - base.time;
+                rate =
+                    span >= DRAIN_RATE_MIN_SPAN_SECONDS
+                        ? Math.max(0, Math.round(((base.charge - charge) * 3600) / span))
+                        : null;
+            }
+
+            if (rate === this._batteryDrainRate) return false;
+            this._batteryDrainRate = rate;
+            return true;
+        }
+
         get batteryHealth() {
             if (this._device) return this._device.getHealth();
 
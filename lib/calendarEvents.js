@@ -0,0 +1,500 @@
+/*
+ * Hara Hachi Bu - GNOME Shell Extension
+ * Copyright (C) 2024-2026 zvi
+ * SPDX-License-Identifier: GPL-3.0-or-later
+ *
+ * CalendarEvents parses local iCalendar (.ics) files and expands their events,
+ * including recurring ones, into occurrences for calendar-based schedules.
+ * Supports DAILY/WEEKLY/MONTHLY/YEARLY rules with INTERVAL, COUNT, UNTIL,
+ * BYDAY, BYMONTHDAY and BYMONTH, plus EXDATE and moved instances (RECURRENCE-ID).
+ * Importable from both extension (GNOME Shell) and prefs (GTK4) contexts.
+ */
+'use strict';
+
+import GLib from 'gi://GLib';
+
+const DAY_MS = 86400000;
+
+// Upper bound on recurrence periods scanned per event and call, for rules that
+// never produce an instance (e.g. February 30th)
+const MAX_RECURRENCE_PERIODS = 10000;
+
+const WEEKDAYS = ['MO', 'TU', 'WE', 'TH', 'FR', 'SA', 'SU'];
+const FREQUENCIES = ['DAILY', 'WEEKLY', 'MONTHLY', 'YEARLY'];
+
+/**
+ * Parse the text of an .ics file into a list of events:
+ * {uid, summary, start, end, duration, allDay, rrule, exdates, recurrenceId}.
+ * Date-times are kept as parsed, so floating (local) times are only resolved
+ * when occurrences are computed. Timed events with a DTEND have an end instead
+ * of a duration. Cancelled events and events without a valid DTSTART are
+ * skipped; unknown properties and components are ignored.
+ */
+export function parseCalendar(text) {
+    if (typeof text !== 'string') return [];
+
+    const events = [];
+    const components = [];
+    let event = null;
+
+    for (const line of _unfoldLines(text)) {
+        const property = _parseProperty(line);
+        if (!property) continue;
+
+        if (property.name === 'BEGIN') {
+            components.push(property.value.toUpperCase());
+            if (property.value.toUpperCase() === 'VEVENT' && components.length <= 2) event = {exdates: []};
+            continue;
+        }
+        if (property.name === 'END') {
+            const component = components.pop();
+            if (component === 'VEVENT' && event) {
+                const finished = _finishEvent(event);
+                if (finished) events.push(finished);
+                event = null;
+            }
+            continue;
+        }
+
+        // Only properties of the VEVENT itself, not of nested components such as VALARM
+        if (!event || components[components.length - 1] !== 'VEVENT') continue;
+        _applyEventProperty(event, property);
+    }
+
+    return events;
+}
+
+/**
+ * Whether an event summary matches a pattern: case-insensitive, matching anywhere
+ * in the summary, with "*" matching any text. An empty pattern matches every event.
+ */
+export function matchesSummary(summary, pattern) {
+    if (!pattern) return true;
+
+    const source = pattern
+        .split('*')
+        .map((part) => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+        .join('.*');
+    return new RegExp(source, 'i').test(summary ?? '');
+}
+
+/**
+ * Get the occurrences of events overlapping [rangeStart, rangeEnd) (timestamps in ms),
+ * optionally only events whose summary matches a pattern. Floating times are
+ * in timeZone (a GLib.TimeZone), by default the current local time zone.
+ * Returns [{summary, start, end}] sorted by start.
+ */
+export function getOccurrences(events, rangeStart, rangeEnd, summaryPattern = '', timeZone = null) {
+    const zone = timeZone ?? GLib.TimeZone.new_local();
+    const occurrences = [];
+
+    // Moved or edited instances replace the original instance of a recurring event
+    const overridden = new Set();
+    for (const event of events) {
+        if (event.recurrenceId !== null) overridden.add(`${event.uid}@${_toTimestamp(event.recurrenceId, zone)}`);
+    }
+
+    for (const event of events) {
+        if (!matchesSummary(event.summary, summaryPattern)) continue;
+
+        const exdates = new Set(event.exdates.map((exdate) => _toTimestamp(exdate, zone)));
+        for (const start of _getEventStarts(event, rangeStart, rangeEnd, zone)) {
+            const startTime = _toTimestamp(start, zone);
+            if (event.recurrenceId === null && event.rrule && overridden.has(`${event.uid}@${startTime}`)) continue;
+            if (exdates.has(startTime)) continue;
+
+            const endTime = _getEndTimestamp(event, start, zone);
+            if (startTime < rangeEnd && endTime > rangeStart)
+                occurrences.push({summary: event.summary, start: startTime, end: endTime});
+        }
+    }
+
+    return occurrences.sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Join folded lines (continuations start with a space or tab).
+ */
+function _unfoldLines(text) {
+    return text
+        .replace(/\r\n/g, '\n')
+        .replace(/\n[ \t]/g, '')
+        .split('\n');
+}
+
+/**
+ * Split a content line into {name, params, value}. Parameter values may be quoted.
+ */
+function _parseProperty(line) {
+    let inQuotes = false;
+    let colon = -1;
+    for (let i = 0; i < line.length; i++) {
+        if (line[i] === '"') inQuotes = !inQuotes;
+        else if (line[i] === ':' && !inQuotes) {
+            colon = i;
+            break;
+        }
+    }
+    if (colon <= 0) return null;
+
+    const [name, ...paramParts] = line.slice(0, colon).split(';');
+    const params = {};
+    for (const part of paramParts) {
+        const eq = part.indexOf('=');
+        if (eq > 0) params[part.slice(0, eq).toUpperCase()] = part.slice(eq + 1).replace(/^"|"$/g, '');
+    }
+
+    return {name: name.toUpperCase(), params, value: line.slice(colon + 1)};
+}
+
+function _applyEventProperty(event, {name, params, value}) {
+    switch (name) {
+        case 'UID':
+            event.uid = value;
+            break;
+        case 'SUMMARY':
+            event.summary = _unescapeText(value);
+            break;
+        case 'STATUS':
+            event.cancelled = value.toUpperCase() === 'CANCELLED';
+            break;
+        case 'DTSTART':
+            event.start = _parseDateTime(value, params);
+            break;
+        case 'DTEND':
+            event.end = _parseDateTime(value, params);
+            break;
+        case 'DURATION':
+            event.duration = _parseDuration(value);
+            break;
+        case 'RRULE':
+            event.rrule = _parseRecurrenceRule(value);
+            break;
+        case 'EXDATE':
+            for (const part of value.split(',')) {
+                const exdate = _parseDateTime(part, params);
+                if (exdate) event.exdates.push(exdate);
+            }
+            break;
+        case 'RECURRENCE-ID':
+            event.recurrenceId = _parseDateTime(value, params);
+            break;
+    }
+}
+
+/**
+ * Validate a parsed VEVENT and fill in defaults; returns null for events to skip.
+ */
+function _finishEvent(event) {
+    if (!event.start || event.cancelled) return null;
+
+    const allDay = event.start.dateOnly;
+    // The exact length of a timed event depends on the zone its floating times end up in
+    const end = event.end && !allDay ? event.end : null;
+    let duration = null;
+    if (!end) {
+        duration = event.end ? {days: _dayNumber(event.end) - _dayNumber(event.start), ms: 0} : event.duration;
+        // Default length: one day for all-day events, none for timed ones (RFC 5545)
+        duration ??= allDay ? {days: 1, ms: 0} : {days: 0, ms: 0};
+    }
+
+    return {
+        uid: event.uid ?? '',
+        summary: event.summary ?? '',
+        start: event.start,
+        end,
+        duration,
+        allDay,
+        rrule: event.rrule ?? null,
+        exdates: event.exdates,
+        recurrenceId: event.recurrenceId ?? null,
+    };
+}
+
+/**
+ * Unescape a TEXT value (escaped newlines, commas, semicolons and backslashes).
+ */
+function _unescapeText(value) {
+    return value.replace(/\\([nN,;\\])/g, (match, char) => (char === 'n' || char === 'N' ? '\n' : char));
+}
+
+/**
+ * Parse a DATE or DATE-TIME value into {year, month, day, hour, minute, second, dateOnly, zone},
+ * where zone is 'UTC', a GLib.TimeZone for a known TZID, or null for local (floating) time.
+ * Unknown TZIDs (e.g. Windows zone names) fall back to local time. Returns null if invalid.
+ */
+function _parseDateTime(value, params) {
+    const match = value.trim().match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z?))?$/);
+    if (!match) return null;
+
+    const [, year, month, day, hour, minute, second, utc] = match;
+    let zone = null;
+    if (utc) zone = 'UTC';
+    else if (hour !== undefined && params.TZID) zone = _getTimeZone(params.TZID);
+
+    const dateTime = {
+        year: parseInt(year, 10),
+        month: parseInt(month, 10),
+        day: parseInt(day, 10),
+        hour: hour === undefined ? 0 : parseInt(hour, 10),
+        minute: minute === undefined ? 0 : parseInt(minute, 10),
+        second: second === undefined ? 0 : parseInt(second, 10),
+        dateOnly: hour === undefined,
+        zone,
+    };
+    if (!GLib.Date.valid_dmy(dateTime.day, dateTime.month, dateTime.year)) return null;
+    if (dateTime.hour > 23 || dateTime.minute > 59 || dateTime.second > 59) return null;
+    return dateTime;
+}
+
+function _getTimeZone(tzid) {
+    try {
+        return GLib.TimeZone.new_identifier(tzid);
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Parse a DURATION value (e.g. "PT1H30M", "P1D", "P2W") into {days, ms}.
+ */
+function _parseDuration(value) {
+    const match = value.trim().match(/^([+-])?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/);
+    if (!match) return null;
+
+    const [, sign, weeks, days, hours, minutes, seconds] = match.map((part, i) =>
+        i <= 1 ? part : parseInt(part ?? '0', 10)
+    );
+    const factor = sign === '-' ? -1 : 1;
+    return {
+        days: factor * (weeks * 7 + days),
+        ms: factor * ((hours * 60 + minutes) * 60 + seconds) * 1000,
+    };
+}
+
+/**
+ * Parse an RRULE value; returns null for unsupported frequencies.
+ */
+function _parseRecurrenceRule(value) {
+    const parts = {};
+    for (const part of value.split(';')) {
+        const eq = part.indexOf('=');
+        if (eq > 0) parts[part.slice(0, eq).toUpperCase()] = part.slice(eq + 1).toUpperCase();
+    }
+    if (!FREQUENCIES.includes(parts.FREQ)) return null;
+
+    const byDay = (parts.BYDAY ?? '')
+        .split(',')
+        .map((entry) => entry.match(/^([+-]?\d{1,2})?(MO|TU|WE|TH|FR|SA|SU)$/))
+        .filter(Boolean)
+        .map(([, ordinal, weekday]) => ({
+            ordinal: ordinal ? parseInt(ordinal, 10) : 0,
+            weekday: WEEKDAYS.indexOf(weekday),
+        }));
+    const parseNumbers = (list) =>
+        (list ?? '')
+            .split(',')
+            .map((n) => parseInt(n, 10))
+            .filter((n) => Number.isInteger(n) && n !== 0);
+
+    return {
+        freq: parts.FREQ,
+        interval: Math.max(1, parseInt(parts.INTERVAL ?? '1', 10) || 1),
+        count: parts.COUNT ? parseInt(parts.COUNT, 10) : null,
+        until: parts.UNTIL ? _parseDateTime(parts.UNTIL, {}) : null,
+        byDay,
+        byMonthDay: parseNumbers(parts.BYMONTHDAY),
+        byMonth: parseNumbers(parts.BYMONTH).filter((n) => n >= 1 && n <= 12),
+    };
+}
+
+/**
+ * Days since 1970-01-01 of a date's calendar day, for calendar arithmetic without time zones.
+ */
+function _dayNumber({year, month, day}) {
+    return Math.floor(Date.UTC(year, month - 1, day) / DAY_MS);
+}
+
+/**
+ * The same time of day as `time` on the calendar day with the given day number.
+ */
+function _withDayNumber(time, dayNumber) {
+    const date = new Date(dayNumber * DAY_MS);
+    return {...time, year: date.getUTCFullYear(), month: date.getUTCMonth() + 1, day: date.getUTCDate()};
+}
+
+/**
+ * Weekday of a day number, 0 = Monday.
+ */
+function _weekday(dayNumber) {
+    return (((dayNumber + 3) % 7) + 7) % 7; // 1970-01-01 was a Thursday
+}
+
+/**
+ * Timestamp (ms) of a parsed date-time in its zone; floating times are in timeZone.
+ */
+function _toTimestamp({year, month, day, hour, minute, second, zone}, timeZone) {
+    if (zone === 'UTC') return Date.UTC(year, month - 1, day, hour, minute, second);
+    return GLib.DateTime.new(zone ?? timeZone, year, month, day, hour, minute, second).to_unix() * 1000;
+}
+
+/**
+ * Length of an event's instances as {days, ms}.
+ */
+function _getDuration(event, timeZone) {
+    if (event.end) return {days: 0, ms: _toTimestamp(event.end, timeZone) - _toTimestamp(event.start, timeZone)};
+    return event.duration;
+}
+
+function _getEndTimestamp(event, start, timeZone) {
+    const duration = _getDuration(event, timeZone);
+    if (duration.days === 0) return _toTimestamp(start, timeZone) + duration.ms;
+
+    // Whole days keep the wall-clock time across daylight saving changes
+    return _toTimestamp(_withDayNumber(start, _dayNumber(start) + duration.days), timeZone) + duration.ms;
+}
+
+/**
+ * Start date-times of an event's instances, in order, until one starts at or after rangeEnd.
+ * Without COUNT, expansion begins at the period of the earliest instance that
+ * can still overlap rangeStart; earlier instances may be left out.
+ */
+function _getEventStarts(event, rangeStart, rangeEnd, timeZone) {
+    const rule = event.rrule;
+    if (!rule) return [event.start];
+
+    const starts = [];
+    const firstDay = _dayNumber(event.start);
+    const untilTime = rule.until
+        ? _toTimestamp(rule.until.dateOnly ? {...rule.until, hour: 23, minute: 59, second: 59} : rule.until, timeZone)
+        : Infinity;
+
+    // COUNT is over all instances, so those need counting from the first
+    let firstPeriod = 0;
+    if (rule.count === null) {
+        // A day of slack for the time zone offset of instance starts
+        const duration = _getDuration(event, timeZone);
+        const lengthDays = Math.max(0, duration.days + Math.ceil(duration.ms / DAY_MS)) + 1;
+        firstPeriod = _getPeriodOfDay(rule, event.start, firstDay, Math.floor(rangeStart / DAY_MS) - lengthDays);
+    }
+
+    for (let period = firstPeriod; period < firstPeriod + MAX_RECURRENCE_PERIODS; period++) {
+        const days = _getPeriodDays(rule, event.start, firstDay, period);
+        if (days === null) break;
+
+        for (const dayNumber of days) {
+            if (dayNumber < firstDay) continue;
+
+            const start = _withDayNumber(event.start, dayNumber);
+            const time = _toTimestamp(start, timeZone);
+            if (time > untilTime || time >= rangeEnd) return starts;
+
+            starts.push(start);
+            if (rule.count !== null && starts.length >= rule.count) return starts;
+        }
+    }
+    return starts;
+}
+
+/**
+ * The recurrence period (see _getPeriodDays) containing the given day number,
+ * or 0 if the day comes before the first period.
+ */
+function _getPeriodOfDay(rule, start, firstDay, dayNumber) {
+    if (dayNumber <= firstDay) return 0;
+
+    let elapsed;
+    switch (rule.freq) {
+        case 'DAILY':
+            elapsed = dayNumber - firstDay;
+            break;
+        case 'WEEKLY':
+            elapsed = (dayNumber - _weekday(dayNumber) - (firstDay - _weekday(firstDay))) / 7;
+            break;
+        case 'MONTHLY': {
+            const date = _withDayNumber(start, dayNumber);
+            elapsed = (date.year - start.year) * 12 + date.month - start.month;
+            break;
+        }
+        case 'YEARLY':
+            elapsed = _withDayNumber(start, dayNumber).year - start.year;
+            break;
+        default:
+            return 0;
+    }
+    return Math.floor(elapsed / rule.interval);
+}
+
+/**
+ * Sorted day numbers of the instances in one recurrence period
+ * (a day, week, month or year `period` intervals after the first).
+ * BYMONTH expands yearly rules and limits the others to the listed months.
+ */
+function _getPeriodDays(rule, start, firstDay, period) {
+    const step = period * rule.interval;
+    const inMonths = (dayNumber) =>
+        rule.byMonth.length === 0 || rule.byMonth.includes(_withDayNumber(start, dayNumber).month);
+
+    switch (rule.freq) {
+        case 'DAILY': {
+            const dayNumber = firstDay + step;
+            const weekdays = rule.byDay.map(({weekday}) => weekday);
+            return (weekdays.length === 0 || weekdays.includes(_weekday(dayNumber))) && inMonths(dayNumber)
+                ? [dayNumber]
+                : [];
+        }
+        case 'WEEKLY': {
+            const weekStart = firstDay - _weekday(firstDay) + step * 7;
+            const weekdays = rule.byDay.length > 0 ? rule.byDay.map(({weekday}) => weekday) : [_weekday(firstDay)];
+            return [...new Set(weekdays)]
+                .sort((a, b) => a - b)
+                .map((weekday) => weekStart + weekday)
+                .filter(inMonths);
+        }
+        case 'MONTHLY': {
+            const monthIndex = start.month - 1 + step;
+            const month = (monthIndex % 12) + 1;
+            if (rule.byMonth.length > 0 && !rule.byMonth.includes(month)) return [];
+            return _getMonthDays(rule, start, Math.floor(monthIndex / 12) + start.year, month);
+        }
+        case 'YEARLY': {
+            const year = start.year + step;
+            const months = rule.byMonth.length > 0 ? [...rule.byMonth].sort((a, b) => a - b) : [start.month];
+            return months.flatMap((month) => _getMonthDays(rule, start, year, month));
+        }
+        default:
+            return null;
+    }
+}
+
+/**
+ * Sorted day numbers of the instances within one month: BYDAY (optionally the
+ * nth weekday, negative from the end), BYMONTHDAY (negative from the end), or
+ * the start's day of the month, skipped in months too short for it.
+ */
+function _getMonthDays(rule, start, year, month) {
+    const first = _dayNumber({year, month, day: 1});
+    const length = _dayNumber({year: month === 12 ? year + 1 : year, month: (month % 12) + 1, day: 1}) - first;
+    const days = new Set();
+
+    if (rule.byDay.length > 0) {
+        for (const {ordinal, weekday} of rule.byDay) {
+            const matching = [];
+            for (let offset = 0; offset < length; offset++) {
+                if (_weekday(first + offset) === weekday) matching.push(first + offset);
+            }
+            if (ordinal === 0) matching.forEach((day) => days.add(day));
+            else if (ordinal > 0 && ordinal <= matching.length) days.add(matching[ordinal - 1]);
+            else if (ordinal < 0 && -ordinal <= matching.length) days.add(matching[matching.length + ordinal]);
+        }
+    } else if (rule.byMonthDay.length > 0) {
+        for (const monthDay of rule.byMonthDay) {
+            const offset = monthDay > 0 ? monthDay - 1 : length + monthDay;
+            if (offset >= 0 && offset < length) days.add(first + offset);
+        }
+    } else if (start.day <= length) {
+        days.add(first + start.day - 1);
+    }
+
+    return [...days].sort((a, b) => a - b);
+}
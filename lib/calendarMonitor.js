@@ -0,0 +1,106 @@
+/*
+ * Hara Hachi Bu - GNOME Shell Extension
+ * Copyright (C) 2024-2026 zvi
+ * SPDX-License-Identifier: GPL-3.0-or-later
+ *
+ * CalendarMonitor loads the local .ics files used by calendar schedules into
+ * ScheduleUtils and re-reads them when they change on disk. No network access.
+ * Signals:
+ *   - 'calendar-changed': Emitted after a calendar file was (re)loaded or became unreadable (path: string)
+ */
+'use strict';
+import GLib from 'gi://GLib';
+import GObject from 'gi://GObject';
+import Gio from 'gi://Gio';
+import * as Helper from './helper.js';
+import * as CalendarEvents from './calendarEvents.js';
+import * as ScheduleUtils from './scheduleUtils.js';
+
+// Editors often save in several steps (truncate, write, rename)
+const MONITOR_DEBOUNCE_MS = 500;
+
+export const CalendarMonitor = GObject.registerClass(
+    {
+        GTypeName: 'HhbCalendarMonitor',
+        Signals: {
+            'calendar-changed': {param_types: [GObject.TYPE_STRING]},
+        },
+    },
+    class CalendarMonitor extends GObject.Object {
+        constructor() {
+            super();
+            this._watches = new Map(); // path -> {monitor, debounceId, serial}
+            this._destroyed = false;
+        }
+
+        /**
+         * Watch exactly the given calendar files: start monitoring and load new
+         * paths, and stop monitoring and forget the events of removed ones.
+         */
+        setPaths(paths) {
+            const wanted = new Set(paths);
+
+            for (const path of [...this._watches.keys()]) {
+                if (!wanted.has(path)) this._unwatch(path);
+            }
+
+            for (const path of wanted) {
+                if (this._watches.has(path)) continue;
+
+                const watch = {monitor: null, debounceId: null, serial: 0};
+                this._watches.set(path, watch);
+                try {
+                    watch.monitor = Gio.File.new_for_path(path).monitor_file(Gio.FileMonitorFlags.NONE, null);
+                    watch.monitor.connectObject('changed', () => this._onFileChanged(path), this);
+                } catch (e) {
+                    console.error(`Hara Hachi Bu: Failed to monitor calendar file ${path}: ${e}`);
+                }
+                this._load(path);
+            }
+        }
+
+        _unwatch(path) {
+            const watch = this._watches.get(path);
+            if (watch.debounceId) GLib.Source.remove(watch.debounceId);
+            if (watch.monitor) {
+                watch.monitor.disconnectObject(this);
+                watch.monitor.cancel();
+            }
+            this._watches.delete(path);
+            ScheduleUtils.setCalendarEvents(path, null);
+        }
+
+        _onFileChanged(path) {
+            const watch = this._watches.get(path);
+            if (!watch) return;
+
+            if (watch.debounceId) GLib.Source.remove(watch.debounceId);
+            watch.debounceId = GLib.timeout_add(GLib.PRIORITY_DEFAULT, MONITOR_DEBOUNCE_MS, () => {
+                watch.debounceId = null;
+                this._load(path);
+                return GLib.SOURCE_REMOVE;
+            });
+        }
+
+        async _load(path) {
+            const watch = this._watches.get(path);
+            const serial = ++watch.serial;
+
+            const text = await Helper.readFileAsync(path);
+            if (this._destroyed || this._watches.get(path) !== watch || serial !== watch.serial) return;
+
+            if (text === null) {
+                Helper.debugWarn(`Calendar file ${path} could not be read`);
+                ScheduleUtils.setCalendarEvents(path, null);
+            } else {
+                ScheduleUtils.setCalendarEvents(path, CalendarEvents.parseCalendar(text));
+            }
+            this.emit('calendar-changed', path);
+        }
+
+        destroy() {
+            this._destroyed = true;
+            for (const path of [...this._watches.keys()]) this._unwatch(path);
+        }
+    }
+);
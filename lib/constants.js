@@ -10,9 +10,29 @@ const N_ = (s) => s;
 
 // System Paths
 export const SYSFS_POWER_SUPPLY_PATH = '/sys/class/power_supply';
+export const PROC_STAT_PATH = '/proc/stat';
+export const SYSFS_USB_DEVICES_PATH = '/sys/bus/usb/devices';
+export const SYSFS_THERMAL_PATH = '/sys/class/thermal';
+// Thermal zone types that report CPU temperature, most specific first
+export const CPU_THERMAL_ZONE_TYPES = [
+    'x86_pkg_temp',
+    'cpu-thermal',
+    'cpu_thermal',
+    'soc_thermal',
+    'k10temp',
+    'acpitz',
+];
 export const UPOWER_BUS_NAME = 'org.freedesktop.UPower';
 export const UPOWER_OBJECT_PATH = '/org/freedesktop/UPower';
 export const UPOWER_DEVICE_PATH = '/org/freedesktop/UPower/devices/DisplayDevice';
+export const NM_BUS_NAME = 'org.freedesktop.NetworkManager';
+export const NM_OBJECT_PATH = '/org/freedesktop/NetworkManager';
+export const MUTTER_DISPLAY_CONFIG_BUS_NAME = 'org.gnome.Mutter.DisplayConfig';
+export const MUTTER_DISPLAY_CONFIG_PATH = '/org/gnome/Mutter/DisplayConfig';
+
+// D-Bus interface exported by the extension inside GNOME Shell (bus name org.gnome.Shell)
+export const EXTENSION_DBUS_INTERFACE = 'org.gnome.Shell.Extensions.HaraHachiBu';
+export const EXTENSION_DBUS_PATH = '/org/gnome/Shell/Extensions/HaraHachiBu';
 
 // Sysfs Files
 export const THRESHOLD_END_FILE = 'charge_control_end_threshold';
@@ -90,6 +110,33 @@ export const PARAMETERS = {
             not_connected: N_('Not Connected'),
         },
     },
+    external_display_count: {
+        name: 'external_display_count',
+        label: N_('External Display Count'),
+        type: 'numeric',
+        range: [0, 8],
+        unit: '',
+        // Whole-number counts: exact matches make sense, and hysteresis would blur adjacent counts
+        operators: ['is', 'above', 'below', 'between'],
+        hysteresis: 0,
+    },
+    external_display_model: {
+        name: 'external_display_model',
+        label: N_('External Display Model'),
+        freeform: true,
+        placeholder: N_('VENDOR:PRODUCT or VENDOR:PRODUCT:SERIAL'),
+        // Every connected external monitor contributes its exact and model-only identifiers
+        multiValued: true,
+    },
+    usb_device: {
+        name: 'usb_device',
+        label: N_('USB Device'),
+        freeform: true,
+        placeholder: N_('Vendor:product ID, e.g. 17ef:a396'),
+        valuePattern: /^[0-9a-f]{4}:[0-9a-f]{4}$/,
+        multiValued: true,
+        frequent: true,
+    },
     power_source: {
         name: 'power_source',
         label: N_('Power Source'),
@@ -115,21 +162,130 @@ export const PARAMETERS = {
         range: [0, 100],
         unit: '%',
     },
+    battery_drain_rate: {
+        name: 'battery_drain_rate',
+        label: N_('Battery Drain Rate'),
+        type: 'numeric',
+        range: [0, 100],
+        // Translators: Unit for battery drain rate, percent of capacity per hour
+        unit: N_('%/h'),
+        frequent: true,
+    },
+    wifi_network: {
+        name: 'wifi_network',
+        label: N_('Wi-Fi Network'),
+        // Free-form value (SSID) instead of a fixed value list
+        freeform: true,
+        placeholder: N_('Network name (SSID)'),
+    },
+    active_application: {
+        name: 'active_application',
+        label: N_('Focused Application'),
+        freeform: true,
+        placeholder: N_('Application ID, e.g. org.gnome.Terminal.desktop'),
+        // Changes during normal use; only acted on when a scenario rule refers to it
+        frequent: true,
+    },
+    running_application: {
+        name: 'running_application',
+        label: N_('Running Application'),
+        freeform: true,
+        placeholder: N_('Application ID, e.g. org.gnome.Terminal.desktop'),
+        // Value is a list; "is" matches when any entry equals the rule value
+        multiValued: true,
+        frequent: true,
+    },
+    fullscreen: {
+        name: 'fullscreen',
+        label: N_('Fullscreen Window'),
+        values: ['active', 'inactive'],
+        valueLabels: {
+            active: N_('Active'),
+            inactive: N_('Inactive'),
+        },
+        frequent: true,
+    },
+    screen_locked: {
+        name: 'screen_locked',
+        label: N_('Screen Lock'),
+        values: ['locked', 'unlocked'],
+        valueLabels: {
+            locked: N_('Locked'),
+            unlocked: N_('Unlocked'),
+        },
+        frequent: true,
+    },
+    session_idle: {
+        name: 'session_idle',
+        label: N_('Idle Time'),
+        type: 'numeric',
+        range: [0, 240],
+        // Translators: Abbreviation for minutes, shown after idle time values
+        unit: N_('min'),
+        frequent: true,
+    },
+    cpu_load: {
+        name: 'cpu_load',
+        label: N_('CPU Load'),
+        type: 'numeric',
+        range: [0, 100],
+        unit: '%',
+        frequent: true,
+    },
+    battery_temperature: {
+        name: 'battery_temperature',
+        label: N_('Battery Temperature'),
+        type: 'numeric',
+        range: [0, 100],
+        unit: '\u00b0C',
+        frequent: true,
+    },
+    charger_type: {
+        name: 'charger_type',
+        label: N_('Charger Type'),
+        values: ['usb_pd', 'usb_c', 'usb', 'barrel', 'none'],
+        valueLabels: {
+            usb_pd: N_('USB Power Delivery'),
+            usb_c: N_('USB-C'),
+            usb: N_('USB'),
+            barrel: N_('Barrel / AC Adapter'),
+            none: N_('Not Connected'),
+        },
+    },
+    charger_power: {
+        name: 'charger_power',
+        label: N_('Charger Power'),
+        type: 'numeric',
+        range: [0, 250],
+        unit: 'W',
+    },
+    cpu_temperature: {
+        name: 'cpu_temperature',
+        label: N_('CPU Temperature'),
+        type: 'numeric',
+        range: [0, 120],
+        unit: '\u00b0C',
+        frequent: true,
+    },
 };
 
+// Default dead band for numeric comparisons while a scenario is active;
+// parameters and individual conditions can override it
+export const DEFAULT_HYSTERESIS = 2;
+
 // Rule Operators
 export const OPERATORS = {
     is: {
         name: 'is',
         label: N_('is'),
         type: 'binary',
-        evaluate: (actual, expected) => actual === expected,
+        evaluate: (actual, expected) => (Array.isArray(actual) ? actual.includes(expected) : actual === expected),
     },
     is_not: {
         name: 'is_not',
         label: N_('is not'),
         type: 'binary',
-        evaluate: (actual, expected) => actual !== expected,
+        evaluate: (actual, expected) => (Array.isArray(actual) ? !actual.includes(expected) : actual !== expected),
     },
     below: {
         name: 'below',
@@ -137,8 +293,8 @@ export const OPERATORS = {
         label: N_('is below'),
         type: 'numeric',
         evaluate: (actual, expected) => Number(actual) < Number(expected),
-        evaluateWithHysteresis: (actual, expected, isCurrentlyActive) =>
-            isCurrentlyActive ? Number(actual) < Number(expected) + 2 : Number(actual) < Number(expected),
+        evaluateWithHysteresis: (actual, expected, isCurrentlyActive, margin = DEFAULT_HYSTERESIS) =>
+            isCurrentlyActive ? Number(actual) < Number(expected) + margin : Number(actual) < Number(expected),
     },
     above: {
         name: 'above',
@@ -146,11 +302,42 @@ export const OPERATORS = {
         label: N_('is above'),
         type: 'numeric',
         evaluate: (actual, expected) => Number(actual) > Number(expected),
-        evaluateWithHysteresis: (actual, expected, isCurrentlyActive) =>
-            isCurrentlyActive ? Number(actual) > Number(expected) - 2 : Number(actual) > Number(expected),
+        evaluateWithHysteresis: (actual, expected, isCurrentlyActive, margin = DEFAULT_HYSTERESIS) =>
+            isCurrentlyActive ? Number(actual) > Number(expected) - margin : Number(actual) > Number(expected),
+    },
+    between: {
+        name: 'between',
+        // Translators: Operator for an inclusive numeric range, e.g. "Battery Level is between 30% and 70%"
+        label: N_('is between'),
+        type: 'numeric',
+        // Value is an inclusive [low, high] pair
+        range: true,
+        evaluate: (actual, [low, high]) => Number(actual) >= Number(low) && Number(actual) <= Number(high),
+        evaluateWithHysteresis: (actual, [low, high], isCurrentlyActive, margin = DEFAULT_HYSTERESIS) =>
+            isCurrentlyActive
+                ? Number(actual) >= Number(low) - margin && Number(actual) <= Number(high) + margin
+                : Number(actual) >= Number(low) && Number(actual) <= Number(high),
     },
 };
 
+// Rule Groups: how a group combines its conditions
+export const RULE_GROUP_MATCH = {
+    all: {name: 'all', label: N_('All of these are true')},
+    any: {name: 'any', label: N_('Any of these is true')},
+    none: {name: 'none', label: N_('None of these is true')},
+};
+// Nesting limit for rule groups (the top-level group counts as the first level)
+export const MAX_RULE_GROUP_DEPTH = 3;
+// Upper bound for a condition's forSeconds (how long it must hold before counting as true)
+export const MAX_CONDITION_DURATION_SECONDS = 3600;
+
+// Exit actions: what happens when an automatically activated scenario stops matching
+// and no other scenario matches (without one, its modes stay in place)
+export const EXIT_ACTIONS = {
+    restore: {name: 'restore', label: N_('Restore previous modes')},
+    switch: {name: 'switch', label: N_('Switch to another scenario')},
+};
+
 // Days of Week (ISO: 1=Monday, 7=Sunday)
 export const DAYS_OF_WEEK = {
     1: N_('Monday'),
@@ -182,10 +369,13 @@ export const DEFAULT_PROFILES = {
         name: N_('Docked'),
         powerMode: 'performance',
         batteryMode: 'max-lifespan',
-        rules: [
-            {param: 'external_display', op: 'is', value: 'connected'},
-            {param: 'power_source', op: 'is', value: 'ac'},
-        ],
+        rules: {
+            match: 'all',
+            conditions: [
+                {param: 'external_display', op: 'is', value: 'connected'},
+                {param: 'power_source', op: 'is', value: 'ac'},
+            ],
+        },
         schedule: null,
     },
     travel: {
@@ -193,7 +383,7 @@ export const DEFAULT_PROFILES = {
         name: N_('Travel'),
         powerMode: 'balanced',
         batteryMode: 'full-capacity',
-        rules: [{param: 'power_source', op: 'is', value: 'battery'}],
+        rules: {match: 'all', conditions: [{param: 'power_source', op: 'is', value: 'battery'}]},
         schedule: null,
     },
 };
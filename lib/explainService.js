@@ -0,0 +1,48 @@
+/*
+ * Hara Hachi Bu - GNOME Shell Extension
+ * Copyright (C) 2024-2026 zvi
+ * SPDX-License-Identifier: GPL-3.0-or-later
+ *
+ * ExplainService exports StateManager.explainRules() on the session bus so
+ * the preferences window (a separate process) can show why a scenario is active.
+ */
+'use strict';
+import Gio from 'gi://Gio';
+
+import {EXTENSION_DBUS_INTERFACE, EXTENSION_DBUS_PATH} from './constants.js';
+import {debugError} from './helper.js';
+
+const INTERFACE_XML = `
+<node>
+  <interface name="${EXTENSION_DBUS_INTERFACE}">
+    <method name="ExplainRules">
+      <arg type="s" direction="out" name="explanation"/>
+    </method>
+  </interface>
+</node>`;
+
+export class ExplainService {
+    constructor(stateManager) {
+        this._stateManager = stateManager;
+        this._dbusObject = Gio.DBusExportedObject.wrapJSObject(INTERFACE_XML, this);
+        try {
+            this._dbusObject.export(Gio.DBus.session, EXTENSION_DBUS_PATH);
+        } catch (e) {
+            debugError('Failed to export D-Bus interface:', e);
+            this._dbusObject = null;
+        }
+    }
+
+    /**
+     * D-Bus method: JSON-encoded StateManager.explainRules() result
+     */
+    ExplainRules() {
+        return JSON.stringify(this._stateManager.explainRules());
+    }
+
+    destroy() {
+        this._dbusObject?.unexport();
+        this._dbusObject = null;
+        this._stateManager = null;
+    }
+}
@@ -12,6 +12,7 @@ Gio._promisify(Gio.Subprocess.prototype, 'communicate_utf8_async');
 Gio._promisify(Gio.File.prototype, 'load_contents_async');
 Gio._promisify(Gio.File.prototype, 'enumerate_children_async');
 Gio._promisify(Gio.FileEnumerator.prototype, 'next_files_async');
+Gio._promisify(Gio.DBusConnection.prototype, 'call');
 
 const EXEC_TIMEOUT_SECONDS = 5;
 const MAX_QUEUE_DEPTH = 3;
@@ -213,6 +214,33 @@ export function initExecCheck() {
     _execDestroyed = false;
 }
 
+/**
+ * List the entry names of a directory asynchronously. Returns [] if unreadable.
+ */
+export async function listDirectoryAsync(path) {
+    const names = [];
+    try {
+        const dir = Gio.File.new_for_path(path);
+        const enumerator = await dir.enumerate_children_async(
+            'standard::name',
+            Gio.FileQueryInfoFlags.NONE,
+            GLib.PRIORITY_DEFAULT,
+            null
+        );
+
+        while (true) {
+            // Sequential: each batch must complete before fetching the next
+            // eslint-disable-next-line no-await-in-loop
+            const fileInfos = await enumerator.next_files_async(10, GLib.PRIORITY_DEFAULT, null);
+            if (!fileInfos || fileInfos.length === 0) break;
+            for (const info of fileInfos) names.push(info.get_name());
+        }
+    } catch {
+        // Directory missing or unreadable
+    }
+    return names;
+}
+
 // Known AC adapter names to try (in order of commonality)
 const AC_ADAPTER_NAMES = ['AC', 'ACAD', 'ADP0', 'ADP1'];
 
@@ -267,6 +295,159 @@ export async function getAcOnlineSysfs(sysfsPath, isCancelled = null) {
     return null;
 }
 
+// NetworkManager D-Bus interfaces and states used for Wi-Fi detection
+const NM_ACTIVE_CONNECTION_IFACE = 'org.freedesktop.NetworkManager.Connection.Active';
+const NM_ACCESS_POINT_IFACE = 'org.freedesktop.NetworkManager.AccessPoint';
+const NM_ACTIVE_CONNECTION_STATE_ACTIVATED = 2;
+
+/**
+ * Read all properties of a D-Bus object interface on the system bus
+ */
+async function getSystemBusProperties(busName, objectPath, iface) {
+    const result = await Gio.DBus.system.call(
+        busName,
+        objectPath,
+        'org.freedesktop.DBus.Properties',
+        'GetAll',
+        new GLib.Variant('(s)', [iface]),
+        new GLib.VariantType('(a{sv})'),
+        Gio.DBusCallFlags.NONE,
+        -1,
+        null
+    );
+    return result.recursiveUnpack()[0];
+}
+
+/**
+ * Get the SSIDs of all activated Wi-Fi connections from NetworkManager.
+ * Throws if NetworkManager is unreachable; returns an empty array when no
+ * Wi-Fi connection is active.
+ */
+export async function getActiveWifiSsids(busName, objectPath) {
+    const nmProps = await getSystemBusProperties(busName, objectPath, 'org.freedesktop.NetworkManager');
+    const ssids = [];
+
+    for (const connectionPath of nmProps.ActiveConnections ?? []) {
+        try {
+            // Sequential: typically one or two active connections
+            // eslint-disable-next-line no-await-in-loop
+            const connection = await getSystemBusProperties(busName, connectionPath, NM_ACTIVE_CONNECTION_IFACE);
+            if (connection.Type !== '802-11-wireless' || connection.State !== NM_ACTIVE_CONNECTION_STATE_ACTIVATED)
+                continue;
+            if (!connection.SpecificObject || connection.SpecificObject === '/') continue;
+
+            // eslint-disable-next-line no-await-in-loop
+            const accessPoint = await getSystemBusProperties(busName, connection.SpecificObject, NM_ACCESS_POINT_IFACE);
+            const ssid = new TextDecoder('utf-8').decode(accessPoint.Ssid);
+            if (ssid && !ssids.includes(ssid)) ssids.push(ssid);
+        } catch (e) {
+            // Connection went away while being inspected
+            debugWarn(`Failed to read active connection ${connectionPath}: ${e.message}`);
+        }
+    }
+
+    return ssids;
+}
+
+// power_supply types that describe an external charger
+const CHARGER_SUPPLY_TYPES = ['Mains', 'USB', 'USB_C', 'USB_PD', 'USB_PD_DRP'];
+
+/**
+ * Classify a charger from its power_supply type and usb_type attributes
+ */
+function classifyCharger(supplyType, usbType) {
+    if (supplyType === 'Mains') return 'barrel';
+    // usb_type lists supported modes with the active one in brackets, e.g. "C [PD] PD_PPS".
+    // Older kernels encode the mode in the type itself (USB_C, USB_PD, USB_PD_DRP).
+    const mode = usbType?.match(/\[(\w+)\]/)?.[1] ?? supplyType.replace(/^USB_?/, '');
+    if (mode.startsWith('PD')) return 'usb_pd';
+    if (mode === 'C') return 'usb_c';
+    return 'usb';
+}
+
+/**
+ * Read the power a charger can deliver in watts, or null if not reported.
+ * Prefers the negotiated maximum (voltage_max * current_max) over instantaneous values.
+ */
+async function readChargerWatts(supplyPath) {
+    const voltage =
+        (await readFileIntAsync(`${supplyPath}/voltage_max`)) ?? (await readFileIntAsync(`${supplyPath}/voltage_now`));
+    const current =
+        (await readFileIntAsync(`${supplyPath}/current_max`)) ?? (await readFileIntAsync(`${supplyPath}/current_now`));
+    // Microvolts * microamps = picowatts
+    if (voltage > 0 && current > 0) return Math.round((voltage * current) / 1e12);
+
+    const power = await readFileIntAsync(`${supplyPath}/power_now`);
+    if (power > 0) return Math.round(power / 1e6);
+
+    return null;
+}
+
+/**
+ * Describe the connected charger from the Mains/USB power supplies in sysfs.
+ * Returns {type, watts} for the most capable online supply (watts is null when
+ * not reported), or null when no external supply is online.
+ */
+export async function getChargerInfoSysfs(sysfsPath, isCancelled = null) {
+    // Prefer supplies reporting more power; USB ports are more specific than a generic Mains entry
+    const score = (c) => (c.watts ?? -1) * 2 + (c.type === 'barrel' ? 0 : 1);
+    let best = null;
+
+    for (const name of await listDirectoryAsync(sysfsPath)) {
+        if (isCancelled && isCancelled()) return null;
+        const supplyPath = `${sysfsPath}/${name}`;
+        // Sequential: only a handful of power supplies
+        // eslint-disable-next-line no-await-in-loop
+        const supplyType = await readFileAsync(`${supplyPath}/type`);
+        if (!CHARGER_SUPPLY_TYPES.includes(supplyType)) continue;
+        // eslint-disable-next-line no-await-in-loop
+        if ((await readFileAsync(`${supplyPath}/online`)) !== '1') continue;
+
+        // eslint-disable-next-line no-await-in-loop
+        const usbType = await readFileAsync(`${supplyPath}/usb_type`);
+        // eslint-disable-next-line no-await-in-loop
+        const info = {type: classifyCharger(supplyType, usbType), watts: await readChargerWatts(supplyPath)};
+        if (!best || score(info) > score(best)) best = info;
+    }
+    return best;
+}
+
+/**
+ * List attached USB devices from sysfs as {id: 'vvvv:pppp', name}, sorted by ID.
+ * Interface entries (e.g. "1-2:1.0") and root hubs without IDs are skipped.
+ */
+export async function getUsbDevicesSysfs(usbDevicesPath) {
+    const devices = new Map();
+    for (const entry of await listDirectoryAsync(usbDevicesPath)) {
+        if (entry.includes(':')) continue;
+        const devicePath = `${usbDevicesPath}/${entry}`;
+        // Sequential: keeps sysfs reads from piling up on large hubs
+        // eslint-disable-next-line no-await-in-loop
+        const vendorId = await readFileAsync(`${devicePath}/idVendor`);
+        // eslint-disable-next-line no-await-in-loop
+        const productId = await readFileAsync(`${devicePath}/idProduct`);
+        if (!vendorId || !productId) continue;
+
+        const id = `${vendorId}:${productId}`.toLowerCase();
+        if (devices.has(id)) continue;
+        // eslint-disable-next-line no-await-in-loop
+        const manufacturer = await readFileAsync(`${devicePath}/manufacturer`);
+        // eslint-disable-next-line no-await-in-loop
+        const product = await readFileAsync(`${devicePath}/product`);
+        devices.set(id, {id, name: [manufacturer, product].filter((s) => s).join(' ')});
+    }
+    return [...devices.values()].sort((a, b) => a.id.localeCompare(b.id));
+}
+
+/**
+ * Build the rule values that identify a monitor: the exact unit
+ * ("VENDOR:PRODUCT:SERIAL") and, for matching any unit of a model, "VENDOR:PRODUCT"
+ */
+export function getMonitorIdentifiers(vendor, product, serial) {
+    const model = `${vendor || 'unknown'}:${product || 'unknown'}`;
+    return serial ? [`${model}:${serial}`, model] : [model];
+}
+
 /**
  * Get a Gio.Icon from the extension's icon folder, falling back to themed icons
  */
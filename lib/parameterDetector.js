@@ -6,16 +6,31 @@
  * ParameterDetector monitors system parameters for rule evaluation.
  * Signals:
  *   - 'parameter-changed': Emitted when any parameter changes (paramName: string, paramValue: string)
+ *     List-valued parameters are emitted comma-joined; use getValue() for the list.
  */
 'use strict';
 import GLib from 'gi://GLib';
 import GObject from 'gi://GObject';
 import Gio from 'gi://Gio';
+import Shell from 'gi://Shell';
+import * as Main from 'resource:///org/gnome/shell/ui/main.js';
 import * as Helper from './helper.js';
 import * as Constants from './constants.js';
 
 const MONITOR_DEBOUNCE_MS = 500;
 const PROXY_INIT_TIMEOUT_MS = 5000;
+const POLL_INTERVAL_SECONDS = 5;
+const IDLE_MINUTE_MS = 60000;
+
+// Parameters read by polling procfs/sysfs instead of from signals
+const POLLED_PARAMETERS = [
+    'cpu_load',
+    'battery_temperature',
+    'cpu_temperature',
+    'charger_type',
+    'charger_power',
+    'usb_device',
+];
 
 // Re-export from constants for backward compatibility
 export const PARAMETERS = Constants.PARAMETERS;
@@ -29,24 +44,65 @@ export const ParameterDetector = GObject.registerClass(
         },
     },
     class ParameterDetector extends GObject.Object {
-        constructor() {
+        constructor(settings) {
             super();
+            this._settings = settings;
             this._monitorManager = null;
             this._upowerProxy = null;
             this._debounceTimeoutId = null;
+            this._fullscreenDebounceId = null;
+            this._usbScanSerial = 0;
+            this._usbEntries = null; // Joined names in the sysfs USB devices directory at the last poll
             this._proxyInitTimeout = null;
             this._initialized = false;
 
             // Current parameter values
             this._externalDisplayConnected = false;
+            this._externalDisplayCount = 0;
+            this._externalDisplayModels = []; // Sorted identifiers of connected external monitors
+            this._usbDevices = []; // Sorted vendor:product IDs of attached USB devices
+            this._screenLocked = false;
+            this._idleMonitor = null;
+            this._idleWatchId = 0;
+            this._activeWatchId = 0;
+            this._idleTimerId = null;
+            this._sessionIdleMinutes = null; // String minutes; null while not in use
             this._onBattery = false;
             this._lidClosed = false;
             this._batteryLevel = '-1'; // String; -1 = unknown
+            this._batteryDrainRate = null; // String %/hour; null until known
+            this._wifiNetwork = ''; // SSID; empty when not connected to Wi-Fi
+            this._nmSignalIds = [];
+            this._wifiUpdateSerial = 0;
+            this._windowTracker = null;
+            this._appSystem = null;
+            this._activeApplication = ''; // Desktop app ID of the focused app; empty when none
+            this._runningApplications = []; // Sorted desktop app IDs
+            this._fullscreenActive = false; // Any monitor has a fullscreen window
+            this._parametersInUse = new Set();
+            this._pollTimerId = null;
+            this._cpuSamples = []; // {time, busy, total} from /proc/stat, oldest first
+            this._cpuLoad = null; // String percentage; null until a full window is sampled
+            // Sampled sensor values as strings; null when not sampled or not available
+            this._polledValues = {
+                battery_temperature: null,
+                cpu_temperature: null,
+                charger_type: null,
+                charger_power: null,
+            };
+            // Sensor file paths: undefined = not probed yet, null = no sensor found
+            this._batteryTempPath = undefined;
+            this._cpuTempPath = undefined;
             this._destroyed = false;
         }
 
         async initialize() {
             this._initializeDisplayMonitoring();
+            this._initializeNetworkMonitoring();
+            this._initializeApplicationMonitoring();
+            this._initializeFullscreenMonitoring();
+            this._initializeUsbMonitoring();
+            this._initializeScreenLockMonitoring();
             await this._initializePowerSourceMonitoring();
             if (this._destroyed) return false;
             this._initialized = true;
@@ -64,6 +120,435 @@ export const ParameterDetector = GObject.registerClass(
             }
         }
 
+        _initializeNetworkMonitoring() {
+            try {
+                const bus = Gio.DBus.system;
+                // Active connection set changes (connect/disconnect, NetworkManager restart)
+                this._nmSignalIds.push(
+                    bus.signal_subscribe(
+                        Constants.NM_BUS_NAME,
+                        'org.freedesktop.DBus.Properties',
+                        'PropertiesChanged',
+                        Constants.NM_OBJECT_PATH,
+                        'org.freedesktop.NetworkManager',
+                        Gio.DBusSignalFlags.NONE,
+                        (_conn, _sender, _path, _iface, _signal, params) => {
+                            const [, changed] = params.deep_unpack();
+                            if ('ActiveConnections' in changed || 'State' in changed) this._updateWifiNetwork();
+                        }
+                    )
+                );
+                // Activation progress of individual connections (activating -> activated)
+                this._nmSignalIds.push(
+                    bus.signal_subscribe(
+                        Constants.NM_BUS_NAME,
+                        'org.freedesktop.NetworkManager.Connection.Active',
+                        'StateChanged',
+                        null,
+                        null,
+                        Gio.DBusSignalFlags.NONE,
+                        () => this._updateWifiNetwork()
+                    )
+                );
+                this._updateWifiNetwork();
+            } catch (e) {
+                console.error(`Hara Hachi Bu: Failed to initialize network monitoring: ${e}`);
+            }
+        }
+
+        _initializeApplicationMonitoring() {
+            try {
+                this._windowTracker = Shell.WindowTracker.get_default();
+                this._appSystem = Shell.AppSystem.get_default();
+                this._activeApplication = this._getFocusedAppId();
+                this._runningApplications = this._getRunningAppIds();
+
+                this._windowTracker.connectObject('notify::focus-app', () => this._onFocusAppChanged(), this);
+                this._appSystem.connectObject('app-state-changed', () => this._onRunningAppsChanged(), this);
+            } catch (e) {
+                console.error(`Hara Hachi Bu: Failed to initialize application monitoring: ${e}`);
+            }
+        }
+
+        _initializeFullscreenMonitoring() {
+            try {
+                this._fullscreenActive = this._isAnyMonitorFullscreen();
+                global.display.connectObject('in-fullscreen-changed', () => this._onFullscreenChanged(), this);
+            } catch (e) {
+                console.error(`Hara Hachi Bu: Failed to initialize fullscreen monitoring: ${e}`);
+            }
+        }
+
+        _isAnyMonitorFullscreen() {
+            const nMonitors = global.display.get_n_monitors();
+            for (let i = 0; i < nMonitors; i++) {
+                if (global.display.get_monitor_in_fullscreen(i)) return true;
+            }
+            return false;
+        }
+
+        _onFullscreenChanged() {
+            // Debounce like monitor changes: entering fullscreen often toggles state several times
+            if (this._fullscreenDebounceId) {
+                GLib.Source.remove(this._fullscreenDebounceId);
+                this._fullscreenDebounceId = null;
+            }
+
+            this._fullscreenDebounceId = GLib.timeout_add(GLib.PRIORITY_DEFAULT, MONITOR_DEBOUNCE_MS, () => {
+                this._fullscreenDebounceId = null;
+                this._processFullscreenChange();
+                return GLib.SOURCE_REMOVE;
+            });
+        }
+
+        _processFullscreenChange() {
+            if (this._destroyed) return;
+            const active = this._isAnyMonitorFullscreen();
+            if (this._fullscreenActive !== active) {
+                this._fullscreenActive = active;
+                this.emit('parameter-changed', 'fullscreen', active ? 'active' : 'inactive');
+            }
+        }
+
+        /**
+         * Tell the detector which parameters scenario rules use.
+         * Polled parameters are only sampled while in use.
+         */
+        setParametersInUse(paramNames) {
+            this._parametersInUse = new Set(paramNames);
+            this._updatePolling();
+            this._updateIdleMonitoring();
+        }
+
+        _updatePolling() {
+            if (this._destroyed) return;
+
+            // Drop readings of parameters no longer in use so stale values are never evaluated
+            if (!this._parametersInUse.has('cpu_load')) {
+                this._cpuSamples = [];
+                this._cpuLoad = null;
+            }
+            for (const paramName of Object.keys(this._polledValues)) {
+                if (!this._parametersInUse.has(paramName)) this._polledValues[paramName] = null;
+            }
+
+            const needed = POLLED_PARAMETERS.some((p) => this._parametersInUse.has(p));
+            if (needed && !this._pollTimerId) {
+                this._pollTimerId = GLib.timeout_add_seconds(GLib.PRIORITY_DEFAULT, POLL_INTERVAL_SECONDS, () => {
+                    this._pollParameters();
+                    return GLib.SOURCE_CONTINUE;
+                });
+                this._pollParameters();
+            } else if (!needed && this._pollTimerId) {
+                GLib.Source.remove(this._pollTimerId);
+                this._pollTimerId = null;
+            }
+        }
+
+        _pollParameters() {
+            if (this._parametersInUse.has('cpu_load')) this._sampleCpuLoad();
+            if (this._parametersInUse.has('battery_temperature') || this._parametersInUse.has('cpu_temperature')) {
+                this._updateTemperatures().catch((e) => {
+                    if (!this._destroyed) Helper.debugError(`Error reading temperatures: ${e.message}`);
+                });
+            }
+            this._updateChargerInfo();
+            if (this._parametersInUse.has('usb_device')) {
+                this._pollUsbDevices().catch((e) => {
+                    if (!this._destroyed) Helper.debugError(`Error polling USB devices: ${e.message}`);
+                });
+            }
+        }
+
+        _updateChargerInfo() {
+            if (!this._parametersInUse.has('charger_type') && !this._parametersInUse.has('charger_power')) return;
+
+            Helper.getChargerInfoSysfs(Constants.SYSFS_POWER_SUPPLY_PATH, () => this._destroyed)
+                .then((charger) => {
+                    // Trust UPower over sysfs for whether a charger is connected at all
+                    if (this._onBattery) charger = null;
+                    this._setPolledValue('charger_type', charger ? charger.type : 'none');
+                    this._setPolledValue(
+                        'charger_power',
+                        charger && charger.watts !== null ? String(charger.watts) : null
+                    );
+                })
+                .catch((e) => {
+                    if (!this._destroyed) Helper.debugError(`Error reading charger info: ${e.message}`);
+                });
+        }
+
+        async _sampleCpuLoad() {
+            const stat = await Helper.readFileAsync(Constants.PROC_STAT_PATH);
+            if (this._destroyed || !this._parametersInUse.has('cpu_load') || !stat) return;
+
+            // Aggregate line: "cpu user nice system idle iowait irq softirq steal guest guest_nice".
+            // guest time is already included in user, so only the first eight fields are summed.
+            const fields = stat.split('\n', 1)[0].trim().split(/\s+/).slice(1, 9).map(Number);
+            if (fields.length < 4 || fields.some(isNaN)) return;
+
+            const total = fields.reduce((sum, v) => sum + v, 0);
+            const idle = fields[3] + (fields[4] || 0);
+            const now = GLib.get_monotonic_time() / 1e6;
+            this._cpuSamples.push({time: now, busy: total - idle, total});
+
+            // Keep the newest sample at or before the window start as the baseline
+            const windowStart = now - this._settings.get_int('cpu-load-window-seconds');
+            while (this._cpuSamples.length > 1 && this._cpuSamples[1].time <= windowStart) this._cpuSamples.shift();
+
+            // Report nothing until the samples span the whole window, so a spike
+            // right after sampling starts cannot trigger a switch
+            const base = this._cpuSamples[0];
+            let load = null;
+            if (base.time <= windowStart && total > base.total)
+                load = String(Math.round((100 * (total - idle - base.busy)) / (total - base.total)));
+
+            if (this._cpuLoad !== load) {
+                this._cpuLoad = load;
+                if (load !== null) this.emit('parameter-changed', 'cpu_load', load);
+            }
+        }
+
+        async _updateTemperatures() {
+            if (this._parametersInUse.has('battery_temperature')) {
+                if (this._batteryTempPath === undefined) this._batteryTempPath = await this._findBatteryTempPath();
+                // power_supply temp is in tenths of a degree Celsius
+                const raw = this._batteryTempPath ? await Helper.readFileIntAsync(this._batteryTempPath) : null;
+                if (raw === null && this._batteryTempPath) this._batteryTempPath = undefined; // Re-probe next time
+                this._setPolledValue('battery_temperature', raw === null ? null : String(Math.round(raw / 10)));
+            }
+
+            if (this._parametersInUse.has('cpu_temperature')) {
+                if (this._cpuTempPath === undefined) this._cpuTempPath = await this._findCpuTempPath();
+                // Thermal zone temp is in millidegrees Celsius
+                const raw = this._cpuTempPath ? await Helper.readFileIntAsync(this._cpuTempPath) : null;
+                if (raw === null && this._cpuTempPath) this._cpuTempPath = undefined;
+                this._setPolledValue('cpu_temperature', raw === null ? null : String(Math.round(raw / 1000)));
+            }
+        }
+
+        _setPolledValue(paramName, value) {
+            if (this._destroyed || !this._parametersInUse.has(paramName)) return;
+            if (this._polledValues[paramName] !== value) {
+                this._polledValues[paramName] = value;
+                if (value !== null) this.emit('parameter-changed', paramName, value);
+            }
+        }
+
+        /**
+         * Find the temp attribute of the system battery (ignoring peripheral batteries)
+         */
+        async _findBatteryTempPath() {
+            const basePath = Constants.SYSFS_POWER_SUPPLY_PATH;
+            for (const name of await Helper.listDirectoryAsync(basePath)) {
+                // Sequential: only a handful of power supplies
+                // eslint-disable-next-line no-await-in-loop
+                const type = await Helper.readFileAsync(`${basePath}/${name}/type`);
+                if (type !== 'Battery') continue;
+                // eslint-disable-next-line no-await-in-loop
+                const scope = await Helper.readFileAsync(`${basePath}/${name}/scope`);
+                if (scope === 'Device') continue;
+                if (Helper.fileExists(`${basePath}/${name}/temp`)) return `${basePath}/${name}/temp`;
+            }
+            return null;
+        }
+
+        /**
+         * Find the thermal zone that best represents CPU temperature
+         */
+        async _findCpuTempPath() {
+            const basePath = Constants.SYSFS_THERMAL_PATH;
+            let bestPath = null;
+            let bestRank = Constants.CPU_THERMAL_ZONE_TYPES.length;
+            for (const name of await Helper.listDirectoryAsync(basePath)) {
+                if (!name.startsWith('thermal_zone')) continue;
+                // eslint-disable-next-line no-await-in-loop
+                const type = await Helper.readFileAsync(`${basePath}/${name}/type`);
+                const rank = Constants.CPU_THERMAL_ZONE_TYPES.indexOf(type);
+                if (rank >= 0 && rank < bestRank) {
+                    bestRank = rank;
+                    bestPath = `${basePath}/${name}/temp`;
+                }
+            }
+            return bestPath;
+        }
+
+        _initializeUsbMonitoring() {
+            // File monitors on sysfs never report hotplug, so while a rule uses
+            // usb_device the device list is polled instead (see _pollUsbDevices)
+            this._updateUsbDevices();
+        }
+
+        _initializeScreenLockMonitoring() {
+            try {
+                this._screenLocked = Main.sessionMode.isLocked;
+                Main.sessionMode.connectObject('updated', () => this._onSessionModeUpdated(), this);
+            } catch (e) {
+                console.error(`Hara Hachi Bu: Failed to initialize screen lock monitoring: ${e}`);
+            }
+        }
+
+        _onSessionModeUpdated() {
+            if (this._destroyed) return;
+            const locked = Main.sessionMode.isLocked;
+            if (this._screenLocked !== locked) {
+                this._screenLocked = locked;
+                this.emit('parameter-changed', 'screen_locked', locked ? 'locked' : 'unlocked');
+            }
+        }
+
+        /**
+         * Start or stop idle tracking. While in use, an idle watch fires after the
+         * first idle minute; the value is then refreshed every minute until the
+         * user becomes active again.
+         */
+        _updateIdleMonitoring() {
+            const needed = this._parametersInUse.has('session_idle');
+
+            if (needed && !this._idleWatchId) {
+                try {
+                    this._idleMonitor = global.backend.get_core_idle_monitor();
+                    this._idleWatchId = this._idleMonitor.add_idle_watch(IDLE_MINUTE_MS, () => this._onSessionIdle());
+                    this._sessionIdleMinutes = '0';
+                    if (this._idleMonitor.get_idletime() >= IDLE_MINUTE_MS) this._onSessionIdle();
+                } catch (e) {
+                    console.error(`Hara Hachi Bu: Failed to initialize idle monitoring: ${e}`);
+                }
+            } else if (!needed && this._idleWatchId) {
+                this._stopIdleMonitoring();
+            }
+        }
+
+        _stopIdleMonitoring() {
+            if (this._idleTimerId) {
+                GLib.Source.remove(this._idleTimerId);
+                this._idleTimerId = null;
+            }
+            if (this._idleMonitor) {
+                if (this._idleWatchId) this._idleMonitor.remove_watch(this._idleWatchId);
+                if (this._activeWatchId) this._idleMonitor.remove_watch(this._activeWatchId);
+            }
+            this._idleWatchId = 0;
+            this._activeWatchId = 0;
+            this._idleMonitor = null;
+            this._sessionIdleMinutes = null;
+        }
+
+        _onSessionIdle() {
+            if (this._destroyed || !this._idleMonitor) return;
+            this._updateIdleMinutes();
+
+            // User-active watches fire once, so one is added per idle period
+            if (!this._activeWatchId) {
+                this._activeWatchId = this._idleMonitor.add_user_active_watch(() => {
+                    this._activeWatchId = 0;
+                    if (this._idleTimerId) {
+                        GLib.Source.remove(this._idleTimerId);
+                        this._idleTimerId = null;
+                    }
+                    this._updateIdleMinutes();
+                });
+            }
+
+            if (!this._idleTimerId) {
+                this._idleTimerId = GLib.timeout_add(GLib.PRIORITY_DEFAULT, IDLE_MINUTE_MS, () => {
+                    this._updateIdleMinutes();
+                    return GLib.SOURCE_CONTINUE;
+                });
+            }
+        }
+
+        _updateIdleMinutes() {
+            if (this._destroyed || !this._idleMonitor) return;
+            const minutes = String(Math.floor(this._idleMonitor.get_idletime() / IDLE_MINUTE_MS));
+            if (this._sessionIdleMinutes !== minutes) {
+                this._sessionIdleMinutes = minutes;
+                this.emit('parameter-changed', 'session_idle', minutes);
+            }
+        }
+
+        /**
+         * Re-read the attached USB devices if the sysfs device directory changed
+         * since the last poll. Listing it is cheap; reading each device's IDs is not.
+         */
+        async _pollUsbDevices() {
+            const entries = (await Helper.listDirectoryAsync(Constants.SYSFS_USB_DEVICES_PATH)).sort().join(',');
+            if (this._destroyed || entries === this._usbEntries) return;
+
+            this._usbEntries = entries;
+            await this._updateUsbDevices();
+        }
+
+        async _updateUsbDevices() {
+            const serial = ++this._usbScanSerial;
+            let devices;
+            try {
+                devices = await Helper.getUsbDevicesSysfs(Constants.SYSFS_USB_DEVICES_PATH);
+            } catch (e) {
+                Helper.debugError(`Error scanning USB devices: ${e.message}`);
+                return;
+            }
+            if (this._destroyed || serial !== this._usbScanSerial) return;
+
+            const ids = devices.map((d) => d.id);
+            if (ids.join(',') !== this._usbDevices.join(',')) {
+                this._usbDevices = ids;
+                this.emit('parameter-changed', 'usb_device', ids.join(','));
+            }
+        }
+
+        _getFocusedAppId() {
+            return this._windowTracker?.focus_app?.get_id() ?? '';
+        }
+
+        _getRunningAppIds() {
+            if (!this._appSystem) return [];
+            return this._appSystem
+                .get_running()
+                .map((app) => app.get_id())
+                .filter((id) => id)
+                .sort();
+        }
+
+        _onFocusAppChanged() {
+            if (this._destroyed) return;
+            const appId = this._getFocusedAppId();
+            if (this._activeApplication !== appId) {
+                this._activeApplication = appId;
+                this.emit('parameter-changed', 'active_application', appId);
+            }
+        }
+
+        _onRunningAppsChanged() {
+            if (this._destroyed) return;
+            // app-state-changed also fires for starting/stopping transitions; only emit on set changes
+            const appIds = this._getRunningAppIds();
+            if (appIds.join(',') !== this._runningApplications.join(',')) {
+                this._runningApplications = appIds;
+                this.emit('parameter-changed', 'running_application', appIds.join(','));
+            }
+        }
+
+        async _updateWifiNetwork() {
+            // Serial guards against out-of-order completion of overlapping queries
+            const serial = ++this._wifiUpdateSerial;
+            let ssids;
+            try {
+                ssids = await Helper.getActiveWifiSsids(Constants.NM_BUS_NAME, Constants.NM_OBJECT_PATH);
+            } catch (e) {
+                Helper.debugWarn(`NetworkManager unavailable: ${e.message}`);
+                ssids = [];
+            }
+
+            if (this._destroyed || serial !== this._wifiUpdateSerial) return;
+
+            const ssid = ssids[0] ?? '';
+            if (this._wifiNetwork !== ssid) {
+                this._wifiNetwork = ssid;
+                this.emit('parameter-changed', 'wifi_network', ssid);
+            }
+        }
+
         async _initializePowerSourceMonitoring() {
             const UPowerInterface = `
         <node>
@@ -151,6 +636,8 @@ export const ParameterDetector = GObject.registerClass(
                                                 'power_source',
                                                 this._onBattery ? 'battery' : 'ac'
                                             );
+                                            // Charger details change with the power source; don't wait for the next poll
+                                            this._updateChargerInfo();
                                         }
                                     }
 
@@ -195,6 +682,8 @@ export const ParameterDetector = GObject.registerClass(
         _processMonitorChange() {
             if (this._destroyed) return;
             const oldValue = this._externalDisplayConnected;
+            const oldCount = this._externalDisplayCount;
+            const oldModels = this._externalDisplayModels.join(',');
             this._updateDisplayState();
 
             if (oldValue !== this._externalDisplayConnected) {
@@ -204,6 +693,12 @@ export const ParameterDetector = GObject.registerClass(
                     this._externalDisplayConnected ? 'connected' : 'not_connected'
                 );
             }
+
+            if (oldCount !== this._externalDisplayCount)
+                this.emit('parameter-changed', 'external_display_count', String(this._externalDisplayCount));
+
+            const models = this._externalDisplayModels.join(',');
+            if (oldModels !== models) this.emit('parameter-changed', 'external_display_model', models);
         }
 
         _isInternalMonitor(monitor) {
@@ -227,24 +722,40 @@ export const ParameterDetector = GObject.registerClass(
                     const monitors = this._monitorManager.get_monitors();
                     if (Array.isArray(monitors)) {
                         let externalCount = 0;
+                        const models = new Set();
                         for (const monitor of monitors) {
-                            if (!this._isInternalMonitor(monitor)) externalCount++;
+                            if (this._isInternalMonitor(monitor)) continue;
+                            externalCount++;
+                            for (const id of this._getMonitorIdentifiers(monitor)) models.add(id);
                         }
 
                         this._externalDisplayConnected = externalCount > 0;
+                        this._externalDisplayCount = externalCount;
+                        this._externalDisplayModels = [...models].sort();
                         return;
                     }
                 }
 
-                // Fallback: count logical monitors
+                // Fallback: count logical monitors, assuming one is built in (models unknown)
                 const numMonitors = global.display.get_n_monitors();
                 this._externalDisplayConnected = numMonitors > 1;
+                this._externalDisplayCount = Math.max(0, numMonitors - 1);
+                this._externalDisplayModels = [];
             } catch (e) {
                 console.error(`Hara Hachi Bu: Error updating display state: ${e}`);
                 this._externalDisplayConnected = false;
+                this._externalDisplayCount = 0;
+                this._externalDisplayModels = [];
             }
         }
 
+        _getMonitorIdentifiers(monitor) {
+            const vendor = typeof monitor.get_vendor === 'function' ? monitor.get_vendor() : null;
+            const product = typeof monitor.get_product === 'function' ? monitor.get_product() : null;
+            const serial = typeof monitor.get_serial === 'function' ? monitor.get_serial() : null;
+            return Helper.getMonitorIdentifiers(vendor, product, serial);
+        }
+
         /**
          * Get the current value of a parameter
          */
@@ -252,12 +763,39 @@ export const ParameterDetector = GObject.registerClass(
             switch (paramName) {
                 case 'external_display':
                     return this._externalDisplayConnected ? 'connected' : 'not_connected';
+                case 'external_display_count':
+                    return String(this._externalDisplayCount);
+                case 'external_display_model':
+                    return [...this._externalDisplayModels];
+                case 'usb_device':
+                    return [...this._usbDevices];
+                case 'screen_locked':
+                    return this._screenLocked ? 'locked' : 'unlocked';
+                case 'session_idle':
+                    return this._sessionIdleMinutes;
                 case 'power_source':
                     return this._onBattery ? 'battery' : 'ac';
                 case 'lid_state':
                     return this._lidClosed ? 'closed' : 'open';
                 case 'battery_level':
                     return this._batteryLevel;
+                case 'battery_drain_rate':
+                    return this._batteryDrainRate;
+                case 'wifi_network':
+                    return this._wifiNetwork;
+                case 'active_application':
+                    return this._activeApplication;
+                case 'running_application':
+                    return [...this._runningApplications];
+                case 'fullscreen':
+                    return this._fullscreenActive ? 'active' : 'inactive';
+                case 'cpu_load':
+                    return this._cpuLoad;
+                case 'battery_temperature':
+                case 'cpu_temperature':
+                case 'charger_type':
+                case 'charger_power':
+                    return this._polledValues[paramName];
                 default:
                     return null;
             }
@@ -269,9 +807,24 @@ export const ParameterDetector = GObject.registerClass(
         getAllValues() {
             return {
                 external_display: this.getValue('external_display'),
+                external_display_count: this.getValue('external_display_count'),
+                external_display_model: this.getValue('external_display_model'),
+                usb_device: this.getValue('usb_device'),
                 power_source: this.getValue('power_source'),
                 lid_state: this.getValue('lid_state'),
                 battery_level: this.getValue('battery_level'),
+                battery_drain_rate: this.getValue('battery_drain_rate'),
+                wifi_network: this.getValue('wifi_network'),
+                active_application: this.getValue('active_application'),
+                running_application: this.getValue('running_application'),
+                fullscreen: this.getValue('fullscreen'),
+                screen_locked: this.getValue('screen_locked'),
+                session_idle: this.getValue('session_idle'),
+                cpu_load: this.getValue('cpu_load'),
+                battery_temperature: this.getValue('battery_temperature'),
+                cpu_temperature: this.getValue('cpu_temperature'),
+                charger_type: this.getValue('charger_type'),
+                charger_power: this.getValue('charger_power'),
             };
         }
 
@@ -283,23 +836,10 @@ export const ParameterDetector = GObject.registerClass(
         }
 
         /**
-         * Get external display count (for backward compatibility)
+         * Get external display count (also exposed as the external_display_count parameter)
          */
         get externalDisplayCount() {
-            if (!this._monitorManager || !this._monitorManager.get_monitors)
-                return this._externalDisplayConnected ? 1 : 0;
-
-            const monitors = this._monitorManager.get_monitors();
-            if (Array.isArray(monitors)) {
-                let count = 0;
-                for (const monitor of monitors) {
-                    if (!this._isInternalMonitor(monitor)) count++;
-                }
-
-                return count;
-            }
-
-            return this._externalDisplayConnected ? 1 : 0;
+            return this._externalDisplayCount;
         }
 
         /**
@@ -314,6 +854,18 @@ export const ParameterDetector = GObject.registerClass(
             }
         }
 
+        /**
+         * Update battery drain rate (%/hour, or null while unknown) from StateManager.
+         * Emits 'parameter-changed' if a known value changed.
+         */
+        setBatteryDrainRate(rate) {
+            const strRate = rate === null ? null : String(rate);
+            if (this._batteryDrainRate !== strRate) {
+                this._batteryDrainRate = strRate;
+                if (strRate !== null) this.emit('parameter-changed', 'battery_drain_rate', strRate);
+            }
+        }
+
         destroy() {
             this._destroyed = true;
 
@@ -327,8 +879,30 @@ export const ParameterDetector = GObject.registerClass(
                 this._debounceTimeoutId = null;
             }
 
+            if (this._fullscreenDebounceId) {
+                GLib.Source.remove(this._fullscreenDebounceId);
+                this._fullscreenDebounceId = null;
+            }
+
+            if (this._pollTimerId) {
+                GLib.Source.remove(this._pollTimerId);
+                this._pollTimerId = null;
+            }
+
+            global.display.disconnectObject(this);
+            Main.sessionMode.disconnectObject(this);
+            this._stopIdleMonitoring();
+
             if (this._monitorManager) this._monitorManager.disconnectObject(this);
 
+            if (this._windowTracker) this._windowTracker.disconnectObject(this);
+            if (this._appSystem) this._appSystem.disconnectObject(this);
+            this._windowTracker = null;
+            this._appSystem = null;
+
+            for (const id of this._nmSignalIds) Gio.DBus.system.signal_unsubscribe(id);
+            this._nmSignalIds = [];
+
             if (this._upowerProxy) {
                 this._upowerProxy.disconnectObject(this);
                 this._upowerProxy = null;
@@ -0,0 +1,133 @@
+/*
+ * Hara Hachi Bu - GNOME Shell Extension
+ * Copyright (C) 2024-2026 zvi
+ * SPDX-License-Identifier: GPL-3.0-or-later
+ *
+ * ParameterSuggestions provides value suggestions for free-form rule
+ * parameters, read from the current system state. Used by the preferences
+ * rule editor; safe to import outside of GNOME Shell.
+ */
+'use strict';
+
+import Gio from 'gi://Gio';
+import GLib from 'gi://GLib';
+import * as Helper from './helper.js';
+import * as Constants from './constants.js';
+
+const _ = (s) => GLib.dgettext('hara-hachi-bu', s);
+
+const APPLICATION_PARAMETERS = ['active_application', 'running_application'];
+
+// Minimum time between rescans of the installed applications for an unknown id
+const APP_NAMES_RESCAN_US = 60000000; // 1 minute
+
+// Application id -> display name, so labels do not scan all installed apps on every redraw
+let _appNames = null;
+let _appNamesScanTime = 0;
+
+/**
+ * Installed applications shown in the app grid, sorted by name
+ */
+function getApplicationSuggestions() {
+    return Gio.AppInfo.get_all()
+        .filter((app) => app.should_show() && app.get_id())
+        .map((app) => ({
+            value: app.get_id(),
+            label: app.get_display_name(),
+            description: app.get_id(),
+            icon: app.get_icon(),
+        }))
+        .sort((a, b) => a.label.localeCompare(b.label));
+}
+
+/**
+ * Display name of an installed application, or null if unknown. An unknown id
+ * triggers a rescan at most once a minute, to pick up newly installed apps.
+ */
+function getApplicationName(appId) {
+    const now = GLib.get_monotonic_time();
+    if (!_appNames || (!_appNames.has(appId) && now - _appNamesScanTime > APP_NAMES_RESCAN_US)) {
+        _appNames = new Map(
+            Gio.AppInfo.get_all()
+                .filter((app) => app.get_id())
+                .map((app) => [app.get_id(), app.get_display_name()])
+        );
+        _appNamesScanTime = now;
+    }
+    return _appNames.get(appId) ?? null;
+}
+
+/**
+ * Connected external monitors from Mutter, each offered as the exact unit and as any unit of the model
+ */
+async function getMonitorSuggestions() {
+    const result = await Gio.DBus.session.call(
+        Constants.MUTTER_DISPLAY_CONFIG_BUS_NAME,
+        Constants.MUTTER_DISPLAY_CONFIG_PATH,
+        'org.gnome.Mutter.DisplayConfig',
+        'GetCurrentState',
+        null,
+        null,
+        Gio.DBusCallFlags.NONE,
+        -1,
+        null
+    );
+    const [, monitors] = result.recursiveUnpack();
+
+    const suggestions = [];
+    for (const [[connector, vendor, product, serial], , properties] of monitors) {
+        if (properties['is-builtin']) continue;
+        const name = properties['display-name'] || connector;
+        const [exactId, modelId] = Helper.getMonitorIdentifiers(vendor, product, serial);
+        suggestions.push({value: exactId, label: name, description: _('This monitor (%s)').format(exactId)});
+        if (modelId) {
+            suggestions.push({
+                value: modelId,
+                label: name,
+                description: _('Any monitor of this model (%s)').format(modelId),
+            });
+        }
+    }
+    return suggestions;
+}
+
+/**
+ * Get suggested values for a free-form parameter.
+ * Returns an array of {value, label, description, icon?}; empty when nothing is available.
+ */
+export async function getSuggestions(paramName) {
+    try {
+        switch (paramName) {
+            case 'wifi_network': {
+                const ssids = await Helper.getActiveWifiSsids(Constants.NM_BUS_NAME, Constants.NM_OBJECT_PATH);
+                return ssids.map((ssid) => ({value: ssid, label: ssid, description: _('Currently connected')}));
+            }
+            case 'external_display_model':
+                return await getMonitorSuggestions();
+            case 'usb_device': {
+                const devices = await Helper.getUsbDevicesSysfs(Constants.SYSFS_USB_DEVICES_PATH);
+                return devices.map((d) => ({value: d.id, label: d.name || d.id, description: d.id}));
+            }
+            case 'active_application':
+            case 'running_application':
+                return getApplicationSuggestions();
+            default:
+                return [];
+        }
+    } catch (e) {
+        Helper.debugWarn(`Failed to get suggestions for ${paramName}: ${e.message}`);
+        return [];
+    }
+}
+
+/**
+ * Human-readable label for a stored free-form value, or null to show it as-is
+ */
+export function getValueLabel(paramName, value) {
+    if (!APPLICATION_PARAMETERS.includes(paramName)) return null;
+    try {
+        return getApplicationName(value);
+    } catch {
+        return null;
+    }
+}
@@ -47,6 +47,11 @@ export function getProfileIcon(profile) {
  */
 export const MAX_PROFILES = 10;
 
+/**
+ * Highest explicit priority a profile may have.
+ */
+export const MAX_PROFILE_PRIORITY = 100;
+
 /**
  * Default profile definitions for backward compatibility.
  */
@@ -205,24 +210,50 @@ export function validateProfile(profile) {
     if (typeof profile.id !== 'string' || !isValidProfileId(profile.id)) return null;
 
     if (profile.rules !== undefined && profile.rules !== null) {
-        if (!Array.isArray(profile.rules)) {
-            profile.rules = [];
+        // Legacy flat condition lists are read as a top-level 'all' group
+        profile.rules = RuleEvaluator.normalizeRules(profile.rules);
+        if (!Constants.RULE_GROUP_MATCH[profile.rules.match]) {
+            debugWarn(`Dropping rules with invalid match mode from profile "${profile.id}"`);
+            profile.rules = RuleEvaluator.normalizeRules(null);
         } else {
-            const validRules = profile.rules.filter((rule, i) => {
-                const result = RuleEvaluator.validateCondition(rule);
-                if (!result.valid) {
-                    debugWarn(
-                        `Dropping invalid rule ${i + 1} from profile "${profile.id}": ${result.error}`
-                    );
-                    return false;
-                }
-                return true;
-            });
-            if (validRules.length !== profile.rules.length) profile.rules = validRules;
+            _sanitizeRuleGroup(profile.rules, profile.id);
+        }
+    }
+
+    if (profile.priority !== undefined) {
+        const {priority} = profile;
+        if (!Number.isInteger(priority) || priority < 0 || priority > MAX_PROFILE_PRIORITY) {
+            debugWarn(`Invalid priority in profile "${profile.id}", removing it`);
+            delete profile.priority;
         }
     }
 
+    if (profile.exitAction === null) {
+        delete profile.exitAction;
+    } else if (profile.exitAction !== undefined) {
+        const {exitAction} = profile;
+        const valid =
+            exitAction?.type === 'restore' ||
+            (exitAction?.type === 'switch' &&
+                typeof exitAction.profileId === 'string' &&
+                isValidProfileId(exitAction.profileId) &&
+                exitAction.profileId !== profile.id);
+        if (!valid) {
+            debugWarn(`Invalid exit action in profile "${profile.id}", removing it`);
+            delete profile.exitAction;
+        }
+    }
+
+    // Only `fallback: true` is stored; anything else means "not the fallback"
+    if (profile.fallback !== undefined && profile.fallback !== true) {
+        if (profile.fallback !== false) debugWarn(`Invalid fallback flag in profile "${profile.id}", removing it`);
+        delete profile.fallback;
+    }
+
     if (profile.schedule !== undefined && profile.schedule !== null) {
+        // Legacy single-window schedules are read as a schedule with one window
+        profile.schedule = ScheduleUtils.normalizeSchedule(profile.schedule);
+
         // Only fully validate when the schedule is enabled; when disabled,
         // preserve raw data so the user's time inputs survive save/edit cycles.
         if (profile.schedule.enabled) {
@@ -239,12 +270,40 @@ export function validateProfile(profile) {
     return profile;
 }
 
+/**
+ * Drop invalid conditions and malformed or empty nested groups from a rule group, in place.
+ */
+function _sanitizeRuleGroup(group, profileId, depth = 1, path = '') {
+    const conditions = group.conditions.filter((node, i) => {
+        const nodePath = `${path}${i + 1}`;
+        if (RuleEvaluator.isRuleGroup(node)) {
+            if (depth >= Constants.MAX_RULE_GROUP_DEPTH || !Constants.RULE_GROUP_MATCH[node.match]) {
+                debugWarn(`Dropping invalid rule group ${nodePath} from profile "${profileId}"`);
+                return false;
+            }
+            _sanitizeRuleGroup(node, profileId, depth + 1, `${nodePath}.`);
+            return node.conditions.length > 0;
+        }
+
+        const result = RuleEvaluator.validateCondition(node);
+        if (!result.valid) {
+            debugWarn(`Dropping invalid rule ${nodePath} from profile "${profileId}": ${result.error}`);
+            return false;
+        }
+        return true;
+    });
+    if (conditions.length !== group.conditions.length) group.conditions = conditions;
+}
+
 /**
  * Check if a profile is configured for automatic activation.
- * Derived from presence of rules or an enabled schedule.
+ * Derived from presence of rules, an enabled schedule, or being the fallback.
  */
 export function isAutoManaged(profile) {
-    return !!(profile && (profile.rules?.length > 0 || profile.schedule?.enabled));
+    return !!(
+        profile &&
+        (RuleEvaluator.hasRules(profile.rules) || profile.schedule?.enabled || profile.fallback === true)
+    );
 }
 
 // Module-level cache for getCustomProfiles
@@ -289,6 +348,17 @@ export function getCustomProfiles(settings) {
             return true;
         });
 
+        // At most one fallback: keep the first, as a hand-edited setting may have more
+        let hasFallback = false;
+        for (const profile of validProfiles) {
+            if (!profile.fallback) continue;
+            if (hasFallback) {
+                debugWarn(`Profile "${profile.id}" is not the only fallback, removing its fallback flag`);
+                delete profile.fallback;
+            }
+            hasFallback = true;
+        }
+
         // If all profiles were invalid, reinitialize with defaults
         if (validProfiles.length === 0) {
             saveCustomProfiles(settings, defaults);
@@ -336,29 +406,39 @@ export function getProfileById(settings, profileId) {
 
 /**
  * Create a new custom profile.
+ * Options: fallback (apply when no profile matches) and exitAction.
  */
-export function createProfile(settings, id, name, powerMode, batteryMode, rules = null, schedule = null) {
+export function createProfile(
+    settings,
+    id,
+    name,
+    powerMode,
+    batteryMode,
+    rules = null,
+    schedule = null,
+    {fallback = false, exitAction = null} = {}
+) {
     const profiles = [...getCustomProfiles(settings)];
 
     if (profiles.length >= MAX_PROFILES) return false;
     if (profiles.some((p) => p.id === id)) return false;
     if (!isValidProfileId(id)) return false;
     if (!name || name.trim().length === 0) return false;
+    if (fallback && RuleEvaluator.getFallbackProfile(profiles)) return false;
 
-    if (rules) {
-        const rulesValidation = RuleEvaluator.validateRules(rules);
-        if (!rulesValidation.valid) return false;
-    }
+    rules = RuleEvaluator.normalizeRules(rules);
+    const rulesValidation = RuleEvaluator.validateRules(rules);
+    if (!rulesValidation.valid) return false;
 
     if (schedule?.enabled) {
         const scheduleValidation = ScheduleUtils.validateSchedule(schedule);
         if (!scheduleValidation.valid) return false;
     }
 
-    const hasRules = rules && rules.length > 0;
+    const hasRules = RuleEvaluator.hasRules(rules);
     const hasSchedule = schedule?.enabled;
     if (hasRules || hasSchedule) {
-        const newProfile = {id, name, powerMode, batteryMode, rules: rules || [], schedule};
+        const newProfile = {id, name, powerMode, batteryMode, rules, schedule};
         const conflict = RuleEvaluator.findRuleConflict(profiles, newProfile);
         if (conflict) return false;
     }
@@ -368,9 +448,11 @@ export function createProfile(settings, id, name, powerMode, batteryMode, rules
         name: name.trim(),
         powerMode,
         batteryMode,
-        rules: rules || [],
+        rules,
         schedule: schedule || null,
     };
+    if (fallback) newProfile.fallback = true;
+    if (exitAction) newProfile.exitAction = exitAction;
 
     if (validateProfile(newProfile) === null) return false;
 
@@ -391,6 +473,12 @@ export function updateProfile(settings, profileId, updates) {
     updates = {...updates};
     delete updates.id; // Prevent ID modification
 
+    // Only one profile may be the fallback
+    if (updates.fallback === true) {
+        const currentFallback = RuleEvaluator.getFallbackProfile(profiles);
+        if (currentFallback && currentFallback.id !== profileId) return false;
+    }
+
     if (updates.rules !== undefined) {
         const rulesValidation = RuleEvaluator.validateRules(updates.rules);
         if (!rulesValidation.valid) return false;
@@ -414,6 +502,65 @@ export function updateProfile(settings, profileId, updates) {
     return true;
 }
 
+/**
+ * Assign priorities from an ordered list of profile IDs, highest priority first.
+ * Profiles not in the list lose their priority, so an empty list restores
+ * plain most-specific-wins matching. Profiles are stored in priority order.
+ */
+export function setProfilePriorities(settings, orderedIds) {
+    const profiles = getCustomProfiles(settings).map((p) => ({...p}));
+
+    for (const profile of profiles) {
+        const index = orderedIds.indexOf(profile.id);
+        if (index === -1) delete profile.priority;
+        else profile.priority = orderedIds.length - index;
+    }
+    profiles.sort((a, b) => RuleEvaluator.getProfilePriority(b) - RuleEvaluator.getProfilePriority(a));
+
+    saveCustomProfiles(settings, profiles);
+    return true;
+}
+
+/**
+ * Move a profile to another profile's place in the priority order, as when
+ * dragging it onto that profile. Only the moved profile and the profiles that
+ * must stay ahead of it change priority, so the order of all other profiles,
+ * including ties left to most-specific-wins, is kept. Profiles are stored in
+ * priority order.
+ */
+export function moveProfile(settings, profileId, targetId) {
+    const profiles = getCustomProfiles(settings)
+        .map((p) => ({...p}))
+        .sort((a, b) => RuleEvaluator.getProfilePriority(b) - RuleEvaluator.getProfilePriority(a));
+    const from = profiles.findIndex((p) => p.id === profileId);
+    const to = profiles.findIndex((p) => p.id === targetId);
+    if (from === -1 || to === -1 || from === to) return false;
+
+    // Moving up puts the profile just above the target's priority, moving down
+    // just below it; profiles at or above that priority move up by one
+    const moved = profiles[from];
+    const targetPriority = RuleEvaluator.getProfilePriority(profiles[to]);
+    const priority = from > to ? targetPriority + 1 : targetPriority;
+    const priorities = new Map();
+    for (const profile of profiles) {
+        const current = RuleEvaluator.getProfilePriority(profile);
+        priorities.set(profile, profile === moved ? priority : current + (current >= priority ? 1 : 0));
+    }
+
+    // Renumber consecutively to stay within MAX_PROFILE_PRIORITY; 0 stays "no priority"
+    const values = [...new Set(priorities.values())].sort((a, b) => a - b);
+    const offset = values[0] === 0 ? 0 : 1;
+    for (const profile of profiles) {
+        const rank = values.indexOf(priorities.get(profile)) + offset;
+        if (rank === 0) delete profile.priority;
+        else profile.priority = rank;
+    }
+    profiles.sort((a, b) => RuleEvaluator.getProfilePriority(b) - RuleEvaluator.getProfilePriority(a));
+
+    saveCustomProfiles(settings, profiles);
+    return true;
+}
+
 /**
  * Delete a profile by ID.
  */
@@ -422,7 +569,15 @@ export function deleteProfile(settings, profileId) {
     const profile = profiles.find((p) => p.id === profileId);
     if (!profile) return false;
 
-    const filtered = profiles.filter((p) => p.id !== profileId);
+    // Exit actions switching to the deleted profile fall back to keeping the current modes
+    const filtered = profiles
+        .filter((p) => p.id !== profileId)
+        .map((p) => {
+            if (p.exitAction?.profileId !== profileId) return p;
+            const copy = {...p};
+            delete copy.exitAction;
+            return copy;
+        });
     saveCustomProfiles(settings, filtered);
     return true;
 }
@@ -461,7 +616,7 @@ export function validateProfileInput(settings, id, name, powerMode, batteryMode,
     return {valid: true, error: null};
 }
 
-const CURRENT_MIGRATION_VERSION = 6;
+const CURRENT_MIGRATION_VERSION = 8;
 
 /**
  * Run all pending data migrations based on version tracking.
@@ -492,6 +647,14 @@ export function runMigrations(settings) {
         if (_stripDerivedFields(settings)) migrationsPerformed = true;
     }
 
+    if (currentVersion < 7) {
+        if (_migrateToRuleGroups(settings)) migrationsPerformed = true;
+    }
+
+    if (currentVersion < 8) {
+        if (_migrateToScheduleWindows(settings)) migrationsPerformed = true;
+    }
+
     settings.set_int('migration-version', CURRENT_MIGRATION_VERSION);
     return migrationsPerformed;
 }
@@ -505,7 +668,7 @@ function _migrateToRuleBasedProfiles(settings) {
 
     for (const profile of profiles) {
         if (!profile.rules) {
-            profile.rules = [];
+            profile.rules = RuleEvaluator.normalizeRules(null);
             changed = true;
         }
         if (!profile.forceDischarge) {
@@ -527,7 +690,7 @@ function _migrateToAutoManagedField(settings) {
 
     for (const profile of profiles) {
         if (profile.autoManaged === undefined) {
-            profile.autoManaged = !!(profile.rules && profile.rules.length > 0);
+            profile.autoManaged = RuleEvaluator.hasRules(profile.rules);
             changed = true;
         }
     }
@@ -594,3 +757,39 @@ function _stripDerivedFields(settings) {
     if (changed) saveCustomProfiles(settings, profiles);
     return changed;
 }
+
+/**
+ * Internal migration: store flat rule lists as a top-level 'all' group.
+ * validateProfile already reads legacy lists in group form; this persists it.
+ */
+function _migrateToRuleGroups(settings) {
+    try {
+        const storedProfiles = JSON.parse(settings.get_string('custom-profiles'));
+        if (!Array.isArray(storedProfiles) || !storedProfiles.some((p) => Array.isArray(p?.rules))) return false;
+    } catch {
+        return false; // Parse error; getCustomProfiles handles recovery
+    }
+
+    saveCustomProfiles(settings, [...getCustomProfiles(settings)]);
+    return true;
+}
+
+/**
+ * Internal migration: store single-window schedules as a list of time windows.
+ * validateProfile already reads legacy schedules in windowed form; this persists it.
+ */
+function _migrateToScheduleWindows(settings) {
+    try {
+        const storedProfiles = JSON.parse(settings.get_string('custom-profiles'));
+        if (
+            !Array.isArray(storedProfiles) ||
+            !storedProfiles.some((p) => p?.schedule && !Array.isArray(p.schedule.windows))
+        )
+            return false;
+    } catch {
+        return false; // Parse error; getCustomProfiles handles recovery
+    }
+
+    saveCustomProfiles(settings, [...getCustomProfiles(settings)]);
+    return true;
+}
@@ -18,6 +18,7 @@ import * as PopupMenu from 'resource:///org/gnome/shell/ui/popupMenu.js';
 import * as QuickSettings from 'resource:///org/gnome/shell/ui/quickSettings.js';
 
 import * as ProfileMatcher from './profileMatcher.js';
+import * as RuleExplanation from './ruleExplanation.js';
 import * as ScheduleUtils from './scheduleUtils.js';
 import {getIconFromPath} from './helper.js';
 
@@ -86,12 +87,14 @@ const PowerManagerToggle = GObject.registerClass(
             this._errorSection = new PopupMenu.PopupMenuSection();
             this._profileSection = new PopupMenu.PopupMenuSection();
             this._manualOverridesSection = new PopupMenu.PopupMenuSection();
+            this._explainSection = new PopupMenu.PopupMenuSection();
             this._powerModeSection = new PopupMenu.PopupMenuSection();
 
             // Add section headers and items
             this._buildErrorSection();
             this._buildProfileSection();
             this._buildManualOverridesSection();
+            this._buildExplainSection();
 
             // Create scrollable container for main content sections
             const scrollView = new St.ScrollView({
@@ -137,6 +140,9 @@ const PowerManagerToggle = GObject.registerClass(
             // Profiles
             this._scrollBox.add_child(this._profileSection.actor);
 
+            // Rule explanation (collapsible, only with auto-managed scenarios)
+            this._scrollBox.add_child(this._explainSection.actor);
+
             // Manual Overrides section (collapsible)
             const manualSep = new PopupMenu.PopupSeparatorMenuItem();
             this._scrollBox.add_child(manualSep.actor);
@@ -176,6 +182,15 @@ const PowerManagerToggle = GObject.registerClass(
                 this
             );
 
+            // Detected parameters change without a state change, so refresh on open
+            this.menu.connectObject(
+                'open-state-changed',
+                (_menu, isOpen) => {
+                    if (isOpen) this._updateExplanation();
+                },
+                this
+            );
+
             this._settings.connectObject(
                 'changed::show-force-discharge',
                 () => {
@@ -433,6 +448,103 @@ const PowerManagerToggle = GObject.registerClass(
             );
         }
 
+        _buildExplainSection() {
+            // Collapsible header, collapsed by default
+            this._explainExpanded = false;
+            this._explainHeader = new PopupMenu.PopupMenuItem(_('Why This Scenario?'), {
+                style_class: 'popup-menu-section-header hhb-collapsible-header',
+            });
+
+            this._explainExpandIcon = new St.Icon({
+                icon_name: 'pan-end-symbolic',
+                style_class: 'popup-menu-arrow',
+            });
+            this._explainHeader.add_child(this._explainExpandIcon);
+
+            this._explainHeader.connectObject(
+                'activate',
+                () => {
+                    this._setExplainExpanded(!this._explainExpanded);
+                },
+                this
+            );
+            this._explainSection.addMenuItem(this._explainHeader);
+
+            this._explainContent = new PopupMenu.PopupMenuSection();
+            this._explainSection.addMenuItem(this._explainContent);
+
+            this._setExplainExpanded(false);
+        }
+
+        _setExplainExpanded(expanded) {
+            this._explainExpanded = expanded;
+            this._explainContent.actor.visible = expanded;
+            this._explainExpandIcon.icon_name = expanded ? 'pan-down-symbolic' : 'pan-end-symbolic';
+
+            if (this._explainHeader?.accessible) {
+                this._explainHeader.accessible.accessible_name = expanded
+                    ? _('Why This Scenario? (expanded)')
+                    : _('Why This Scenario? (collapsed)');
+            }
+
+            this._updateExplanation();
+        }
+
+        _addExplanationItem(text, iconName, depth) {
+            const item = iconName
+                ? new PopupMenu.PopupImageMenuItem(text, iconName)
+                : new PopupMenu.PopupMenuItem(text, {style_class: 'popup-menu-status-item'});
+            item.reactive = false;
+            item.can_focus = false;
+            item.add_style_class_name('hhb-explain-item');
+            if (depth > 0) item.add_style_class_name(`hhb-explain-depth-${Math.min(depth, 4)}`);
+            item.label.clutter_text.line_wrap = true;
+            item.label.clutter_text.ellipsize = Pango.EllipsizeMode.NONE;
+            this._explainContent.addMenuItem(item);
+        }
+
+        /**
+         * Rebuild the explanation list (only while expanded, since it re-evaluates all rules)
+         */
+        _updateExplanation() {
+            if (!this._explainExpanded || !this._explainContent) return;
+
+            this._explainContent.removeAll();
+
+            const explanation = this._stateManager.explainRules();
+            if (!explanation.autoSwitchEnabled)
+                this._addExplanationItem(_('Automatic switching is turned off'), null, 0);
+            else if (explanation.paused)
+                this._addExplanationItem(_('Automatic switching is paused by a manual change'), null, 0);
+
+            const profiles = ProfileMatcher.getCustomProfiles(this._settings);
+            for (const entry of explanation.profiles) {
+                if (!entry.automatic) continue;
+                const profile = profiles.find((p) => p.id === entry.profileId);
+                const name = profile ? getProfileDisplayName(profile) : entry.profileId;
+
+                this._addExplanationItem(
+                    _('%s: %s').format(name, RuleExplanation.formatExplanationStatus(entry)),
+                    entry.selected ? 'object-select-symbolic' : null,
+                    0
+                );
+
+                if (entry.scheduleActive !== null) {
+                    this._addExplanationItem(
+                        entry.scheduleActive ? _('Schedule window open') : _('Schedule window closed'),
+                        entry.scheduleActive ? 'emblem-ok-symbolic' : 'window-close-symbolic',
+                        1
+                    );
+                }
+
+                for (const line of RuleExplanation.getExplanationLines(entry.rules)) {
+                    let iconName = line.result ? 'emblem-ok-symbolic' : 'window-close-symbolic';
+                    if (line.waiting) iconName = 'content-loading-symbolic';
+                    this._addExplanationItem(line.text, iconName, line.depth + 1);
+                }
+            }
+        }
+
         _toggleManualOverrides() {
             this._setManualOverridesExpanded(!this._manualOverridesExpanded);
         }
@@ -751,6 +863,7 @@ const PowerManagerToggle = GObject.registerClass(
             if (this._autoManageSeparator) this._autoManageSeparator.actor.visible = hasAutoManaged;
             if (this._autoSwitchToggle) this._autoSwitchToggle.actor.visible = hasAutoManaged;
             if (!hasAutoManaged && this._pausedIndicator) this._pausedIndicator.actor.visible = false;
+            if (this._explainSection) this._explainSection.actor.visible = hasAutoManaged;
         }
 
         _updatePausedIndicator() {
@@ -1074,6 +1187,7 @@ const PowerManagerToggle = GObject.registerClass(
             this._updateBoostChargeState();
             this._updateBatteryHealthDisplay();
             this._updatePausedIndicator();
+            this._updateExplanation();
             this._updateIcon();
 
             // Update checked state based on profile match
@@ -1138,6 +1252,9 @@ const PowerManagerToggle = GObject.registerClass(
                 } else {
                     secondary = isForce ? _('Using battery on AC') : _('Discharging');
                 }
+                const drainRate = this._stateManager.batteryDrainRate;
+                // Translators: Battery drain rate appended to the discharging status, e.g. "Discharging (3h 10m) • 12%/h"
+                if (drainRate > 0) secondary = _('%s \u2022 %d%%/h').format(secondary, drainRate);
             } else if (batteryStatus === 'Not charging') {
                 const endThreshold = this._stateManager.currentEndThreshold;
                 secondary = endThreshold > 0 ? _('Not charging (limit: %d%%)').format(endThreshold) : _('Not charging');
@@ -1185,11 +1302,12 @@ const PowerManagerToggle = GObject.registerClass(
             if (currentProfile && this._profileItems?.[currentProfile]) {
                 const profileConfig = ProfileMatcher.getProfileById(this._settings, currentProfile);
                 if (profileConfig?.schedule?.enabled) {
+                    const activeWindow = ScheduleUtils.getActiveScheduleWindow(profileConfig.schedule);
                     const endTime = ScheduleUtils.getScheduleEndTimeToday(profileConfig.schedule);
-                    if (endTime) {
+                    if (activeWindow && endTime) {
                         const item = this._profileItems[currentProfile];
                         const baseName = getProfileDisplayName(profileConfig);
-                        const daysSummary = ScheduleUtils.formatDaysSummary(profileConfig.schedule.days);
+                        const daysSummary = ScheduleUtils.formatDaysSummary(activeWindow.days);
                         item.label.text = daysSummary
                             ? _('%s (%s until %s)').format(baseName, daysSummary, endTime)
                             : _('%s (until %s)').format(baseName, endTime);
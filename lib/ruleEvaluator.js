@@ -8,15 +8,31 @@
 'use strict';
 
 import GLib from 'gi://GLib';
-import {OPERATORS, PARAMETERS} from './constants.js';
+import {
+    DEFAULT_HYSTERESIS,
+    MAX_CONDITION_DURATION_SECONDS,
+    MAX_RULE_GROUP_DEPTH,
+    OPERATORS,
+    PARAMETERS,
+    RULE_GROUP_MATCH,
+} from './constants.js';
 import * as ScheduleUtils from './scheduleUtils.js';
 
 const _ = (s) => GLib.dgettext('hara-hachi-bu', s);
 
 /**
- * Evaluate a single rule condition against current parameters
+ * Hysteresis margin for a numeric condition: its own, else the parameter's, else the default
  */
-export function evaluateCondition(condition, currentParams, isCurrentlyActive = false) {
+export function getConditionHysteresis(condition) {
+    return condition.hysteresis ?? PARAMETERS[condition.param]?.hysteresis ?? DEFAULT_HYSTERESIS;
+}
+
+/**
+ * Evaluate a single rule condition against current parameters.
+ * Inside a 'none' group the condition is negated, so the hysteresis margin is
+ * reversed to keep the negated result sticky instead of the condition itself.
+ */
+export function evaluateCondition(condition, currentParams, isCurrentlyActive = false, negated = false) {
     try {
         const {param, op, value} = condition;
         const currentValue = currentParams[param];
@@ -29,8 +45,10 @@ export function evaluateCondition(condition, currentParams, isCurrentlyActive =
             return false;
         }
 
-        if (isCurrentlyActive && operator.evaluateWithHysteresis)
-            return operator.evaluateWithHysteresis(currentValue, value, true);
+        if (isCurrentlyActive && operator.evaluateWithHysteresis) {
+            const margin = getConditionHysteresis(condition);
+            return operator.evaluateWithHysteresis(currentValue, value, true, negated ? -margin : margin);
+        }
 
         return operator.evaluate(currentValue, value);
     } catch (e) {
@@ -40,31 +58,141 @@ export function evaluateCondition(condition, currentParams, isCurrentlyActive =
 }
 
 /**
- * Evaluate all rules for a profile against current parameters
+ * Check whether a rule node is a group ({match, conditions}) rather than a condition
+ */
+export function isRuleGroup(node) {
+    return !!node && typeof node === 'object' && Array.isArray(node.conditions);
+}
+
+/**
+ * Bring a profile's rules into group form.
+ * Legacy flat condition arrays become an 'all' group; missing rules become an empty group.
+ */
+export function normalizeRules(rules) {
+    if (Array.isArray(rules)) return {match: 'all', conditions: rules};
+    if (isRuleGroup(rules)) return rules;
+    return {match: 'all', conditions: []};
+}
+
+/**
+ * Count the conditions in a rule tree
+ */
+export function countConditions(rules) {
+    return getRuleConditions(rules).length;
+}
+
+/**
+ * Check whether a rule tree has at least one condition
+ */
+export function hasRules(rules) {
+    return countConditions(rules) > 0;
+}
+
+/**
+ * Evaluate a rule node, recording each condition's actual value and result
  */
-export function evaluateRules(rules, currentParams, isCurrentlyActive = false) {
-    if (!rules || rules.length === 0) return false; // Profiles with no rules don't auto-activate
+function explainNode(node, currentParams, isCurrentlyActive, negated, holdTracker, key) {
+    if (!isRuleGroup(node)) {
+        const {param, op, value} = node;
+        const forSeconds = node.forSeconds ?? 0;
+        const isTrue = evaluateCondition(node, currentParams, isCurrentlyActive, negated);
+        const result =
+            holdTracker && forSeconds > 0
+                ? holdTracker(`${key}:${param}:${op}:${value}:${forSeconds}`, isTrue, forSeconds)
+                : isTrue;
+        // waiting: true now, but not yet for its whole forSeconds duration
+        return {param, op, value, forSeconds, actual: currentParams[param] ?? null, result, waiting: isTrue && !result};
+    }
+
+    // Evaluate every child (no short-circuit) so duration tracking sees all conditions
+    const childNegated = node.match === 'none' ? !negated : negated;
+    const conditions = node.conditions.map((child, i) =>
+        explainNode(child, currentParams, isCurrentlyActive, childNegated, holdTracker, `${key}/${i}`)
+    );
 
-    for (const condition of rules) {
-        if (!evaluateCondition(condition, currentParams, isCurrentlyActive)) return false;
+    let result;
+    switch (node.match) {
+        case 'any':
+            result = conditions.some((c) => c.result);
+            break;
+        case 'none':
+            result = !conditions.some((c) => c.result);
+            break;
+        default:
+            result = conditions.every((c) => c.result);
     }
+    return {match: node.match, conditions, result};
+}
+
+function evaluateNode(node, currentParams, isCurrentlyActive, negated, holdTracker, key) {
+    return explainNode(node, currentParams, isCurrentlyActive, negated, holdTracker, key).result;
+}
+
+/**
+ * Evaluate all rules for a profile against current parameters.
+ * Conditions with a forSeconds duration are passed to holdTracker(key, isTrue, seconds),
+ * which returns whether the condition has been true for that long; keys start with
+ * keyPrefix and identify the condition by position and content. Without a tracker,
+ * durations are ignored.
+ */
+export function evaluateRules(rules, currentParams, isCurrentlyActive = false, holdTracker = null, keyPrefix = '') {
+    if (!hasRules(rules)) return false; // Profiles with no rules don't auto-activate
+
+    return evaluateNode(normalizeRules(rules), currentParams, isCurrentlyActive, false, holdTracker, keyPrefix);
+}
+
+/**
+ * Get all conditions in a rule tree as a flat list, regardless of grouping
+ */
+export function getRuleConditions(rules) {
+    if (!rules) return [];
+    if (!isRuleGroup(rules) && !Array.isArray(rules)) return [rules];
+    return normalizeRules(rules).conditions.flatMap((node) => getRuleConditions(node));
+}
+
+/**
+ * Get the names of all parameters a rule set has conditions on
+ */
+export function getRuleParameters(rules) {
+    return [...new Set(getRuleConditions(rules).map((condition) => condition.param))];
+}
+
+/**
+ * Specificity of a rule tree: the number of conditions that must hold for it to match.
+ * An 'any' group only guarantees its least specific branch.
+ */
+export function getRuleSpecificity(rules) {
+    if (!rules) return 0;
+    if (!isRuleGroup(rules) && !Array.isArray(rules)) return 1;
+
+    const group = normalizeRules(rules);
+    const childSpecificities = group.conditions.map((node) => getRuleSpecificity(node));
+    if (group.match === 'any') return childSpecificities.length > 0 ? Math.min(...childSpecificities) : 0;
+    return childSpecificities.reduce((sum, n) => sum + n, 0);
+}
 
-    return true;
+/**
+ * Get a profile's explicit priority; profiles without one have priority 0
+ */
+export function getProfilePriority(profile) {
+    return Number.isInteger(profile?.priority) ? profile.priority : 0;
 }
 
 /**
- * Find the best matching profile using most-specific-wins logic
+ * Find the best matching profile: highest priority first, then most-specific-wins.
+ * holdTracker is passed to evaluateRules, with the profile ID as key prefix.
  */
-export function findMatchingProfile(profiles, currentParams, activeProfileId = null) {
+export function findMatchingProfile(profiles, currentParams, activeProfileId = null, holdTracker = null) {
     try {
         let bestMatch = null;
         let bestSpecificity = -1;
+        let bestPriority = 0;
 
         for (const profile of profiles) {
-            const hasRules = profile.rules?.length > 0;
+            const profileHasRules = hasRules(profile.rules);
             const hasSchedule = profile.schedule?.enabled;
 
-            if (!hasRules && !hasSchedule) continue;
+            if (!profileHasRules && !hasSchedule) continue;
 
             // Schedule check: if profile has schedule but it's not active now, skip
             if (hasSchedule && !ScheduleUtils.isScheduleActive(profile.schedule)) continue;
@@ -72,14 +200,28 @@ export function findMatchingProfile(profiles, currentParams, activeProfileId = n
             const isCurrentlyActive = activeProfileId !== null && profile.id === activeProfileId;
 
             // Rules check: schedule-only profiles always match on the rules side
-            const rulesMatch = hasRules ? evaluateRules(profile.rules, currentParams, isCurrentlyActive) : true;
+            const rulesMatch = profileHasRules
+                ? evaluateRules(profile.rules, currentParams, isCurrentlyActive, holdTracker, profile.id)
+                : true;
             if (!rulesMatch) continue;
 
-            const specificity = (hasRules ? profile.rules.length : 0) + (hasSchedule ? 1 : 0);
+            const specificity = getRuleSpecificity(profile.rules) + (hasSchedule ? 1 : 0);
+            const priority = getProfilePriority(profile);
+
+            // Explicit priority takes precedence over specificity
+            if (bestMatch !== null && priority !== bestPriority) {
+                if (priority > bestPriority) {
+                    bestMatch = profile;
+                    bestSpecificity = specificity;
+                    bestPriority = priority;
+                }
+                continue;
+            }
 
             if (specificity > bestSpecificity) {
                 bestMatch = profile;
                 bestSpecificity = specificity;
+                bestPriority = priority;
             } else if (specificity === bestSpecificity) {
                 const bestHasSchedule = bestMatch.schedule?.enabled;
                 if (hasSchedule && !bestHasSchedule) {
@@ -104,181 +246,368 @@ export function findMatchingProfile(profiles, currentParams, activeProfileId = n
 }
 
 /**
- * Check if adding a rule would conflict with existing profiles
+ * Get the fallback profile, applied when findMatchingProfile finds no match
  */
-export function findRuleConflict(profiles, newProfile, editingProfileId = null) {
-    const newHasRules = newProfile.rules?.length > 0;
-    const newHasSchedule = newProfile.schedule?.enabled;
+export function getFallbackProfile(profiles) {
+    return profiles.find((p) => p.fallback === true) ?? null;
+}
 
-    if (!newHasRules && !newHasSchedule) return null; // No rules and no schedule = no conflict
+/**
+ * Explain rule matching for every profile, mirroring findMatchingProfile
+ * followed by getFallbackProfile.
+ * Each entry has the evaluated rule tree (conditions with actual and expected
+ * values), whether the schedule window is open (null without a schedule),
+ * priority and specificity, whether it was selected, and otherwise why it lost:
+ * 'manual-only', 'schedule-closed', 'conditions-not-met', 'lower-priority',
+ * 'less-specific', or 'tiebreak'. The fallback profile has reason 'fallback'
+ * when it was selected because nothing matched, or when it has no rules or
+ * schedule of its own. holdTracker must not have side effects here. Pass
+ * useFallback = false while an exit action, not the fallback, is in effect.
+ */
+export function explainProfileMatching(
+    profiles,
+    currentParams,
+    activeProfileId = null,
+    holdTracker = null,
+    useFallback = true
+) {
+    const matched = findMatchingProfile(profiles, currentParams, activeProfileId, holdTracker);
+    const selected = matched ?? (useFallback ? getFallbackProfile(profiles) : null);
+
+    const entries = profiles.map((profile) => {
+        const profileHasRules = hasRules(profile.rules);
+        const hasSchedule = !!profile.schedule?.enabled;
+        const isCurrentlyActive = activeProfileId !== null && profile.id === activeProfileId;
+        const rules = profileHasRules
+            ? explainNode(
+                  normalizeRules(profile.rules),
+                  currentParams,
+                  isCurrentlyActive,
+                  false,
+                  holdTracker,
+                  profile.id
+              )
+            : null;
+        const scheduleActive = hasSchedule ? ScheduleUtils.isScheduleActive(profile.schedule) : null;
+        const automatic = profileHasRules || hasSchedule;
+
+        return {
+            profileId: profile.id,
+            automatic,
+            rules,
+            scheduleActive,
+            matched: automatic && scheduleActive !== false && (rules === null || rules.result),
+            priority: getProfilePriority(profile),
+            specificity: getRuleSpecificity(profile.rules) + (hasSchedule ? 1 : 0),
+            fallback: profile.fallback === true,
+            selected: selected !== null && profile.id === selected.id,
+            reason: null,
+        };
+    });
+
+    const winner = entries.find((e) => e.selected);
+    for (const entry of entries) {
+        if (entry.selected) {
+            if (!matched) entry.reason = 'fallback';
+            continue;
+        }
+        if (!winner && entry.matched) continue;
+        if (!entry.automatic) entry.reason = entry.fallback ? 'fallback' : 'manual-only';
+        else if (entry.scheduleActive === false) entry.reason = 'schedule-closed';
+        else if (!entry.matched) entry.reason = 'conditions-not-met';
+        else if (entry.priority < winner.priority) entry.reason = 'lower-priority';
+        else if (entry.specificity < winner.specificity) entry.reason = 'less-specific';
+        else entry.reason = 'tiebreak';
+    }
 
-    const newSpecificity = (newHasRules ? newProfile.rules.length : 0) + (newHasSchedule ? 1 : 0);
+    return entries;
+}
 
-    for (const existing of profiles) {
-        // Skip self when editing
-        if (editingProfileId && existing.id === editingProfileId) continue;
+/**
+ * Find situations in which two profiles would both match with neither winning on
+ * priority, specificity, or the scheduled-over-unscheduled tiebreak. Either one may
+ * be the active profile, whose numeric conditions hold within their hysteresis margins.
+ * Returns null when they can never tie, else {priority, specificity, when, examples}:
+ * `when` is the first moment in the week both schedules are active ({day, time}; null
+ * when neither has a schedule), and each example is one combination of parameter
+ * values matching both, as a list of {param, value}. For free-form parameters that
+ * are only excluded, value is null and `except` lists the excluded values. Examples
+ * are empty when the rules have too many alternatives to enumerate.
+ */
+export function findProfileTie(profile1, profile2) {
+    const priority = getProfilePriority(profile1);
+    if (getProfilePriority(profile2) !== priority) return null;
 
-        const existingHasRules = existing.rules?.length > 0;
-        const existingHasSchedule = existing.schedule?.enabled;
+    const hasSchedule1 = !!profile1.schedule?.enabled;
+    const hasSchedule2 = !!profile2.schedule?.enabled;
 
-        if (!existingHasRules && !existingHasSchedule) continue;
+    // Profiles with neither rules nor schedule never match automatically
+    if (!hasRules(profile1.rules) && !hasSchedule1) return null;
+    if (!hasRules(profile2.rules) && !hasSchedule2) return null;
 
-        // Identical rules with different schedules allow time-based variants.
-        // e.g., "Docked" (no schedule) + "Morning Docked" (07:00-09:00) with
-        // the same rules: the scheduled variant wins during its window.
-        if (existingHasRules && newHasRules && rulesAreIdentical(existing.rules, newProfile.rules)) {
-            // One scheduled, one not → no conflict (scheduled wins when active)
-            if (existingHasSchedule !== newHasSchedule) continue;
+    // One scheduled, one not: the scheduled one wins during its window
+    if (hasSchedule1 !== hasSchedule2) return null;
 
-            // Both scheduled → check time overlap
-            if (existingHasSchedule && newHasSchedule) {
-                if (!ScheduleUtils.schedulesOverlap(existing.schedule, newProfile.schedule)) continue; // Non-overlapping → no conflict
-                return existing; // Overlapping schedules with same rules → conflict
-            }
+    // Different specificity is resolved by most-specific-wins
+    const specificity = getRuleSpecificity(profile1.rules) + (hasSchedule1 ? 1 : 0);
+    if (getRuleSpecificity(profile2.rules) + (hasSchedule2 ? 1 : 0) !== specificity) return null;
 
-            // Both unscheduled with identical rules → conflict
-            return existing;
-        }
+    let when = null;
+    if (hasSchedule1) {
+        when = ScheduleUtils.findScheduleOverlap(profile1.schedule, profile2.schedule);
+        if (!when) return null;
+    }
 
-        const existingSpecificity = (existingHasRules ? existing.rules.length : 0) + (existingHasSchedule ? 1 : 0);
+    const examples = findRuleOverlaps(profile1.rules, profile2.rules);
+    if (!examples) return null;
 
-        // Only check same specificity — different specificity is resolved by most-specific-wins
-        if (existingSpecificity !== newSpecificity) continue;
+    return {priority, specificity, when, examples};
+}
 
-        // Check if rules could conflict
-        // Only when BOTH have rules can we check for mutual exclusivity.
-        // Otherwise (one or neither has rules), assume rules don't prevent conflict.
-        const rulesConflict =
-            existingHasRules && newHasRules ? rulesCouldConflict(existing.rules, newProfile.rules) : true;
+/**
+ * Check if adding a rule would conflict with existing profiles
+ */
+export function findRuleConflict(profiles, newProfile, editingProfileId = null) {
+    for (const existing of profiles) {
+        // Skip self when editing
+        if (editingProfileId && existing.id === editingProfileId) continue;
 
-        if (!rulesConflict) continue;
+        if (findProfileTie(existing, newProfile)) return existing;
+    }
 
-        // One scheduled, one not → no conflict
-        // (scheduled wins during its window via runtime tiebreaker)
-        if (existingHasSchedule !== newHasSchedule) continue;
+    return null;
+}
 
-        // Both scheduled → check time overlap
-        if (existingHasSchedule && newHasSchedule) {
-            if (!ScheduleUtils.schedulesOverlap(existing.schedule, newProfile.schedule)) continue;
+/**
+ * Run findProfileTie on every pair of profiles.
+ * Returns a list of ties, each with the pair's `profileIds`.
+ */
+export function analyzeRuleConflicts(profiles) {
+    const conflicts = [];
+    for (let i = 0; i < profiles.length; i++) {
+        for (let j = i + 1; j < profiles.length; j++) {
+            const tie = findProfileTie(profiles[i], profiles[j]);
+            if (tie) conflicts.push({profileIds: [profiles[i].id, profiles[j].id], ...tie});
         }
-
-        // Both unscheduled, or both scheduled with overlap → conflict
-        return existing;
     }
+    return conflicts;
+}
 
-    return null;
+// Upper bound on the alternatives a rule tree is expanded into for conflict checks
+const MAX_RULE_ALTERNATIVES = 64;
+
+/**
+ * Negate a single condition into alternatives (any one of them may hold).
+ * On the numeric range, "not below X" is the closed bound "at least X",
+ * "not above X" is "at most X", and "not between L and H" is "below L" or "above H".
+ * The negations keep the condition's hysteresis margin (see parameterExample).
+ */
+function negateCondition(condition) {
+    const {op, value} = condition;
+    switch (op) {
+        case 'is':
+            return [{...condition, op: 'is_not'}];
+        case 'is_not':
+            return [{...condition, op: 'is'}];
+        case 'below':
+            return [{...condition, op: 'at_least'}];
+        case 'above':
+            return [{...condition, op: 'at_most'}];
+        case 'between':
+            return [
+                {...condition, op: 'below', value: value[0]},
+                {...condition, op: 'above', value: value[1]},
+            ];
+        default:
+            return null;
+    }
 }
 
 /**
- * Check if two rule arrays are identical (same params, ops, values).
- * Order-independent comparison.
+ * Expand a rule tree into alternatives (OR of ANDs): each alternative is a list
+ * of conditions that must all hold. Returns null when the expansion would
+ * exceed MAX_RULE_ALTERNATIVES.
  */
-function rulesAreIdentical(rules1, rules2) {
-    if (!rules1 && !rules2) return true;
-    if (!rules1 || !rules2) return false;
-    if (rules1.length !== rules2.length) return false;
-    if (rules1.length === 0) return true;
-
-    const sorted1 = [...rules1].sort(
-        (a, b) => a.param.localeCompare(b.param) || a.op.localeCompare(b.op) || a.value.localeCompare(b.value)
-    );
-    const sorted2 = [...rules2].sort(
-        (a, b) => a.param.localeCompare(b.param) || a.op.localeCompare(b.op) || a.value.localeCompare(b.value)
-    );
+function expandAlternatives(node, negated = false) {
+    if (!isRuleGroup(node)) {
+        if (!negated) return [[node]];
+        // A condition that can't be negated is treated as unconstrained (conservative)
+        const negations = negateCondition(node);
+        return negations ? negations.map((condition) => [condition]) : [[]];
+    }
 
-    for (let i = 0; i < sorted1.length; i++) {
-        if (
-            sorted1[i].param !== sorted2[i].param ||
-            sorted1[i].op !== sorted2[i].op ||
-            sorted1[i].value !== sorted2[i].value
-        )
-            return false;
+    // all(c) = AND c; any(c) = OR c; none(c) = AND not-c.
+    // Negating a group swaps AND/OR and negates its children (De Morgan).
+    const childNegated = node.match === 'none' ? !negated : negated;
+    const conjunctive = (node.match === 'any') === negated;
+
+    let alternatives = conjunctive ? [[]] : [];
+    for (const child of node.conditions) {
+        const childAlternatives = expandAlternatives(child, childNegated);
+        if (!childAlternatives) return null;
+
+        if (conjunctive) {
+            const combined = [];
+            for (const left of alternatives) {
+                for (const right of childAlternatives) combined.push([...left, ...right]);
+            }
+            alternatives = combined;
+        } else {
+            alternatives = [...alternatives, ...childAlternatives];
+        }
+
+        if (alternatives.length > MAX_RULE_ALTERNATIVES) return null;
     }
 
-    return true;
+    return alternatives;
 }
 
 /**
- * Check if two rule sets could activate at the same time
- * This is a conservative check - if there's any parameter state
- * where both rule sets would match, they conflict
+ * Find a value of one parameter that satisfies all of the given conditions on it.
+ * Returns an example {param, value} (see findProfileTie), or null if none exists.
  */
-function rulesCouldConflict(rules1, rules2) {
-    // Build constraint maps for each rule set
-    const constraints1 = buildConstraintMap(rules1);
-    const constraints2 = buildConstraintMap(rules2);
+function parameterExample(param, conditions) {
+    const paramDef = PARAMETERS[param];
+    if (!paramDef) return {param, value: null, except: []}; // Unknown parameter: assume satisfiable (conservative)
+
+    if (paramDef.type === 'numeric') {
+        // Bounds of the range of values, each either open or closed
+        let low = {value: paramDef.range[0], open: false};
+        let high = {value: paramDef.range[1], open: false};
+        const raise = (value, open) => {
+            if (value > low.value || (value === low.value && open)) low = {value, open};
+        };
+        const lower = (value, open) => {
+            if (value < high.value || (value === high.value && open)) high = {value, open};
+        };
+
+        const excluded = new Set();
+        for (const condition of conditions) {
+            const {op, value} = condition;
+            // A sticky condition holds anywhere within its hysteresis band
+            const margin = condition.sticky ? getConditionHysteresis(condition) : 0;
+            if (op === 'is') {
+                raise(Number(value), false);
+                lower(Number(value), false);
+            } else if (op === 'is_not') {
+                excluded.add(Number(value));
+            } else if (op === 'below') {
+                lower(Number(value) + margin, true);
+            } else if (op === 'above') {
+                raise(Number(value) - margin, true);
+            } else if (op === 'at_least') {
+                raise(Number(value) - margin, false);
+            } else if (op === 'at_most') {
+                lower(Number(value) + margin, false);
+            } else if (op === 'between') {
+                raise(Number(value[0]) - margin, false);
+                lower(Number(value[1]) + margin, false);
+            }
+        }
+
+        // ParameterDetector rounds numeric readings to whole numbers, so only those can occur
+        for (let n = Math.ceil(low.value); n <= high.value; n++) {
+            const aboveLow = low.open ? n > low.value : n >= low.value;
+            const belowHigh = high.open ? n < high.value : n <= high.value;
+            if (aboveLow && belowHigh && !excluded.has(n)) return {param, value: n};
+        }
+        return null;
+    }
 
-    // Check if there's a valid parameter assignment that satisfies both
-    const allParams = new Set([...Object.keys(constraints1), ...Object.keys(constraints2)]);
+    const required = new Set(conditions.filter((c) => c.op === 'is').map((c) => c.value));
+    const excluded = new Set(conditions.filter((c) => c.op === 'is_not').map((c) => c.value));
 
-    for (const param of allParams) {
-        const c1 = constraints1[param];
-        const c2 = constraints2[param];
+    if ([...required].some((v) => excluded.has(v))) return null;
 
-        if (!c1 || !c2) continue; // One doesn't constrain this param, no conflict on this param
+    // List-valued parameters can contain several values at once
+    if (paramDef.multiValued) return {param, value: [...required]};
 
-        // Check if constraints are mutually exclusive
-        if (!constraintsCanCoexist(c1, c2, param)) return false; // They can't both match at the same time
-    }
+    if (required.size > 1) return null;
+    if (required.size === 1) return {param, value: [...required][0]};
 
-    return true; // Both could potentially match simultaneously
+    // Only exclusions: a fixed value set may be exhausted, free-form values never are
+    if (paramDef.values && !paramDef.freeform) {
+        const value = paramDef.values.find((v) => !excluded.has(v));
+        return value === undefined ? null : {param, value};
+    }
+    return {param, value: null, except: [...excluded]};
 }
 
 /**
- * Build a map of parameter -> constraint from rules
+ * Find parameter values for which a list of conditions (an AND) all hold,
+ * as a list of {param, value}, or null if they can't all be true at once
  */
-function buildConstraintMap(rules) {
-    const map = {};
-    for (const rule of rules) {
-        if (!map[rule.param]) map[rule.param] = [];
+function conditionsExample(conditions) {
+    const byParam = new Map();
+    for (const condition of conditions) {
+        if (!byParam.has(condition.param)) byParam.set(condition.param, []);
+        byParam.get(condition.param).push(condition);
+    }
 
-        map[rule.param].push({op: rule.op, value: rule.value});
+    const example = [];
+    for (const [param, paramConditions] of byParam) {
+        const paramExample = parameterExample(param, paramConditions);
+        if (!paramExample) return null;
+        example.push(paramExample);
     }
-    return map;
+    return example;
 }
 
+// Upper bound on the example situations reported for one pair of profiles
+const MAX_CONFLICT_EXAMPLES = 3;
+
 /**
- * Check if two constraint lists for the same parameter can both be true.
- * Assumes each constraint list has at most one 'is' and one 'is_not' per
- * parameter (enforced by validateRules duplicate-parameter check).
+ * Find parameter states in which both rule sets would match.
+ * Returns null if there are none, else up to MAX_CONFLICT_EXAMPLES distinct
+ * examples (see conditionsExample); an empty list when the rules have too many
+ * alternatives to check exhaustively and are assumed to overlap.
  */
-function constraintsCanCoexist(constraints1, constraints2, param) {
-    for (const c1 of constraints1) {
-        for (const c2 of constraints2) {
-            // Binary operator pairs (existing logic)
-            if (c1.op === 'is' && c2.op === 'is') {
-                if (c1.value === c2.value) return true;
-            } else if (c1.op === 'is' && c2.op === 'is_not') {
-                if (c1.value !== c2.value) return true;
-            } else if (c1.op === 'is_not' && c2.op === 'is') {
-                if (c1.value !== c2.value) return true;
-            } else if (c1.op === 'is_not' && c2.op === 'is_not') {
-                const paramDef = PARAMETERS[param];
-                if (paramDef && paramDef.values) {
-                    const forbidden = new Set([c1.value, c2.value]);
-                    if (paramDef.values.every((v) => forbidden.has(v))) return false;
-                }
-                return true;
-                // Numeric operator pairs
-            } else if (c1.op === 'below' && c2.op === 'below') {
-                return true; // Both match for values below min(X, Y)
-            } else if (c1.op === 'above' && c2.op === 'above') {
-                return true; // Both match for values above max(X, Y)
-            } else if (c1.op === 'below' && c2.op === 'above') {
-                // below X AND above Y: possible if X > Y
-                return Number(c1.value) > Number(c2.value);
-            } else if (c1.op === 'above' && c2.op === 'below') {
-                // above X AND below Y: possible if Y > X
-                return Number(c2.value) > Number(c1.value);
-            } else {
-                // Mixed binary/numeric on same param — shouldn't happen,
-                // but assume coexistence (conservative)
-                return true;
+function findRuleOverlaps(rules1, rules2) {
+    const alternatives1 = expandAlternatives(normalizeRules(rules1));
+    const alternatives2 = expandAlternatives(normalizeRules(rules2));
+
+    // Too many alternatives to check exhaustively: assume they can overlap
+    if (!alternatives1 || !alternatives2) return [];
+
+    // Only the active profile is evaluated with hysteresis, so also check each
+    // side with its conditions widened by their margins while the other's are not
+    const sticky = (conditions, isSticky) =>
+        isSticky ? conditions.map((condition) => ({...condition, sticky: true})) : conditions;
+    const passes = [
+        [false, false],
+        [true, false],
+        [false, true],
+    ];
+
+    const examples = [];
+    const seen = new Set();
+    for (const [sticky1, sticky2] of passes) {
+        for (const a of alternatives1) {
+            for (const b of alternatives2) {
+                const example = conditionsExample([...sticky(a, sticky1), ...sticky(b, sticky2)]);
+                if (!example) continue;
+
+                const key = JSON.stringify(example);
+                if (seen.has(key)) continue;
+                seen.add(key);
+                examples.push(example);
+                if (examples.length >= MAX_CONFLICT_EXAMPLES) return examples;
             }
         }
     }
 
-    return false;
+    return examples.length > 0 ? examples : null; // null: no parameter state satisfies both
+}
+
+/**
+ * Get the operators allowed for a parameter: an explicit list, or all operators of its type
+ */
+export function getOperatorsForParameter(paramName) {
+    const paramDef = PARAMETERS[paramName];
+    if (!paramDef) return [];
+    if (paramDef.operators) return paramDef.operators.map((op) => OPERATORS[op]);
+    const paramType = paramDef.type || 'binary';
+    return Object.values(OPERATORS).filter((o) => (o.type || 'binary') === paramType);
 }
 
 /**
@@ -302,12 +631,31 @@ export function validateCondition(condition) {
 
     // Validate operator compatibility with parameter type
     const paramType = paramDef.type || 'binary';
-    const operator = OPERATORS[op];
-    if (operator.type && operator.type !== paramType)
+    if (!getOperatorsForParameter(param).some((o) => o.name === op))
         return {valid: false, error: _('Operator "%s" cannot be used with parameter "%s"').format(op, param)};
 
+    // Range operators take an inclusive [low, high] pair; all others a single value
+    if (!!OPERATORS[op].range !== Array.isArray(value))
+        return {valid: false, error: _('Invalid value for operator "%s"').format(op)};
+
     // Validate value based on parameter type
-    if (paramType === 'numeric') {
+    if (OPERATORS[op].range) {
+        const [low, high] = value.map(Number);
+        if (value.length !== 2 || !Number.isInteger(low) || !Number.isInteger(high))
+            return {valid: false, error: _('Range must be two whole numbers for "%s"').format(param)};
+
+        if (low < paramDef.range[0] || high > paramDef.range[1]) {
+            return {
+                valid: false,
+                error: _('Value must be between %d and %d for "%s"').format(
+                    paramDef.range[0],
+                    paramDef.range[1],
+                    param
+                ),
+            };
+        }
+        if (low >= high) return {valid: false, error: _('Range start must be below its end for "%s"').format(param)};
+    } else if (paramType === 'numeric') {
         const numVal = Number(value);
         if (isNaN(numVal) || !Number.isInteger(numVal))
             return {valid: false, error: _('Value must be a whole number for "%s"').format(param)};
@@ -322,63 +670,135 @@ export function validateCondition(condition) {
                 ),
             };
         }
+    } else if (paramDef.freeform) {
+        if (typeof value !== 'string' || value.trim() === '')
+            return {valid: false, error: _('Value must not be empty for "%s"').format(param)};
+        if (paramDef.valuePattern && !paramDef.valuePattern.test(value))
+            return {valid: false, error: _('Invalid value "%s" for parameter "%s"').format(value, param)};
     } else if (!paramDef.values.includes(value)) {
         return {valid: false, error: _('Invalid value "%s" for parameter "%s"').format(value, param)};
     }
 
+    // Optional minimum duration the condition must hold before it counts as true
+    if (condition.forSeconds !== undefined) {
+        const seconds = condition.forSeconds;
+        if (!Number.isInteger(seconds) || seconds < 0 || seconds > MAX_CONDITION_DURATION_SECONDS) {
+            return {
+                valid: false,
+                error: _('Duration must be a whole number of seconds between 0 and %d').format(
+                    MAX_CONDITION_DURATION_SECONDS
+                ),
+            };
+        }
+    }
+
+    // Optional dead band for numeric comparisons, overriding the parameter's default
+    if (condition.hysteresis !== undefined) {
+        if (!OPERATORS[op].evaluateWithHysteresis)
+            return {valid: false, error: _('Hysteresis only applies to numeric comparisons')};
+
+        const maxMargin = paramDef.range[1] - paramDef.range[0];
+        const margin = condition.hysteresis;
+        if (!Number.isInteger(margin) || margin < 0 || margin > maxMargin) {
+            return {
+                valid: false,
+                error: _('Hysteresis must be a whole number between 0 and %d for "%s"').format(maxMargin, param),
+            };
+        }
+    }
+
     return {valid: true, error: null};
 }
 
 /**
- * Validate a complete rule set
+ * Check one group's direct conditions for duplicates and is/is-not contradictions.
+ * Only meaningful where all conditions must hold together ('all' groups).
  */
-export function validateRules(rules) {
-    if (!rules) return {valid: true, errors: []}; // No rules is valid
+function validateGroupConditions(conditions, path, errors) {
+    const seenParams = new Set();
+    const paramConstraints = {};
 
-    if (!Array.isArray(rules)) return {valid: false, errors: [_('Rules must be an array')]};
+    conditions.forEach((condition, i) => {
+        if (isRuleGroup(condition)) return;
 
-    const errors = [];
-    const seenParams = new Set();
+        // Check for duplicate parameters with same operator
+        // (list-valued parameters may repeat with different values)
+        const {param, op, value} = condition;
+        const key = PARAMETERS[param].multiValued ? `${param}:${op}:${value}` : `${param}:${op}`;
+        if (seenParams.has(key))
+            errors.push(_('Condition %s: Duplicate condition for %s').format(`${path}${i + 1}`, param));
 
-    for (let i = 0; i < rules.length; i++) {
-        const result = validateCondition(rules[i]);
-        if (!result.valid) {
-            errors.push(_('Condition %d: %s').format(i + 1, result.error));
-        } else {
-            // Check for duplicate parameters with same operator
-            const key = `${rules[i].param}:${rules[i].op}`;
-            if (seenParams.has(key))
-                errors.push(_('Condition %d: Duplicate condition for %s').format(i + 1, rules[i].param));
+        seenParams.add(key);
 
-            seenParams.add(key);
-        }
-    }
+        if (!paramConstraints[param]) paramConstraints[param] = [];
+        paramConstraints[param].push({op, value});
+    });
 
     // Check for contradictions: same param with 'is' and 'is_not' targeting the same value
-    if (errors.length === 0) {
-        const paramConstraints = {};
-        for (const rule of rules) {
-            if (!paramConstraints[rule.param]) paramConstraints[rule.param] = [];
-            paramConstraints[rule.param].push({op: rule.op, value: rule.value});
+    for (const [param, constraints] of Object.entries(paramConstraints)) {
+        const isValues = constraints.filter((c) => c.op === 'is').map((c) => c.value);
+        const isNotValues = constraints.filter((c) => c.op === 'is_not').map((c) => c.value);
+
+        for (const v of isValues) {
+            if (isNotValues.includes(v)) {
+                errors.push(
+                    _('Contradictory conditions for %s: "is %s" and "is not %s" can never both be true').format(
+                        param,
+                        v,
+                        v
+                    )
+                );
+            }
         }
+    }
+}
 
-        for (const [param, constraints] of Object.entries(paramConstraints)) {
-            const isValues = constraints.filter((c) => c.op === 'is').map((c) => c.value);
-            const isNotValues = constraints.filter((c) => c.op === 'is_not').map((c) => c.value);
-
-            for (const v of isValues) {
-                if (isNotValues.includes(v)) {
-                    errors.push(
-                        _('Contradictory conditions for %s: "is %s" and "is not %s" can never both be true').format(
-                            param,
-                            v,
-                            v
-                        )
-                    );
-                }
+function validateGroup(group, path, depth, errors) {
+    if (!RULE_GROUP_MATCH[group.match]) {
+        const error = _('Invalid match mode "%s"').format(String(group.match));
+        errors.push(path ? _('Condition %s: %s').format(path.slice(0, -1), error) : error);
+        return;
+    }
+
+    const errorCount = errors.length;
+
+    group.conditions.forEach((node, i) => {
+        const nodePath = `${path}${i + 1}`;
+        if (isRuleGroup(node)) {
+            if (depth >= MAX_RULE_GROUP_DEPTH) {
+                errors.push(
+                    _('Condition %s: Groups can be nested at most %d levels deep').format(
+                        nodePath,
+                        MAX_RULE_GROUP_DEPTH
+                    )
+                );
+            } else if (node.conditions.length === 0) {
+                errors.push(_('Condition %s: Group has no conditions').format(nodePath));
+            } else {
+                validateGroup(node, `${nodePath}.`, depth + 1, errors);
             }
+            return;
         }
-    }
+
+        const result = validateCondition(node);
+        if (!result.valid) errors.push(_('Condition %s: %s').format(nodePath, result.error));
+    });
+
+    if (errors.length === errorCount && group.match === 'all') validateGroupConditions(group.conditions, path, errors);
+}
+
+/**
+ * Validate a complete rule set: a group ({match, conditions}) whose conditions
+ * may themselves be groups, or a legacy flat array of conditions
+ */
+export function validateRules(rules) {
+    if (!rules) return {valid: true, errors: []}; // No rules is valid
+
+    if (!Array.isArray(rules) && !isRuleGroup(rules))
+        return {valid: false, errors: [_('Rules must be a condition group')]};
+
+    const errors = [];
+    validateGroup(normalizeRules(rules), '', 1, errors);
 
     return {valid: errors.length === 0, errors};
 }
@@ -0,0 +1,150 @@
+/*
+ * Hara Hachi Bu - GNOME Shell Extension
+ * Copyright (C) 2024-2026 zvi
+ * SPDX-License-Identifier: GPL-3.0-or-later
+ *
+ * RuleExplanation formats rule conditions, the result of
+ * RuleEvaluator.explainProfileMatching(), and conflict examples from
+ * RuleEvaluator.findProfileTie() as human-readable text.
+ * Importable from both extension (GNOME Shell) and prefs (GTK4) contexts.
+ */
+'use strict';
+
+import GLib from 'gi://GLib';
+import {DAYS_OF_WEEK, OPERATORS, PARAMETERS, RULE_GROUP_MATCH} from './constants.js';
+import * as ParameterSuggestions from './parameterSuggestions.js';
+
+// Dual-context i18n: works in both GNOME Shell (global _()) and prefs (ExtensionPreferences.gettext)
+const _ = (s) => GLib.dgettext('hara-hachi-bu', s);
+
+/**
+ * Human-readable label for a condition value (enum label, number with unit, range, or free-form text)
+ */
+export function formatConditionValue(paramDef, value) {
+    if (Array.isArray(value)) {
+        // Translators: Inclusive numeric range, e.g. "30% and 70%" in "Battery Level is between 30% and 70%"
+        return _('%s and %s').format(
+            formatConditionValue(paramDef, value[0]),
+            formatConditionValue(paramDef, value[1])
+        );
+    }
+    if (paramDef?.valueLabels?.[value]) return _(paramDef.valueLabels[value]);
+    if (paramDef?.type === 'numeric') return `${value}${paramDef.unit ? _(paramDef.unit) : ''}`;
+    if (paramDef?.freeform) return ParameterSuggestions.getValueLabel(paramDef.name, value) ?? value;
+    return value;
+}
+
+/**
+ * Short label for a condition's minimum duration (e.g. "2 min", "45 s")
+ */
+export function formatConditionDuration(seconds) {
+    if (seconds % 60 === 0) return _('%d min').format(seconds / 60);
+    return _('%d s').format(seconds);
+}
+
+/**
+ * One-line description of a condition (e.g. "Battery Level below 30%, for at least 2 min")
+ */
+export function formatCondition(condition) {
+    const paramDef = PARAMETERS[condition.param];
+    const opDef = OPERATORS[condition.op];
+    let text = `${condition.param} ${condition.op} ${condition.value}`;
+    if (paramDef && opDef)
+        text = _('%s %s %s').format(_(paramDef.label), _(opDef.label), formatConditionValue(paramDef, condition.value));
+    if (condition.forSeconds > 0)
+        text = _('%s, for at least %s').format(text, formatConditionDuration(condition.forSeconds));
+    return text;
+}
+
+/**
+ * Human-readable label for a detected parameter value (arrays for multi-valued parameters)
+ */
+export function formatActualValue(paramName, actual) {
+    if (actual === null || actual === undefined) return _('unavailable');
+    const paramDef = PARAMETERS[paramName];
+    if (Array.isArray(actual)) {
+        if (actual.length === 0) return _('none');
+        return actual.map((v) => formatConditionValue(paramDef, v)).join(_(', '));
+    }
+    return String(formatConditionValue(paramDef, actual));
+}
+
+/**
+ * Flatten an explained rule tree into indented lines of {depth, text, result, waiting}.
+ * The root "all" group is implied and gets no header line.
+ */
+export function getExplanationLines(node, depth = 0, isRoot = true) {
+    if (!node) return [];
+
+    if (!Array.isArray(node.conditions)) {
+        const format = node.waiting ? _('%s (now %s, not held long enough yet)') : _('%s (now %s)');
+        const text = format.format(formatCondition(node), formatActualValue(node.param, node.actual));
+        return [{depth, text, result: node.result, waiting: node.waiting}];
+    }
+
+    const lines = [];
+    let childDepth = depth;
+    if (!isRoot || node.match !== 'all') {
+        const label = RULE_GROUP_MATCH[node.match]?.label ?? RULE_GROUP_MATCH.all.label;
+        lines.push({depth, text: _(label), result: node.result, waiting: false});
+        childDepth++;
+    }
+    for (const child of node.conditions) lines.push(...getExplanationLines(child, childDepth, false));
+    return lines;
+}
+
+/**
+ * Short status for one explainProfileMatching() entry (e.g. "Active", "Schedule window closed")
+ */
+export function formatExplanationStatus(entry) {
+    if (entry.selected)
+        return entry.reason === 'fallback' ? _('Active as fallback, nothing else matches') : _('Active');
+
+    switch (entry.reason) {
+        case 'manual-only':
+            return _('Manual only');
+        case 'fallback':
+            return _('Fallback, applied when nothing else matches');
+        case 'schedule-closed':
+            return _('Schedule window closed');
+        case 'conditions-not-met':
+            return _('Conditions not met');
+        case 'lower-priority':
+            return _('Matches, but has lower priority');
+        case 'less-specific':
+            return _('Matches, but is less specific');
+        case 'tiebreak':
+            return _('Matches, but lost the tiebreak');
+        default:
+            return _('Matches');
+    }
+}
+
+/**
+ * Label for a moment in the week from findProfileTie() (e.g. "Monday at 07:00")
+ */
+export function formatScheduleMoment({day, time, calendar}) {
+    if (calendar) return _('During calendar events');
+    // Translators: Weekday and time, e.g. "Monday at 07:00"
+    return _('%s at %s').format(_(DAYS_OF_WEEK[day]), time);
+}
+
+/**
+ * One-line description of a situation in which two scenarios tie
+ * (e.g. "Monday at 07:00, External Display is Connected, Battery Level is 31%")
+ */
+export function formatConflictSituation(example, when = null) {
+    const parts = [];
+    if (when) parts.push(formatScheduleMoment(when));
+    for (const {param, value, except} of example) {
+        const label = PARAMETERS[param] ? _(PARAMETERS[param].label) : param;
+        if (value !== null) {
+            parts.push(_('%s is %s').format(label, formatActualValue(param, value)));
+        } else if (except?.length > 0) {
+            // Translators: A free-form value that differs from the listed ones, e.g. "Wi-Fi Network is not Home"
+            parts.push(_('%s is not %s').format(label, formatActualValue(param, except)));
+        }
+    }
+    if (parts.length === 0) return _('In any situation');
+    return parts.join(_(', '));
+}
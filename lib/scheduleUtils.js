@@ -3,13 +3,20 @@
  * Copyright (C) 2024-2026 zvi
  * SPDX-License-Identifier: GPL-3.0-or-later
  *
- * ScheduleUtils provides pure utility functions for time-based profile scheduling.
+ * ScheduleUtils provides utility functions for time-based profile scheduling.
+ * Schedule times are "HH:MM" clock times, or sunrise/sunset with an optional
+ * offset (e.g. "sunset-00:30"); solar times are computed locally from the
+ * location set with setLocationFromSettings(). Calendar schedules take their
+ * windows from the events of a local .ics file, loaded with setCalendarEvents().
+ * Dates and times are computed with GLib.DateTime in the local time zone, so
+ * days that are 23 or 25 hours long around DST changes are handled exactly.
  * Importable from both extension (GNOME Shell) and prefs (GTK4) contexts.
  */
 'use strict';
 
 import GLib from 'gi://GLib';
 import {DAYS_SHORT} from './constants.js';
+import * as CalendarEvents from './calendarEvents.js';
 
 // Dual-context i18n: works in both GNOME Shell (global _()) and prefs (ExtensionPreferences.gettext)
 const _ = (s) => GLib.dgettext('hara-hachi-bu', s);
@@ -31,6 +38,264 @@ export function parseTime(timeStr) {
     return {hours, minutes};
 }
 
+/**
+ * Largest offset from sunrise or sunset, in minutes.
+ */
+const MAX_SOLAR_OFFSET_MINUTES = 12 * 60;
+
+/**
+ * Zenith angle of the sun's centre at sunrise/sunset, in degrees: the upper edge
+ * of the disc touches the horizon, allowing for atmospheric refraction.
+ */
+const SUNRISE_ZENITH_DEGREES = 90.833;
+
+/**
+ * Limits for the sunrise hour angle, in degrees (0.25° = 1 minute). Where the sun
+ * does not rise or set, days keep a one-minute night or day, so windows between
+ * sunrise and sunset stay well-formed.
+ */
+const MIN_HOUR_ANGLE_DEGREES = 0.25;
+const MAX_HOUR_ANGLE_DEGREES = 179.75;
+
+// Location for sunrise/sunset times: {latitude, longitude} in degrees, or null when unset
+let _location = null;
+
+// Resolved sunrise/sunset timestamps by "anchor:YYYY-MM-DD", for the current location.
+// Boundary scans resolve the same days again on every evaluation.
+const _solarEventCache = new Map();
+const MAX_SOLAR_CACHE_ENTRIES = 1024;
+
+/**
+ * Read the sunrise/sunset location from settings. Call again when the
+ * solar-location-* keys change.
+ */
+export function setLocationFromSettings(settings) {
+    _location = settings.get_boolean('solar-location-enabled')
+        ? {latitude: settings.get_double('solar-latitude'), longitude: settings.get_double('solar-longitude')}
+        : null;
+    _solarEventCache.clear();
+}
+
+/**
+ * Whether a location is set, so sunrise/sunset times can be resolved.
+ */
+export function hasLocation() {
+    return _location !== null;
+}
+
+// Time zone schedule times are local to, read on first use
+let _timeZone = null;
+
+/**
+ * Re-read the system time zone. Call when it changes, e.g. while travelling.
+ */
+export function refreshTimeZone() {
+    _timeZone = GLib.TimeZone.new_local();
+}
+
+function _getTimeZone() {
+    if (!_timeZone) refreshTimeZone();
+    return _timeZone;
+}
+
+/**
+ * The current time as a GLib.DateTime in the schedule time zone.
+ */
+function _now() {
+    return GLib.DateTime.new_now(_getTimeZone());
+}
+
+/**
+ * Timestamp (ms) of a GLib.DateTime.
+ */
+function _toTimestamp(dateTime) {
+    return dateTime.to_unix() * 1000 + Math.floor(dateTime.get_microsecond() / 1000);
+}
+
+/**
+ * Local "HH:MM" time of a timestamp (ms).
+ */
+function _formatTimestamp(timestamp) {
+    const dateTime = GLib.DateTime.new_from_unix_utc(Math.floor(timestamp / 1000)).to_timezone(_getTimeZone());
+    return formatTimeHHMM(dateTime.get_hour(), dateTime.get_minute());
+}
+
+/**
+ * The local calendar day of a GLib.DateTime or timestamp (ms), as a GLib.DateTime at noon.
+ * Noon exists on every day, even where a DST change skips midnight, and stays
+ * noon when days are added.
+ */
+function _getDay(dateTime) {
+    if (typeof dateTime === 'number') dateTime = GLib.DateTime.new_from_unix_utc(Math.floor(dateTime / 1000));
+    const local = dateTime.to_timezone(_getTimeZone());
+    return _newDay(local.get_year(), local.get_month(), local.get_day_of_month());
+}
+
+function _newDay(year, month, day) {
+    return GLib.DateTime.new(_getTimeZone(), year, month, day, 12, 0, 0);
+}
+
+/**
+ * The calendar day `days` after `day`.
+ */
+function _addDays(day, days) {
+    return day.add_days(days);
+}
+
+/**
+ * Timestamp (ms) of a local wall-clock time, in minutes since midnight, on `day`.
+ * A time skipped by a DST change moves forward by the skipped hour (02:30 becomes 03:30),
+ * and a time that occurs twice is taken in standard time.
+ */
+function _localTimestamp(day, minutes) {
+    const dateTime = GLib.DateTime.new(
+        _getTimeZone(),
+        day.get_year(),
+        day.get_month(),
+        day.get_day_of_month(),
+        Math.floor(minutes / 60),
+        minutes % 60,
+        0
+    );
+    return dateTime.to_unix() * 1000;
+}
+
+/**
+ * Parse a schedule time: "HH:MM", "sunrise", "sunset", or either of those with
+ * an offset such as "sunset-00:30" or "sunrise+01:15".
+ * Returns {anchor: null, minutes} with minutes since midnight for clock times,
+ * {anchor: 'sunrise'|'sunset', minutes} with a signed offset for solar times,
+ * or null if invalid.
+ */
+export function parseTimeSpec(timeStr) {
+    if (typeof timeStr !== 'string') return null;
+
+    const clock = parseTime(timeStr);
+    if (clock) return {anchor: null, minutes: timeToMinutes(clock)};
+
+    const match = timeStr.match(/^(sunrise|sunset)(?:([+-])(\d{1,2}:\d{2}))?$/);
+    if (!match) return null;
+
+    let minutes = 0;
+    if (match[3]) {
+        const offset = parseTime(match[3]);
+        if (!offset) return null;
+        minutes = timeToMinutes(offset) * (match[2] === '-' ? -1 : 1);
+    }
+    if (Math.abs(minutes) > MAX_SOLAR_OFFSET_MINUTES) return null;
+
+    return {anchor: match[1], minutes};
+}
+
+/**
+ * Build a schedule time string from an anchor (null, 'sunrise' or 'sunset') and
+ * minutes (since midnight for clock times, a signed offset for solar times).
+ */
+export function buildTimeSpec(anchor, minutes) {
+    if (!anchor) return formatTimeHHMM(Math.floor(minutes / 60), minutes % 60);
+    if (minutes === 0) return anchor;
+
+    const offset = Math.abs(minutes);
+    return `${anchor}${minutes < 0 ? '-' : '+'}${formatTimeHHMM(Math.floor(offset / 60), offset % 60)}`;
+}
+
+/**
+ * Whether a schedule time is relative to sunrise or sunset.
+ */
+export function isSolarTime(timeStr) {
+    return !!parseTimeSpec(timeStr)?.anchor;
+}
+
+/**
+ * Whether any window of a schedule uses sunrise or sunset times.
+ */
+export function scheduleUsesSolarTimes(schedule) {
+    return getScheduleWindows(schedule).some((timeWindow) =>
+        [timeWindow?.startTime, timeWindow?.endTime].some(isSolarTime)
+    );
+}
+
+/**
+ * Resolve a schedule time on the given date (a GLib.DateTime, default today) to "HH:MM".
+ * Returns null if the time is invalid, or relative to sunrise/sunset with no location set.
+ */
+export function resolveTime(timeStr, date = null) {
+    const timestamp = _resolveTime(timeStr, _getDay(date ?? _now()));
+    return timestamp === null ? null : _formatTimestamp(timestamp);
+}
+
+/**
+ * Resolve a schedule time on a calendar day to a timestamp (ms), or null.
+ */
+function _resolveTime(timeStr, day) {
+    const spec = parseTimeSpec(timeStr);
+    if (!spec) return null;
+
+    if (!spec.anchor) return _localTimestamp(day, spec.minutes);
+
+    const event = _solarEventTime(day, spec.anchor);
+    return event === null ? null : event + spec.minutes * 60000;
+}
+
+/**
+ * Time of sunrise or sunset on a calendar day at the configured location,
+ * as a timestamp (ms) rounded to the minute, or null when no location is set.
+ */
+function _solarEventTime(day, anchor) {
+    if (!_location) return null;
+
+    const key = `${anchor}:${formatDate(day)}`;
+    let time = _solarEventCache.get(key);
+    if (time === undefined) {
+        if (_solarEventCache.size >= MAX_SOLAR_CACHE_ENTRIES) _solarEventCache.clear();
+        time = _computeSolarEventTime(day, anchor);
+        _solarEventCache.set(key, time);
+    }
+    return time;
+}
+
+/**
+ * Uses the NOAA general solar position approximation, accurate to a minute or two.
+ */
+function _computeSolarEventTime(day, anchor) {
+    const toRadians = Math.PI / 180;
+    const dayStartUtc =
+        GLib.DateTime.new_utc(day.get_year(), day.get_month(), day.get_day_of_month(), 0, 0, 0).to_unix() * 1000;
+    const dayOfYear = day.get_day_of_year();
+    const gamma = ((2 * Math.PI) / 365) * (dayOfYear - 1);
+
+    // Equation of time (minutes) and solar declination (radians)
+    const equationOfTime =
+        229.18 *
+        (0.000075 +
+            0.001868 * Math.cos(gamma) -
+            0.032077 * Math.sin(gamma) -
+            0.014615 * Math.cos(2 * gamma) -
+            0.040849 * Math.sin(2 * gamma));
+    const declination =
+        0.006918 -
+        0.399912 * Math.cos(gamma) +
+        0.070257 * Math.sin(gamma) -
+        0.006758 * Math.cos(2 * gamma) +
+        0.000907 * Math.sin(2 * gamma) -
+        0.002697 * Math.cos(3 * gamma) +
+        0.00148 * Math.sin(3 * gamma);
+
+    const latitude = _location.latitude * toRadians;
+    const cosHourAngle =
+        Math.cos(SUNRISE_ZENITH_DEGREES * toRadians) / (Math.cos(latitude) * Math.cos(declination)) -
+        Math.tan(latitude) * Math.tan(declination);
+    const hourAngle = Math.min(
+        MAX_HOUR_ANGLE_DEGREES,
+        Math.max(MIN_HOUR_ANGLE_DEGREES, Math.acos(Math.min(1, Math.max(-1, cosHourAngle))) / toRadians)
+    );
+
+    // Minutes after UTC midnight; 4 minutes per degree of longitude or hour angle
+    const solarNoon = 720 - 4 * _location.longitude - equationOfTime;
+    const minutes = anchor === 'sunrise' ? solarNoon - 4 * hourAngle : solarNoon + 4 * hourAngle;
+    return dayStartUtc + Math.round(minutes) * 60000;
+}
+
 /**
  * Convert a {hours, minutes} object to total minutes since midnight.
  */
@@ -46,55 +311,209 @@ export function formatTimeHHMM(hours, minutes) {
 }
 
 /**
- * Convert JS Date.getDay() (0=Sun) to ISO weekday (1=Mon..7=Sun).
+ * Parse a "YYYY-MM-DD" date string into {year, month, day} (month 1-12), or null if invalid.
  */
-function _jsToIsoDay(jsDay) {
-    return jsDay === 0 ? 7 : jsDay;
+export function parseDate(dateStr) {
+    if (typeof dateStr !== 'string') return null;
+
+    const match = dateStr.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+    if (!match) return null;
+
+    const [year, month, day] = match.slice(1).map((part) => parseInt(part, 10));
+    if (!GLib.Date.valid_dmy(day, month, year)) return null;
+
+    return {year, month, day};
 }
 
 /**
- * Check if a schedule is currently active.
- * Handles overnight schedules (start > end) by checking yesterday's day-of-week
- * for the after-midnight portion.
- * NOTE: Schedule math assumes 1440 minutes/day and uses wall-clock time from
- * Date(). During DST transitions a day may be 1380 or 1500 minutes long.
- * This can cause a schedule boundary to fire up to 1 hour early or late.
- * The 1-hour cap on the schedule timer in StateManager._rescheduleTimer()
- * ensures self-correction within that window.
+ * Format the calendar day of a GLib.DateTime as "YYYY-MM-DD".
+ */
+export function formatDate(date) {
+    return date.format('%Y-%m-%d');
+}
+
+/**
+ * Format a "YYYY-MM-DD" date in the user's locale (e.g. "12/24/2026"), or return it unchanged if invalid.
+ */
+export function formatDateLabel(dateStr) {
+    const date = parseDate(dateStr);
+    if (!date) return dateStr;
+
+    return _newDay(date.year, date.month, date.day).format('%x') ?? dateStr;
+}
+
+/**
+ * Maximum number of time windows in one schedule.
+ */
+export const MAX_SCHEDULE_WINDOWS = 8;
+
+/**
+ * Maximum number of excluded date ranges, and of extra dates, in one schedule.
+ */
+export const MAX_SCHEDULE_DATES = 32;
+
+/**
+ * Days scanned ahead for the next schedule boundary, enough to get past
+ * excluded date ranges and reach extra dates up to a year away.
+ */
+const MAX_BOUNDARY_SCAN_DAYS = 367;
+
+/**
+ * Parsed events of the calendar files used by calendar schedules, by file path
+ */
+const _calendarEvents = new Map();
+
+/**
+ * Set the parsed events of a calendar file, or forget them with null
+ * (e.g. when the file cannot be read).
+ */
+export function setCalendarEvents(path, events) {
+    if (events) _calendarEvents.set(path, events);
+    else _calendarEvents.delete(path);
+}
+
+/**
+ * Whether a schedule takes its windows from a calendar file: {enabled, calendar: {path, summary}}.
+ * Only events whose summary matches the optional pattern count.
+ */
+export function isCalendarSchedule(schedule) {
+    return !!schedule && typeof schedule.calendar === 'object' && schedule.calendar !== null;
+}
+
+/**
+ * Bring a schedule into windowed form: {enabled, windows: [{days, startTime, endTime}]}.
+ * Legacy single-window schedules ({enabled, days, startTime, endTime}) become one window.
+ * Calendar schedules are returned unchanged.
+ */
+export function normalizeSchedule(schedule) {
+    if (!schedule || typeof schedule !== 'object' || Array.isArray(schedule.windows)) return schedule;
+    if (isCalendarSchedule(schedule)) return schedule;
+
+    const {days, startTime, endTime, ...rest} = schedule;
+    return {...rest, windows: [{days, startTime, endTime}]};
+}
+
+/**
+ * Get the time windows of a schedule, in either form. Calendar schedules have none.
+ */
+export function getScheduleWindows(schedule) {
+    if (isCalendarSchedule(schedule)) return [];
+    return normalizeSchedule(schedule)?.windows ?? [];
+}
+
+/**
+ * Check if a schedule is currently active, i.e. one of its windows is.
+ * Handles overnight windows (start > end) by checking yesterday's day-of-week
+ * for the after-midnight portion. `now` is a GLib.DateTime, by default the current time.
  */
 export function isScheduleActive(schedule, now = null) {
-    if (!schedule || !schedule.enabled) return false;
+    return getActiveScheduleWindow(schedule, now) !== null;
+}
 
-    if (!now) now = new Date();
+/**
+ * Get the currently active window of a schedule, or null if none is active.
+ * For calendar schedules this is the current event, as {days: [], startTime, endTime, summary}.
+ */
+export function getActiveScheduleWindow(schedule, now = null) {
+    if (!schedule || !schedule.enabled) return null;
 
-    const currentIsoDay = _jsToIsoDay(now.getDay());
-    const currentMinutes = now.getHours() * 60 + now.getMinutes();
+    const time = _toTimestamp(now ?? _now());
 
-    const start = parseTime(schedule.startTime);
-    const end = parseTime(schedule.endTime);
-    if (!start || !end) return false;
+    if (isCalendarSchedule(schedule)) {
+        const event = _getActiveCalendarOccurrence(schedule, time);
+        if (!event) return null;
 
-    const startMin = timeToMinutes(start);
-    const endMin = timeToMinutes(end);
+        return {
+            days: [],
+            startTime: _formatTimestamp(event.start),
+            endTime: _formatTimestamp(event.end),
+            summary: event.summary,
+        };
+    }
 
-    if (startMin < endMin) {
-        // Same-day schedule: e.g. 05:30-08:00
-        return schedule.days.includes(currentIsoDay) && currentMinutes >= startMin && currentMinutes < endMin;
-    } else {
-        // Overnight schedule: e.g. 23:00-07:00
-        // Split into two intervals:
-        //   1. startTime..midnight on the start day
-        //   2. midnight..endTime on the next day (check yesterday's day)
-        if (currentMinutes >= startMin) {
-            // We're in the evening portion — check today's day
-            return schedule.days.includes(currentIsoDay);
-        } else if (currentMinutes < endMin) {
-            // We're in the morning (after-midnight) portion — check yesterday's day
-            const yesterdayIsoDay = currentIsoDay === 1 ? 7 : currentIsoDay - 1;
-            return schedule.days.includes(yesterdayIsoDay);
-        }
-        return false;
+    return getScheduleWindows(schedule).find((timeWindow) => _getActiveOccurrence(schedule, timeWindow, time)) ?? null;
+}
+
+/**
+ * Get the [start, end) timestamps (ms) of the window occurrence containing `time` (ms), or null.
+ * An occurrence can start the day before (overnight windows), and a large negative
+ * sunrise/sunset offset can move the start of tomorrow's occurrence into today.
+ */
+function _getActiveOccurrence(schedule, timeWindow, time) {
+    const today = _getDay(time);
+    for (let dayOffset = -1; dayOffset <= 1; dayOffset++) {
+        const occurrence = _getWindowOccurrence(schedule, timeWindow, _addDays(today, dayOffset));
+        if (occurrence && occurrence[0] <= time && time < occurrence[1]) return occurrence;
     }
+    return null;
+}
+
+/**
+ * Get the [start, end) timestamps (ms) of a window on a calendar day,
+ * or null if the schedule does not apply that day or a time cannot be resolved.
+ * Times are resolved on the day they fall on, so an overnight window ending at
+ * sunrise ends at the next morning's sunrise.
+ */
+function _getWindowOccurrence(schedule, timeWindow, day) {
+    if (!_isDateScheduled(schedule, timeWindow, day)) return null;
+
+    const start = _resolveTime(timeWindow.startTime, day);
+    let end = _resolveTime(timeWindow.endTime, day);
+    if (start === null || end === null) return null;
+
+    // Overnight window: the end falls on the next day
+    if (end <= start) end = _resolveTime(timeWindow.endTime, _addDays(day, 1));
+
+    return end > start ? [start, end] : null;
+}
+
+/**
+ * Whether a window applies on a calendar day: the weekday is selected
+ * or the date is one of the schedule's extra dates, and no excluded range covers it.
+ * Excluded ranges take precedence over extra dates.
+ */
+function _isDateScheduled(schedule, timeWindow, day) {
+    if (_isDateExcluded(schedule, day)) return false;
+    if (Array.isArray(timeWindow?.days) && timeWindow.days.includes(day.get_day_of_week())) return true;
+    return Array.isArray(schedule.includedDates) && schedule.includedDates.includes(formatDate(day));
+}
+
+/**
+ * Whether one of the schedule's excluded date ranges covers a calendar day.
+ */
+function _isDateExcluded(schedule, day) {
+    if (!Array.isArray(schedule.excludedDates)) return false;
+
+    const dateStr = formatDate(day);
+    return schedule.excludedDates.some((range) => range.start <= dateStr && dateStr <= range.end);
+}
+
+/**
+ * Get the occurrences of a calendar schedule's matching events overlapping
+ * [rangeStart, rangeEnd) (ms), with floating event times in the schedule time zone.
+ * Events starting on an excluded date are skipped.
+ * Returns an empty list while the calendar file is not loaded.
+ */
+function _getCalendarOccurrences(schedule, rangeStart, rangeEnd) {
+    const events = _calendarEvents.get(schedule.calendar.path);
+    if (!events) return [];
+
+    const summary = schedule.calendar.summary ?? '';
+    return CalendarEvents.getOccurrences(events, rangeStart, rangeEnd, summary, _getTimeZone()).filter(
+        (occurrence) => !_isDateExcluded(schedule, _getDay(occurrence.start))
+    );
+}
+
+/**
+ * Get the calendar event occurrence containing `time` (ms), or null. Of overlapping
+ * events, the one ending last is returned.
+ */
+function _getActiveCalendarOccurrence(schedule, time) {
+    let active = null;
+    for (const occurrence of _getCalendarOccurrences(schedule, time, time + 1)) {
+        if (!active || occurrence.end > active.end) active = occurrence;
+    }
+    return active;
 }
 
 /**
@@ -102,113 +521,150 @@ export function isScheduleActive(schedule, now = null) {
  * Returns null if the schedule is not currently active.
  */
 export function getScheduleEndTimeToday(schedule, now = null) {
-    if (!isScheduleActive(schedule, now)) return null;
+    if (!schedule || !schedule.enabled) return null;
 
-    const end = parseTime(schedule.endTime);
-    if (!end) return null;
+    const time = _toTimestamp(now ?? _now());
 
-    return formatTimeHHMM(end.hours, end.minutes);
+    if (isCalendarSchedule(schedule)) {
+        const event = _getActiveCalendarOccurrence(schedule, time);
+        return event ? _formatTimestamp(event.end) : null;
+    }
+
+    for (const timeWindow of getScheduleWindows(schedule)) {
+        const occurrence = _getActiveOccurrence(schedule, timeWindow, time);
+        if (occurrence) return _formatTimestamp(occurrence[1]);
+    }
+    return null;
 }
 
 /**
  * Calculate seconds until the nearest schedule boundary (start or end).
- * Scans up to 7 days forward.
- * Uses 1440 min/day arithmetic, which is inexact during DST transitions
- * (±60 min). The caller (StateManager._rescheduleTimer) caps the delay
- * at 3600s, so the timer self-corrects within one hour regardless.
+ * Scans forward day by day, skipping excluded dates, for up to a year.
+ * Boundaries are resolved for each day, so sunrise/sunset times that move
+ * from day to day are found as well. For calendar schedules, the boundaries
+ * are the starts and ends of matching events.
  */
 export function secondsUntilNextBoundary(schedule, now = null) {
     if (!schedule || !schedule.enabled) return Infinity;
 
-    if (!now) now = new Date();
+    const time = _toTimestamp(now ?? _now());
 
-    const start = parseTime(schedule.startTime);
-    const end = parseTime(schedule.endTime);
-    if (!start || !end || !schedule.days || schedule.days.length === 0) return Infinity;
-
-    const startMin = timeToMinutes(start);
-    const endMin = timeToMinutes(end);
-    const currentMinutes = now.getHours() * 60 + now.getMinutes();
-    const currentSeconds = now.getSeconds();
+    if (isCalendarSchedule(schedule)) return _secondsUntilCalendarBoundary(schedule, time);
 
     let best = Infinity;
+    for (const timeWindow of getScheduleWindows(schedule))
+        best = Math.min(best, _secondsUntilWindowBoundary(schedule, timeWindow, time));
+    return best;
+}
 
-    // Scan 8 days (today + 7 forward) to guarantee finding next boundary
-    for (let dayOffset = 0; dayOffset <= 7; dayOffset++) {
-        const futureDate = new Date(now);
-        futureDate.setDate(futureDate.getDate() + dayOffset);
-        const isoDay = _jsToIsoDay(futureDate.getDay());
+/**
+ * Seconds until the nearest start or end of a single time window.
+ */
+function _secondsUntilWindowBoundary(schedule, timeWindow, time) {
+    const today = _getDay(time);
 
-        if (!schedule.days.includes(isoDay)) continue;
+    // A time that cannot be resolved today (no location for sunrise/sunset) cannot be on any day
+    if (_resolveTime(timeWindow.startTime, today) === null || _resolveTime(timeWindow.endTime, today) === null)
+        return Infinity;
 
-        // Check start boundary on this day
-        const startDiffMin = dayOffset === 0 ? startMin - currentMinutes : startMin + dayOffset * 1440 - currentMinutes;
+    let best = Infinity;
 
-        if (startDiffMin > 0) {
-            const startDiffSec = startDiffMin * 60 - currentSeconds;
-            if (startDiffSec > 0 && startDiffSec < best) best = startDiffSec;
-        }
+    // Yesterday's overnight occurrence can end today. Occurrences start at most
+    // a day before their date, so stop once a later day cannot be any nearer.
+    for (let dayOffset = -1; dayOffset <= MAX_BOUNDARY_SCAN_DAYS; dayOffset++) {
+        if (best !== Infinity && _localTimestamp(_addDays(today, dayOffset - 1), 0) - time > best) break;
 
-        // Check end boundary on this day
-        if (startMin < endMin) {
-            // Same-day: end is on the same day
-            const endDiffMin = dayOffset === 0 ? endMin - currentMinutes : endMin + dayOffset * 1440 - currentMinutes;
+        const occurrence = _getWindowOccurrence(schedule, timeWindow, _addDays(today, dayOffset));
+        if (!occurrence) continue;
 
-            if (endDiffMin > 0) {
-                const endDiffSec = endDiffMin * 60 - currentSeconds;
-                if (endDiffSec > 0 && endDiffSec < best) best = endDiffSec;
-            }
-        } else {
-            // Overnight: end is on the NEXT day
-            const endDiffMin =
-                dayOffset === 0 ? endMin + 1440 - currentMinutes : endMin + (dayOffset + 1) * 1440 - currentMinutes;
-
-            if (endDiffMin > 0) {
-                const endDiffSec = endDiffMin * 60 - currentSeconds;
-                if (endDiffSec > 0 && endDiffSec < best) best = endDiffSec;
-            }
+        for (const boundary of occurrence) {
+            if (boundary > time && boundary - time < best) best = boundary - time;
         }
     }
 
-    // For overnight schedules, check if yesterday's schedule ends today.
-    // The main loop only places end boundaries on the day AFTER each scheduled day,
-    // but never looks backward to find today's end from yesterday's overnight start.
-    if (startMin >= endMin) {
-        const yesterdayDate = new Date(now.getTime() - 86400000);
-        const yesterdayIsoDay = _jsToIsoDay(yesterdayDate.getDay());
-        if (schedule.days.includes(yesterdayIsoDay)) {
-            const endDiffMin = endMin - currentMinutes;
-            if (endDiffMin > 0) {
-                const endDiffSec = endDiffMin * 60 - currentSeconds;
-                if (endDiffSec > 0 && endDiffSec < best) best = endDiffSec;
-            }
+    return best === Infinity ? Infinity : Math.ceil(best / 1000);
+}
+
+/**
+ * Seconds until the nearest start or end of a matching calendar event.
+ */
+function _secondsUntilCalendarBoundary(schedule, time) {
+    const rangeEnd = _localTimestamp(_addDays(_getDay(time), MAX_BOUNDARY_SCAN_DAYS), 0);
+
+    let best = Infinity;
+    for (const occurrence of _getCalendarOccurrences(schedule, time, rangeEnd)) {
+        for (const boundary of [occurrence.start, occurrence.end]) {
+            if (boundary > time && boundary - time < best) best = boundary - time;
         }
+        // Occurrences are sorted by start, so later ones cannot start any nearer
+        if (occurrence.start > time) break;
     }
 
-    return best;
+    return best === Infinity ? Infinity : Math.ceil(best / 1000);
 }
 
 /**
  * Check if two schedules have overlapping active windows.
- * Handles overnight schedules by splitting them into two same-day intervals.
+ * Sunrise/sunset times are compared as they fall today. Excluded dates are
+ * ignored, and extra dates count as their weekday, so this errs towards overlap.
+ * Calendar event times are not known in advance, so a calendar schedule only
+ * overlaps one following the same events (see _calendarSchedulesOverlap()).
  */
 export function schedulesOverlap(schedule1, schedule2) {
     if (!schedule1?.enabled || !schedule2?.enabled) return false;
+    if (isCalendarSchedule(schedule1) || isCalendarSchedule(schedule2))
+        return _calendarSchedulesOverlap(schedule1, schedule2);
 
-    // Check day intersection
-    const days1 = new Set(schedule1.days);
-    const commonDays = schedule2.days.filter((d) => days1.has(d));
+    const windows2 = _getWeeklyWindows(schedule2);
+    return _getWeeklyWindows(schedule1).some((window1) =>
+        windows2.some((window2) => _windowsOverlap(window1, window2))
+    );
+}
+
+/**
+ * Whether two schedules, at least one following a calendar, are sure to be active
+ * together: both use the same file, and one matches every event or both use the
+ * same pattern. Otherwise an overlap depends on the event times, which may change.
+ */
+function _calendarSchedulesOverlap(schedule1, schedule2) {
+    if (!isCalendarSchedule(schedule1) || !isCalendarSchedule(schedule2)) return false;
+    if (schedule1.calendar.path !== schedule2.calendar.path) return false;
+
+    const summary1 = (schedule1.calendar.summary ?? '').trim().toLowerCase();
+    const summary2 = (schedule2.calendar.summary ?? '').trim().toLowerCase();
+    return !summary1 || !summary2 || summary1 === summary2;
+}
+
+/**
+ * A schedule's windows as a weekly pattern, with the weekdays of extra dates added to their days.
+ */
+function _getWeeklyWindows(schedule) {
+    const extraDays = (Array.isArray(schedule?.includedDates) ? schedule.includedDates : [])
+        .map(parseDate)
+        .filter(Boolean)
+        .map(({year, month, day}) => _newDay(year, month, day).get_day_of_week());
+
+    return getScheduleWindows(schedule).map((timeWindow) => ({
+        ...timeWindow,
+        days: [...new Set([...(timeWindow.days ?? []), ...extraDays])],
+    }));
+}
 
-    const start1 = parseTime(schedule1.startTime);
-    const end1 = parseTime(schedule1.endTime);
-    const start2 = parseTime(schedule2.startTime);
-    const end2 = parseTime(schedule2.endTime);
-    if (!start1 || !end1 || !start2 || !end2) return false;
+/**
+ * Check if two time windows overlap.
+ * Handles overnight windows by splitting them into two same-day intervals.
+ */
+function _windowsOverlap(window1, window2) {
+    // Check day intersection
+    const days1 = new Set(window1.days);
+    const commonDays = window2.days.filter((d) => days1.has(d));
 
-    const s1Min = timeToMinutes(start1);
-    const e1Min = timeToMinutes(end1);
-    const s2Min = timeToMinutes(start2);
-    const e2Min = timeToMinutes(end2);
+    const s1Min = _resolveMinutes(window1.startTime);
+    const e1Min = _resolveMinutes(window1.endTime);
+    const s2Min = _resolveMinutes(window2.startTime);
+    const e2Min = _resolveMinutes(window2.endTime);
+    if (s1Min === null || e1Min === null || s2Min === null || e2Min === null) return false;
+    if (s1Min === e1Min || s2Min === e2Min) return false;
 
     // Build same-day intervals [start, end) for each schedule.
     // Overnight schedules (start >= end) produce two intervals:
@@ -222,17 +678,17 @@ export function schedulesOverlap(schedule1, schedule2) {
     }
 
     // For overnight schedules, also check cross-day overlap:
-    // Schedule1's evening portion on day D overlaps with schedule2's morning on day D+1
+    // Schedule1's evening portion on day D overlaps with window2's morning on day D+1
     // and vice versa.
     const isOvernight1 = s1Min >= e1Min;
     const isOvernight2 = s2Min >= e2Min;
 
     if (isOvernight1) {
         // Schedule1's [0, e1) morning portion lands on the day AFTER each scheduled day.
-        // Compare against schedule2's intervals that are actually on that same day.
-        for (const day of schedule1.days) {
+        // Compare against window2's intervals that are actually on that same day.
+        for (const day of window1.days) {
             const nextDay = day === 7 ? 1 : day + 1;
-            if (schedule2.days.includes(nextDay)) {
+            if (window2.days.includes(nextDay)) {
                 // Schedule2 starts on nextDay: use only its evening/same-day portion,
                 // NOT its morning (which belongs to the day after nextDay)
                 const s2OnNextDay = isOvernight2 ? [[s2Min, 1440]] : intervals2;
@@ -243,9 +699,9 @@ export function schedulesOverlap(schedule1, schedule2) {
 
     if (isOvernight2) {
         // Schedule2's [0, e2) morning portion lands on the day AFTER each scheduled day.
-        for (const day of schedule2.days) {
+        for (const day of window2.days) {
             const nextDay = day === 7 ? 1 : day + 1;
-            if (schedule1.days.includes(nextDay)) {
+            if (window1.days.includes(nextDay)) {
                 const s1OnNextDay = isOvernight1 ? [[s1Min, 1440]] : intervals1;
                 if (_intervalsOverlap(s1OnNextDay, [[0, e2Min]])) return true;
             }
@@ -255,6 +711,65 @@ export function schedulesOverlap(schedule1, schedule2) {
     return false;
 }
 
+/**
+ * Find the earliest moment in the week (from Monday 00:00) when both schedules are active.
+ * Returns {day, time} with an ISO weekday and "HH:MM" time, or null if they never overlap.
+ * Calendar schedules following the same events overlap during them: {calendar: true}.
+ */
+export function findScheduleOverlap(schedule1, schedule2) {
+    if (!schedulesOverlap(schedule1, schedule2)) return null;
+    if (isCalendarSchedule(schedule1)) return {calendar: true};
+
+    let earliest = Infinity;
+    for (const [a0, a1] of _buildWeeklyIntervals(schedule1)) {
+        for (const [b0, b1] of _buildWeeklyIntervals(schedule2)) {
+            const start = Math.max(a0, b0);
+            if (start < Math.min(a1, b1) && start < earliest) earliest = start;
+        }
+    }
+    if (earliest === Infinity) return null;
+
+    const minutes = earliest % 1440;
+    return {day: Math.floor(earliest / 1440) + 1, time: formatTimeHHMM(Math.floor(minutes / 60), minutes % 60)};
+}
+
+/**
+ * Build a schedule's active time as [start, end) minutes since Monday 00:00.
+ * Overnight windows continue on the next day, and Sunday night's on Monday.
+ */
+function _buildWeeklyIntervals(schedule) {
+    const intervals = [];
+    for (const timeWindow of _getWeeklyWindows(schedule)) {
+        const startMin = _resolveMinutes(timeWindow.startTime);
+        const endMin = _resolveMinutes(timeWindow.endTime);
+        if (startMin === null || endMin === null || startMin === endMin) continue;
+
+        for (const day of timeWindow.days) {
+            const dayStart = (day - 1) * 1440;
+            if (startMin < endMin) {
+                intervals.push([dayStart + startMin, dayStart + endMin]);
+            } else {
+                const nextDayStart = day === 7 ? 0 : dayStart + 1440;
+                intervals.push([dayStart + startMin, dayStart + 1440], [nextDayStart, nextDayStart + endMin]);
+            }
+        }
+    }
+    return intervals;
+}
+
+/**
+ * Minutes since midnight of a schedule time, with sunrise/sunset resolved for today.
+ * Returns null if the time cannot be resolved.
+ */
+function _resolveMinutes(timeStr) {
+    const spec = parseTimeSpec(timeStr);
+    if (!spec) return null;
+    if (!spec.anchor) return spec.minutes;
+
+    const resolved = parseTime(resolveTime(timeStr));
+    return resolved ? timeToMinutes(resolved) : null;
+}
+
 /**
  * Build same-day intervals from start/end minutes.
  */
@@ -285,38 +800,114 @@ function _intervalsOverlap(setA, setB) {
 
 /**
  * Validate a schedule object for structural correctness.
+ * Accepts both the windowed and the legacy single-window form.
  */
 export function validateSchedule(schedule) {
     if (!schedule || typeof schedule !== 'object') return {valid: false, error: _('Invalid schedule object')};
 
     if (typeof schedule.enabled !== 'boolean') return {valid: false, error: _('Schedule must have an enabled flag')};
 
-    if (!Array.isArray(schedule.days) || schedule.days.length === 0)
-        return {valid: false, error: _('Schedule must have at least one day')};
+    if (isCalendarSchedule(schedule)) {
+        const error = _validateCalendar(schedule.calendar) ?? _validateScheduleDates(schedule);
+        return error ? {valid: false, error} : {valid: true, error: null};
+    }
+
+    const windows = getScheduleWindows(schedule);
+    if (!Array.isArray(windows) || windows.length === 0)
+        return {valid: false, error: _('Schedule must have at least one time window')};
 
-    for (const day of schedule.days) {
+    if (windows.length > MAX_SCHEDULE_WINDOWS)
+        return {valid: false, error: _('Schedule can have at most %d time windows').format(MAX_SCHEDULE_WINDOWS)};
+
+    const datesError = _validateScheduleDates(schedule);
+    if (datesError) return {valid: false, error: datesError};
+
+    // Windows without days apply only on the extra dates
+    const hasIncludedDates = schedule.includedDates?.length > 0;
+    for (let i = 0; i < windows.length; i++) {
+        const error = _validateWindow(windows[i], hasIncludedDates);
+        // Translators: Prefix for an error in one of several schedule time windows, e.g. "Time window 2: Invalid start time"
+        if (error)
+            return {valid: false, error: windows.length > 1 ? _('Time window %d: %s').format(i + 1, error) : error};
+    }
+
+    return {valid: true, error: null};
+}
+
+/**
+ * Validate a calendar schedule's {path, summary}; returns an error message, or null if valid.
+ */
+function _validateCalendar(calendar) {
+    if (typeof calendar.path !== 'string' || !GLib.path_is_absolute(calendar.path))
+        return _('Calendar file must be an absolute path');
+
+    if (calendar.summary !== undefined && typeof calendar.summary !== 'string')
+        return _('Calendar event pattern must be text');
+
+    return null;
+}
+
+/**
+ * Validate a schedule's optional excludedDates ([{start, end}] "YYYY-MM-DD" ranges)
+ * and includedDates (["YYYY-MM-DD"]); returns an error message, or null if valid.
+ */
+function _validateScheduleDates(schedule) {
+    if (schedule.excludedDates !== undefined) {
+        if (!Array.isArray(schedule.excludedDates)) return _('Excluded dates must be a list');
+        if (schedule.excludedDates.length > MAX_SCHEDULE_DATES)
+            return _('Schedule can have at most %d excluded date ranges').format(MAX_SCHEDULE_DATES);
+
+        for (const range of schedule.excludedDates) {
+            if (!parseDate(range?.start) || !parseDate(range?.end))
+                return _('Invalid excluded date (expected YYYY-MM-DD)');
+            if (range.start > range.end) return _('Excluded date range ends before it starts');
+        }
+    }
+
+    if (schedule.includedDates !== undefined) {
+        if (!Array.isArray(schedule.includedDates)) return _('Extra dates must be a list');
+        if (schedule.includedDates.length > MAX_SCHEDULE_DATES)
+            return _('Schedule can have at most %d extra dates').format(MAX_SCHEDULE_DATES);
+
+        for (const dateStr of schedule.includedDates) {
+            if (!parseDate(dateStr)) return _('Invalid extra date (expected YYYY-MM-DD)');
+        }
+        if (new Set(schedule.includedDates).size !== schedule.includedDates.length) return _('Duplicate extra dates');
+    }
+
+    return null;
+}
+
+/**
+ * Validate a single time window; returns an error message, or null if valid.
+ */
+function _validateWindow(timeWindow, allowNoDays = false) {
+    if (!timeWindow || typeof timeWindow !== 'object') return _('Invalid time window');
+
+    if (!Array.isArray(timeWindow.days) || (timeWindow.days.length === 0 && !allowNoDays))
+        return _('Time window must have at least one day');
+
+    for (const day of timeWindow.days) {
         if (!Number.isInteger(day) || day < 1 || day > 7)
-            return {valid: false, error: _('Invalid day: must be 1 (Monday) through 7 (Sunday)')};
+            return _('Invalid day: must be 1 (Monday) through 7 (Sunday)');
     }
 
     // Check for duplicate days
-    if (new Set(schedule.days).size !== schedule.days.length)
-        return {valid: false, error: _('Duplicate days in schedule')};
+    if (new Set(timeWindow.days).size !== timeWindow.days.length) return _('Duplicate days in time window');
 
-    if (typeof schedule.startTime !== 'string') return {valid: false, error: _('Start time is required')};
+    if (typeof timeWindow.startTime !== 'string') return _('Start time is required');
 
-    if (typeof schedule.endTime !== 'string') return {valid: false, error: _('End time is required')};
+    if (typeof timeWindow.endTime !== 'string') return _('End time is required');
 
-    const start = parseTime(schedule.startTime);
-    if (!start) return {valid: false, error: _('Invalid start time format (expected HH:MM)')};
+    const start = parseTimeSpec(timeWindow.startTime);
+    if (!start) return _('Invalid start time format (expected HH:MM, or sunrise/sunset with an optional offset)');
 
-    const end = parseTime(schedule.endTime);
-    if (!end) return {valid: false, error: _('Invalid end time format (expected HH:MM)')};
+    const end = parseTimeSpec(timeWindow.endTime);
+    if (!end) return _('Invalid end time format (expected HH:MM, or sunrise/sunset with an optional offset)');
 
-    if (start.hours === end.hours && start.minutes === end.minutes)
-        return {valid: false, error: _('Start and end time must be different')};
+    if (start.anchor === end.anchor && start.minutes === end.minutes) return _('Start and end time must be different');
 
-    return {valid: true, error: null};
+    return null;
 }
 
 /**
@@ -338,3 +929,52 @@ export function formatDaysSummary(days) {
     // Fall back to abbreviated names
     return sorted.map((d) => _(DAYS_SHORT[d])).join(', ');
 }
+
+/**
+ * Label for a schedule time. Clock times are shown as-is; sunrise/sunset times
+ * include the time they resolve to on `date` (default today) when a location is set,
+ * e.g. "Sunset − 00:30 (18:42)".
+ */
+export function formatScheduleTime(timeStr, date = null) {
+    const spec = parseTimeSpec(timeStr);
+    if (!spec?.anchor) return timeStr;
+
+    let label = spec.anchor === 'sunrise' ? _('Sunrise') : _('Sunset');
+    if (spec.minutes !== 0) {
+        const offset = Math.abs(spec.minutes);
+        const offsetStr = formatTimeHHMM(Math.floor(offset / 60), offset % 60);
+        // Translators: Time relative to sunrise or sunset, e.g. "Sunset − 00:30" or "Sunrise + 01:00"
+        label = (spec.minutes < 0 ? _('%s − %s') : _('%s + %s')).format(label, offsetStr);
+    }
+
+    const resolved = resolveTime(timeStr, date);
+    // Translators: Sunrise/sunset time and the clock time it falls on, e.g. "Sunset (19:12)"
+    return resolved ? _('%s (%s)').format(label, resolved) : label;
+}
+
+/**
+ * Summarize a schedule's time windows, e.g. "Weekdays 09:00–12:00, Sat 10:00–14:00".
+ * Sunrise/sunset times show the times they resolve to today. Calendar schedules
+ * name their file, e.g. "Events matching “Focus” in work.ics".
+ */
+export function formatScheduleSummary(schedule) {
+    if (isCalendarSchedule(schedule)) {
+        const fileName = GLib.path_get_basename(schedule.calendar.path ?? '');
+        // Translators: Calendar schedule summary; the first %s is an event name pattern, the second a file name
+        if (schedule.calendar.summary)
+            return _('Events matching “%s” in %s').format(schedule.calendar.summary, fileName);
+        // Translators: Calendar schedule summary, %s is a file name, e.g. "Events in work.ics"
+        return _('Events in %s').format(fileName);
+    }
+
+    return getScheduleWindows(schedule)
+        .map((timeWindow) =>
+            // Translators: Days and time range of a schedule window, e.g. "Weekdays 09:00–12:00"
+            _('%s %s–%s').format(
+                formatDaysSummary(timeWindow.days) || _('Extra dates'),
+                formatScheduleTime(timeWindow.startTime),
+                formatScheduleTime(timeWindow.endTime)
+            )
+        )
+        .join(_(', '));
+}
@@ -16,10 +16,13 @@
 import Gio from 'gi://Gio';
 import GLib from 'gi://GLib';
 import GObject from 'gi://GObject';
+import GnomeDesktop from 'gi://GnomeDesktop';
 import Gettext from 'gettext';
 import * as Main from 'resource:///org/gnome/shell/ui/main.js';
 import * as ProfileMatcher from './profileMatcher.js';
+import {PARAMETERS} from './constants.js';
 import {ParameterDetector} from './parameterDetector.js';
+import {CalendarMonitor} from './calendarMonitor.js';
 import * as RuleEvaluator from './ruleEvaluator.js';
 import * as ScheduleUtils from './scheduleUtils.js';
 import {debugError, debugWarn} from './helper.js';
@@ -33,6 +36,8 @@ const INITIAL_RULE_EVAL_DELAY_MS = 500;
 const RULE_EVAL_DEBOUNCE_MS = 300;
 const NOTIFICATION_THROTTLE_MS = 60000;
 const NOTIFICATION_PRUNE_AGE_MS = 300000; // 5 minutes
+// Wall-clock change that counts as the clock being set, rather than NTP slewing
+const CLOCK_JUMP_THRESHOLD_US = 2000000;
 
 // No-op marker for xgettext extraction. Strings are translated at call sites via _().
 const N_ = (s) => s;
@@ -79,12 +84,23 @@ export const StateManager = GObject.registerClass(
 
             // Rule-based automatic profile switching
             this._parameterDetector = null;
+            this._parametersInUse = new Set();
+            this._calendarMonitor = null;
             this._autoManagePaused = false;
 
             // Initial rule evaluation timeout (stored for cleanup)
             this._initialRuleEvalTimeout = null;
             this._ruleEvaluationTimeout = null;
 
+            // Conditions with a minimum duration: key -> {since, timerId}
+            this._conditionHolds = new Map();
+
+            // Scenarios activated by their rules, innermost last: {profileId, previous},
+            // where previous is the {profileId, powerMode, batteryMode} they replaced
+            this._activationStack = [];
+            // An exit action ran; its result stays until a scenario matches again
+            this._exitActionApplied = false;
+
             // Async safety flag
             this._destroyed = false;
 
@@ -101,6 +117,10 @@ export const StateManager = GObject.registerClass(
             // Schedule timer for time-based profile activation
             this._scheduleTimerId = null;
 
+            // Wall clock for clock and time zone changes, which move schedule boundaries
+            this._wallClock = null;
+            this._clockOffset = 0;
+
             // Login manager proxy for suspend/resume detection
             this._loginManagerProxy = null;
             this._prepareForSleepId = null;
@@ -162,6 +182,16 @@ export const StateManager = GObject.registerClass(
             if (this._autoManagePaused && this._settings.get_boolean('resume-on-state-change'))
                 this._setAutoManagePaused(false);
 
+            // Location for schedule times relative to sunrise/sunset
+            ScheduleUtils.setLocationFromSettings(this._settings);
+
+            // Calendar files that schedules take their windows from
+            this._calendarMonitor = new CalendarMonitor();
+            this._calendarMonitor.connectObject('calendar-changed', () => this._onCalendarChanged(), this);
+            this._updateCalendarPaths();
+
+            this._initializeClockMonitoring();
+
             // Detect current profile
             this._updateProfile();
 
@@ -169,9 +199,11 @@ export const StateManager = GObject.registerClass(
             await this._initializeParameterDetector();
             if (this._destroyed) return;
 
-            // Seed battery level in parameter detector
-            if (this._batteryController && this._parameterDetector)
+            // Seed battery level and drain rate in parameter detector
+            if (this._batteryController && this._parameterDetector) {
                 this._parameterDetector.setBatteryLevel(this._batteryController.batteryLevel);
+                this._parameterDetector.setBatteryDrainRate(this._batteryController.batteryDrainRate);
+            }
 
             // Initialize login manager proxy for suspend/resume detection
             await this._initializeLoginManagerProxy();
@@ -213,9 +245,11 @@ export const StateManager = GObject.registerClass(
                     },
                     'battery-status-changed',
                     () => {
-                        // Update battery level in parameter detector for rule evaluation
-                        if (this._parameterDetector)
+                        // Update battery level and drain rate in parameter detector for rule evaluation
+                        if (this._parameterDetector) {
                             this._parameterDetector.setBatteryLevel(this._batteryController.batteryLevel);
+                            this._parameterDetector.setBatteryDrainRate(this._batteryController.batteryDrainRate);
+                        }
 
                         // Auto-revert boost charge when battery is full.
                         // Some hardware reports 99% when truly full; cross-check
@@ -251,6 +285,8 @@ export const StateManager = GObject.registerClass(
             this._settings.connectObject(
                 'changed::custom-profiles',
                 () => {
+                    this._updateParametersInUse();
+                    this._updateCalendarPaths();
                     this._updateProfile();
                     this._rescheduleTimer();
                     if (this._settings.get_boolean('auto-switch-enabled')) {
@@ -307,6 +343,12 @@ export const StateManager = GObject.registerClass(
                             this._scheduleRuleEvaluation();
                     }
                 },
+                'changed::solar-location-enabled',
+                () => this._onSolarLocationChanged(),
+                'changed::solar-latitude',
+                () => this._onSolarLocationChanged(),
+                'changed::solar-longitude',
+                () => this._onSolarLocationChanged(),
                 this
             );
 
@@ -333,7 +375,7 @@ export const StateManager = GObject.registerClass(
         async _initializeParameterDetector() {
             if (this._parameterDetector) return;
 
-            this._parameterDetector = new ParameterDetector();
+            this._parameterDetector = new ParameterDetector(this._settings);
 
             // Connect signal BEFORE initialize() to avoid missing early emissions
             this._parameterDetector.connectObject(
@@ -344,6 +386,7 @@ export const StateManager = GObject.registerClass(
                 this
             );
 
+            this._updateParametersInUse();
             await this._parameterDetector.initialize();
         }
 
@@ -356,20 +399,57 @@ export const StateManager = GObject.registerClass(
                 });
             }
 
+            // Frequently changing parameters (e.g. focused app) only matter when a scenario uses them
+            if (PARAMETERS[paramName]?.frequent && !this._isParameterInUse(paramName)) return;
+
             // Always emit state-changed for UI updates (e.g. force discharge toggle sensitivity)
             this.emit('state-changed');
 
             // If auto-switch is disabled, skip rule evaluation
             if (!this._settings.get_boolean('auto-switch-enabled')) return;
 
-            // If paused and resume-on-state-change is enabled, unpause
-            if (this._autoManagePaused && this._settings.get_boolean('resume-on-state-change'))
+            // If paused and resume-on-state-change is enabled, unpause on discrete state changes
+            if (
+                this._autoManagePaused &&
+                this._isDiscreteStateChange(paramName) &&
+                this._settings.get_boolean('resume-on-state-change')
+            )
                 this._setAutoManagePaused(false);
 
             // If not paused, evaluate rules
             if (!this._autoManagePaused) this._scheduleRuleEvaluation();
         }
 
+        /**
+         * Whether a parameter changes with the system state (e.g. display or power source)
+         * rather than continuously: frequent parameters such as the focused app and
+         * polled numeric readings such as CPU load would resume auto-management within seconds.
+         */
+        _isDiscreteStateChange(paramName) {
+            const paramDef = PARAMETERS[paramName];
+            return !paramDef?.frequent && paramDef?.type !== 'numeric';
+        }
+
+        /**
+         * Check whether any scenario has a rule on the given parameter
+         */
+        _isParameterInUse(paramName) {
+            return this._parametersInUse.has(paramName);
+        }
+
+        /**
+         * Recompute which parameters scenario rules refer to, so the detector
+         * only samples polled parameters (e.g. CPU load) when they are needed
+         */
+        _updateParametersInUse() {
+            const inUse = new Set();
+            for (const profile of getCustomProfiles(this._settings)) {
+                for (const paramName of RuleEvaluator.getRuleParameters(profile.rules)) inUse.add(paramName);
+            }
+            this._parametersInUse = inUse;
+            if (this._parameterDetector) this._parameterDetector.setParametersInUse(inUse);
+        }
+
         /**
          * Schedule rule evaluation with debouncing
          */
@@ -390,7 +470,11 @@ export const StateManager = GObject.registerClass(
          * Rule evaluation uses most-specific-wins logic:
          * - Profiles with more matching conditions take precedence
          * - Example: A profile with 2 rules (display + power) wins over one with 1 rule (display only)
-         * - If no profile matches, the current profile remains active
+         * - An "any" group counts as its least specific alternative
+         * - An explicit scenario priority takes precedence over specificity
+         * - If no profile matches, the exit action of the profile being left runs;
+         *   without one, the fallback profile is applied, and without that the
+         *   current profile remains active
          * This method is called when:
          * - System parameters change (display connect/disconnect, AC plug/unplug)
          * - Auto-switch setting is re-enabled
@@ -409,18 +493,45 @@ export const StateManager = GObject.registerClass(
                 const currentParams = this._parameterDetector.getAllValues();
                 const profiles = getCustomProfiles(this._settings);
 
+                // Conditions not evaluated in this pass (removed, edited, or in a profile
+                // outside its schedule) stop tracking their duration
+                const evaluatedHolds = new Set();
                 const matchingProfile = RuleEvaluator.findMatchingProfile(
                     profiles,
                     currentParams,
-                    this._currentProfile
+                    this._currentProfile,
+                    (key, isTrue, seconds) => {
+                        evaluatedHolds.add(key);
+                        return this._isConditionHeld(key, isTrue, seconds);
+                    }
                 );
+                for (const key of [...this._conditionHolds.keys()]) {
+                    if (!evaluatedHolds.has(key)) this._clearConditionHold(key);
+                }
 
                 if (matchingProfile) {
+                    this._exitActionApplied = false;
                     // Only switch if it's a different profile
-                    if (matchingProfile.id !== this._currentProfile)
-                        await this._applyProfile(matchingProfile, true);
+                    if (matchingProfile.id !== this._currentProfile) {
+                        const previous = {
+                            profileId: this._currentProfile,
+                            powerMode: this._currentPowerMode,
+                            batteryMode: this._currentBatteryMode,
+                        };
+                        if (await this._applyProfile(matchingProfile, true))
+                            this._pushActivation(matchingProfile.id, previous);
+                    }
+                } else {
+                    // Nothing matches: run the exit action of the scenario being left. Its
+                    // result, or else the fallback profile, stays until a scenario matches;
+                    // without either, the current profile stays
+                    if (!this._exitActionApplied) this._exitActionApplied = await this._applyExitAction(profiles);
+                    if (!this._exitActionApplied) {
+                        const fallbackProfile = RuleEvaluator.getFallbackProfile(profiles);
+                        if (fallbackProfile && fallbackProfile.id !== this._currentProfile)
+                            await this._applyProfile(fallbackProfile, true);
+                    }
                 }
-                // If no match, stay on current profile (no change)
             } finally {
                 this._evaluatingRules = false;
                 if (!this._destroyed) this._rescheduleTimer();
@@ -431,6 +542,107 @@ export const StateManager = GObject.registerClass(
             }
         }
 
+        /**
+         * Record a scenario activated by its rules and the state it replaced.
+         * Re-activating a scenario already on the stack returns to its entry,
+         * keeping the state from before its first activation.
+         */
+        _pushActivation(profileId, previous) {
+            const index = this._activationStack.findIndex((a) => a.profileId === profileId);
+            if (index !== -1) this._activationStack.length = index + 1;
+            else this._activationStack.push({profileId, previous});
+        }
+
+        /**
+         * Run the exit action of the last scenario activated by its rules, if it
+         * is still current. Returns whether an exit action ran.
+         *
+         * Only called when no scenario matches, so restoring a scenario that was
+         * itself activated by its rules would return to one that no longer applies:
+         * its own exit action runs instead, unwinding the stack further.
+         */
+        async _applyExitAction(profiles) {
+            let activation = this._activationStack.at(-1);
+            if (!activation || activation.profileId !== this._currentProfile) return false;
+
+            let exitAction;
+            while (activation) {
+                this._activationStack.pop();
+                exitAction = profiles.find((p) => p.id === activation.profileId)?.exitAction;
+                if (!exitAction) return false;
+
+                const below = this._activationStack.at(-1);
+                const {profileId} = activation.previous;
+                if (exitAction.type !== 'restore' || !profileId || below?.profileId !== profileId) break;
+                activation = below;
+            }
+
+            if (exitAction.type === 'restore') {
+                await this._restoreState(activation.previous);
+                return true;
+            }
+
+            const target = profiles.find((p) => p.id === exitAction.profileId);
+            if (!target) {
+                debugWarn(`Exit action target '${exitAction.profileId}' not found`);
+                return false;
+            }
+            if (target.id !== this._currentProfile) await this._applyProfile(target, true);
+            return true;
+        }
+
+        /**
+         * Return to a state recorded by _pushActivation(): its profile if that
+         * still exists, else its power and battery modes
+         */
+        async _restoreState(state) {
+            if (state.profileId && ProfileMatcher.getProfileById(this._settings, state.profileId))
+                return this.setProfile(state.profileId, true);
+
+            const results = await Promise.all([
+                this._powerController?.isAvailable ? this.setPowerMode(state.powerMode, false) : true,
+                this.batteryControlAvailable ? this.setBatteryMode(state.batteryMode, false) : true,
+            ]);
+            return results.every((r) => r);
+        }
+
+        /**
+         * Check whether a condition with a minimum duration has been true for that long.
+         * A timer started when it becomes true re-triggers rule evaluation once the
+         * duration has elapsed; becoming false in between restarts the count.
+         */
+        _isConditionHeld(key, isTrue, seconds) {
+            if (!isTrue) {
+                this._clearConditionHold(key);
+                return false;
+            }
+
+            const now = GLib.get_monotonic_time();
+            let hold = this._conditionHolds.get(key);
+            if (!hold) {
+                hold = {since: now, timerId: null};
+                hold.timerId = GLib.timeout_add(GLib.PRIORITY_DEFAULT, seconds * 1000, () => {
+                    hold.timerId = null;
+                    this._scheduleRuleEvaluation();
+                    return GLib.SOURCE_REMOVE;
+                });
+                this._conditionHolds.set(key, hold);
+            }
+
+            return now - hold.since >= seconds * 1000000;
+        }
+
+        _clearConditionHold(key) {
+            const hold = this._conditionHolds.get(key);
+            if (!hold) return;
+            if (hold.timerId) GLib.Source.remove(hold.timerId);
+            this._conditionHolds.delete(key);
+        }
+
+        _clearAllConditionHolds() {
+            for (const key of [...this._conditionHolds.keys()]) this._clearConditionHold(key);
+        }
+
         /**
          * Schedule-aware rule evaluation for timer callbacks.
          * Unlike _evaluateAndApplyRules(), this method unpauses auto-management
@@ -472,6 +684,13 @@ export const StateManager = GObject.registerClass(
                     GLib.Source.remove(this._ruleEvaluationTimeout);
                     this._ruleEvaluationTimeout = null;
                 }
+                if (paused) {
+                    // Parameter changes aren't tracked while paused, so durations restart on resume
+                    this._clearAllConditionHolds();
+                    // A manual change replaces the state exit actions would return to
+                    this._activationStack = [];
+                    this._exitActionApplied = false;
+                }
                 this.emit('auto-manage-paused-changed', paused);
             }
         }
@@ -500,6 +719,34 @@ export const StateManager = GObject.registerClass(
             });
         }
 
+        /**
+         * Explain why the current scenario is active: every scenario's conditions
+         * with actual values, schedule state, and why it was or wasn't selected.
+         * Reads minimum-duration progress without starting or clearing timers.
+         */
+        explainRules() {
+            const currentParams = this._parameterDetector?.getAllValues() ?? {};
+            const now = GLib.get_monotonic_time();
+            const profiles = RuleEvaluator.explainProfileMatching(
+                getCustomProfiles(this._settings),
+                currentParams,
+                this._currentProfile,
+                (key, isTrue, seconds) => {
+                    const hold = this._conditionHolds.get(key);
+                    return isTrue && !!hold && now - hold.since >= seconds * 1000000;
+                },
+                !this._exitActionApplied
+            );
+
+            return {
+                autoSwitchEnabled: this._settings.get_boolean('auto-switch-enabled'),
+                paused: this._autoManagePaused,
+                exitActionApplied: this._exitActionApplied,
+                activeProfileId: this._currentProfile,
+                profiles,
+            };
+        }
+
         _updateProfile() {
             // Skip intermediate updates during setProfile (both modes applied in parallel)
             if (this._suppressProfileUpdate) return;
@@ -816,6 +1063,11 @@ export const StateManager = GObject.registerClass(
             return 0;
         }
 
+        get batteryDrainRate() {
+            if (this._batteryController) return this._batteryController.batteryDrainRate;
+            return null;
+        }
+
         get batteryHealth() {
             if (this._batteryController) return this._batteryController.batteryHealth;
             return null;
@@ -857,6 +1109,8 @@ export const StateManager = GObject.registerClass(
             const profiles = getCustomProfiles(this._settings);
             let minSeconds = Infinity;
 
+            // Only the next boundary is timed; it is recomputed after each one,
+            // so sunrise/sunset boundaries that move every day are picked up.
             for (const profile of profiles) {
                 if (!isAutoManaged(profile) || !profile.schedule?.enabled) continue;
                 const secs = ScheduleUtils.secondsUntilNextBoundary(profile.schedule);
@@ -865,8 +1119,9 @@ export const StateManager = GObject.registerClass(
 
             if (minSeconds === Infinity) return; // No scheduled profiles
 
-            // Cap at 1 hour to guard against clock drift / DST transitions
-            const delay = Math.max(1, Math.min(minSeconds, 3600));
+            // Boundaries are computed in local time, so the timer fires at the boundary
+            // even across DST changes; clock and time zone changes reschedule it.
+            const delay = Math.max(1, minSeconds);
 
             this._scheduleTimerId = GLib.timeout_add_seconds(GLib.PRIORITY_DEFAULT, delay, () => {
                 this._scheduleTimerId = null;
@@ -882,6 +1137,94 @@ export const StateManager = GObject.registerClass(
             });
         }
 
+        /**
+         * Re-read the sunrise/sunset location; solar schedule boundaries move with it.
+         */
+        _onSolarLocationChanged() {
+            ScheduleUtils.setLocationFromSettings(this._settings);
+            this._rescheduleTimer();
+            if (this._settings.get_boolean('auto-switch-enabled') && !this._autoManagePaused)
+                this._scheduleRuleEvaluation();
+        }
+
+        /**
+         * Follow clock and time zone changes. GLib timers run on the monotonic clock,
+         * so they keep their delay when the wall clock is set or the time zone changes.
+         */
+        _initializeClockMonitoring() {
+            try {
+                this._wallClock = new GnomeDesktop.WallClock();
+                this._clockOffset = this._getClockOffset();
+                this._wallClock.connectObject(
+                    'notify::clock',
+                    () => this._onClockTick(),
+                    'notify::timezone',
+                    () => this._onTimeZoneChanged(),
+                    this
+                );
+            } catch (e) {
+                console.error(`Hara Hachi Bu: Failed to initialize clock monitoring: ${e}`);
+            }
+        }
+
+        /**
+         * Wall-clock minus monotonic time (µs); it changes when the clock is set
+         * and after suspend, when the monotonic clock stands still.
+         */
+        _getClockOffset() {
+            return GLib.get_real_time() - GLib.get_monotonic_time();
+        }
+
+        _onClockTick() {
+            const offset = this._getClockOffset();
+            const jumped = Math.abs(offset - this._clockOffset) > CLOCK_JUMP_THRESHOLD_US;
+            this._clockOffset = offset;
+            if (jumped) this._onScheduleTimeChanged();
+        }
+
+        _onTimeZoneChanged() {
+            ScheduleUtils.refreshTimeZone();
+            this._onScheduleTimeChanged();
+        }
+
+        /**
+         * The clock was set or the time zone changed: schedule boundaries now fall
+         * at other moments, and a schedule may have started or ended.
+         */
+        _onScheduleTimeChanged() {
+            if (this._destroyed) return;
+
+            this._rescheduleTimer();
+            if (this._settings.get_boolean('auto-switch-enabled') && !this._autoManagePaused)
+                this._scheduleRuleEvaluation();
+        }
+
+        /**
+         * Watch the calendar files of auto-managed scenarios with a calendar schedule
+         */
+        _updateCalendarPaths() {
+            if (!this._calendarMonitor) return;
+
+            const paths = new Set();
+            for (const profile of getCustomProfiles(this._settings)) {
+                const schedule = profile.schedule;
+                if (isAutoManaged(profile) && schedule?.enabled && ScheduleUtils.isCalendarSchedule(schedule))
+                    paths.add(schedule.calendar.path);
+            }
+            this._calendarMonitor.setPaths(paths);
+        }
+
+        /**
+         * A calendar file was (re)loaded; its events can open or close schedule windows.
+         */
+        _onCalendarChanged() {
+            if (this._destroyed) return;
+
+            this._rescheduleTimer();
+            if (this._settings.get_boolean('auto-switch-enabled') && !this._autoManagePaused)
+                this._scheduleRuleEvaluation();
+        }
+
         /**
          * Initialize D-Bus proxy for login manager to detect suspend/resume.
          * On resume, reschedules the timer and triggers rule evaluation.
@@ -1125,6 +1468,9 @@ export const StateManager = GObject.registerClass(
                 this._initialRuleEvalTimeout = null;
             }
 
+            // Cancel condition duration timers
+            this._clearAllConditionHolds();
+
             // Cancel schedule timer
             if (this._scheduleTimerId) {
                 GLib.Source.remove(this._scheduleTimerId);
@@ -1155,6 +1501,18 @@ export const StateManager = GObject.registerClass(
                 this._loginManagerProxy = null;
             }
 
+            if (this._wallClock) {
+                this._wallClock.disconnectObject(this);
+                this._wallClock.run_dispose();
+                this._wallClock = null;
+            }
+
+            if (this._calendarMonitor) {
+                this._calendarMonitor.disconnectObject(this);
+                this._calendarMonitor.destroy();
+                this._calendarMonitor = null;
+            }
+
             // Destroy parameter detector
             if (this._parameterDetector) {
                 this._parameterDetector.disconnectObject(this);
@@ -5,6 +5,7 @@
  */
 'use strict';
 import Adw from 'gi://Adw';
+import Gdk from 'gi://Gdk';
 import Gio from 'gi://Gio';
 import GLib from 'gi://GLib';
 import Gtk from 'gi://Gtk';
@@ -13,41 +14,83 @@ import {ExtensionPreferences, gettext as _} from 'resource:///org/gnome/Shell/Ex
 import * as ProfileMatcher from './lib/profileMatcher.js';
 import * as RuleEvaluator from './lib/ruleEvaluator.js';
 import * as ScheduleUtils from './lib/scheduleUtils.js';
+import * as CalendarEvents from './lib/calendarEvents.js';
 import * as Constants from './lib/constants.js';
+import * as ParameterSuggestions from './lib/parameterSuggestions.js';
+import * as RuleExplanation from './lib/ruleExplanation.js';
 import {debugError} from './lib/helper.js';
 
-const {PARAMETERS, OPERATORS} = Constants;
+const {PARAMETERS} = Constants;
+
+// Delay before the calendar event preview follows typing in the event name pattern
+const CALENDAR_PREVIEW_DELAY_MS = 300;
 
 // ProfileRow widget for displaying profile in the list
 const ProfileRow = GObject.registerClass(
     {GTypeName: 'HhbProfileRow'},
     class ProfileRow extends Adw.ActionRow {
-        _init(profile, onEdit, onDelete) {
+        _init(profile, onEdit, onDelete, onMove) {
             // Build subtitle with human-readable mode labels
             const powerLabel = _(Constants.POWER_MODES[profile.powerMode]?.label ?? profile.powerMode);
             const batteryLabel = _(Constants.BATTERY_MODES[profile.batteryMode]?.label ?? profile.batteryMode);
             let subtitle = _('%s + %s').format(powerLabel, batteryLabel);
-            if (profile.rules?.length > 0) {
-                const count = profile.rules.length;
+            const count = RuleEvaluator.countConditions(profile.rules);
+            if (count > 0) {
                 const conditionText = GLib.dngettext('hara-hachi-bu', '%d condition', '%d conditions', count).format(
                     count
                 );
                 subtitle = _('%s \u00b7 %s').format(subtitle, conditionText);
             }
-            if (profile.schedule?.enabled) {
-                const daysSummary = ScheduleUtils.formatDaysSummary(profile.schedule.days);
-                subtitle = _('%s \u00b7 %s %s\u2013%s').format(
-                    subtitle,
-                    daysSummary,
-                    profile.schedule.startTime,
-                    profile.schedule.endTime
-                );
-            }
+            if (profile.schedule?.enabled)
+                subtitle = _('%s \u00b7 %s').format(subtitle, ScheduleUtils.formatScheduleSummary(profile.schedule));
+            const priority = RuleEvaluator.getProfilePriority(profile);
+            if (priority > 0) subtitle = _('%s \u00b7 %s').format(subtitle, _('Priority %d').format(priority));
 
             super._init({
                 title: ProfileMatcher.getProfileDisplayName(profile),
                 subtitle,
             });
+            this.profileId = profile.id;
+
+            // Drag onto another scenario, or press Alt+Up/Down, to change priority order
+            this.add_prefix(
+                new Gtk.Image({
+                    icon_name: 'list-drag-handle-symbolic',
+                    css_classes: ['dim-label'],
+                    tooltip_text: _('Drag to change priority'),
+                })
+            );
+            const dragSource = new Gtk.DragSource({actions: Gdk.DragAction.MOVE});
+            dragSource.connect('prepare', () => Gdk.ContentProvider.new_for_value(profile.id));
+            dragSource.connect('drag-begin', (source) => {
+                source.set_icon(new Gtk.WidgetPaintable({widget: this}), 0, 0);
+            });
+            this.add_controller(dragSource);
+
+            const dropTarget = Gtk.DropTarget.new(GObject.TYPE_STRING, Gdk.DragAction.MOVE);
+            dropTarget.connect('drop', (target, draggedId) => {
+                onMove(draggedId, profile.id);
+                return true;
+            });
+            this.add_controller(dropTarget);
+
+            const shortcuts = new Gtk.ShortcutController();
+            for (const [trigger, getSibling] of [
+                ['<Alt>Up', () => this.get_prev_sibling()],
+                ['<Alt>Down', () => this.get_next_sibling()],
+            ]) {
+                shortcuts.add_shortcut(
+                    new Gtk.Shortcut({
+                        trigger: Gtk.ShortcutTrigger.parse_string(trigger),
+                        action: Gtk.CallbackAction.new(() => {
+                            const sibling = getSibling();
+                            if (sibling instanceof ProfileRow) onMove(profile.id, sibling.profileId);
+                            return true;
+                        }),
+                    })
+                );
+            }
+            this.add_controller(shortcuts);
 
             // Add "auto" badge if profile is auto-managed
             // Translators: Badge label meaning "automatically managed"
@@ -61,6 +104,18 @@ const ProfileRow = GObject.registerClass(
                 this.add_suffix(autoBadge);
             }
 
+            if (profile.fallback) {
+                const fallbackBadge = new Gtk.Label({
+                    // Translators: Badge label for the scenario applied when no other scenario matches
+                    label: _('Fallback'),
+                    css_classes: ['dim-label', 'caption'],
+                    margin_start: 6,
+                    valign: Gtk.Align.CENTER,
+                    tooltip_text: _('Applied when no other scenario matches'),
+                });
+                this.add_suffix(fallbackBadge);
+            }
+
             // Edit button
             const editButton = new Gtk.Button({
                 icon_name: 'document-edit-symbolic',
@@ -92,6 +147,9 @@ export default class HaraHachiBuPreferences extends ExtensionPreferences {
         // Run migration
         ProfileMatcher.runMigrations(settings);
 
+        // Location for schedule times relative to sunrise/sunset
+        ScheduleUtils.setLocationFromSettings(settings);
+
         // General Settings Page
         const generalPage = new Adw.PreferencesPage({
             title: _('General'),
@@ -216,6 +274,67 @@ export default class HaraHachiBuPreferences extends ExtensionPreferences {
         // Bind resume row sensitivity to auto-switch toggle
         settings.bind('auto-switch-enabled', resumeRow, 'sensitive', Gio.SettingsBindFlags.DEFAULT);
 
+        // CPU load smoothing window
+        const cpuWindowRow = new Adw.SpinRow({
+            title: _('CPU Load Averaging'),
+            subtitle: _('Seconds of CPU activity averaged for CPU load conditions, so short spikes do not switch'),
+            adjustment: new Gtk.Adjustment({
+                lower: 10,
+                upper: 900,
+                step_increment: 10,
+                page_increment: 60,
+            }),
+        });
+        settings.bind('cpu-load-window-seconds', cpuWindowRow, 'value', Gio.SettingsBindFlags.DEFAULT);
+        settings.bind('auto-switch-enabled', cpuWindowRow, 'sensitive', Gio.SettingsBindFlags.DEFAULT);
+        autoManageGroup.add(cpuWindowRow);
+
+        // Location for sunrise/sunset schedule times
+        const locationGroup = new Adw.PreferencesGroup({
+            title: _('Location'),
+            description: _(
+                'Used only to calculate sunrise and sunset for schedules. Calculated on this device; the location is never sent anywhere.'
+            ),
+        });
+        generalPage.add(locationGroup);
+
+        const locationEnabledRow = new Adw.SwitchRow({
+            title: _('Sunrise and Sunset Times'),
+            subtitle: _('Allow schedules to start or end relative to sunrise or sunset'),
+        });
+        settings.bind('solar-location-enabled', locationEnabledRow, 'active', Gio.SettingsBindFlags.DEFAULT);
+        locationGroup.add(locationEnabledRow);
+
+        for (const {key, title, subtitle, limit} of [
+            {
+                key: 'solar-latitude',
+                title: _('Latitude'),
+                subtitle: _('Degrees, positive north of the equator'),
+                limit: 90,
+            },
+            {
+                key: 'solar-longitude',
+                title: _('Longitude'),
+                subtitle: _('Degrees, positive east of Greenwich'),
+                limit: 180,
+            },
+        ]) {
+            const coordinateRow = new Adw.SpinRow({
+                title,
+                subtitle,
+                digits: 4,
+                adjustment: new Gtk.Adjustment({
+                    lower: -limit,
+                    upper: limit,
+                    step_increment: 0.1,
+                    page_increment: 1,
+                }),
+            });
+            settings.bind(key, coordinateRow, 'value', Gio.SettingsBindFlags.DEFAULT);
+            settings.bind('solar-location-enabled', coordinateRow, 'sensitive', Gio.SettingsBindFlags.DEFAULT);
+            locationGroup.add(coordinateRow);
+        }
+
         // Battery Thresholds Page
         const thresholdsPage = new Adw.PreferencesPage({
             title: _('Thresholds'),
@@ -275,11 +394,20 @@ export default class HaraHachiBuPreferences extends ExtensionPreferences {
         const profileListGroup = new Adw.PreferencesGroup({
             title: _('Scenarios'),
             description: _(
-                'Scenarios are saved combinations of power and battery modes that can activate automatically based on conditions.'
+                'Scenarios are saved combinations of power and battery modes that can activate automatically based on conditions. When several match, the one with the most conditions wins; drag scenarios into order to give higher ones priority instead.'
             ),
         });
         profilesPage.add(profileListGroup);
 
+        this._clearOrderButton = new Gtk.Button({
+            label: _('Clear Order'),
+            valign: Gtk.Align.CENTER,
+            css_classes: ['flat'],
+            tooltip_text: _('Remove scenario priorities and let the most specific scenario win'),
+        });
+        this._clearOrderButton.connect('clicked', () => ProfileMatcher.setProfilePriorities(settings, []));
+        profileListGroup.set_header_suffix(this._clearOrderButton);
+
         // Profile list container
         this._profileListBox = new Gtk.ListBox({
             selection_mode: Gtk.SelectionMode.NONE,
@@ -361,6 +489,30 @@ export default class HaraHachiBuPreferences extends ExtensionPreferences {
         });
         profileListGroup.add(this._profileCountLabel);
 
+        // Troubleshooting: explain the current rule evaluation
+        const explainGroup = new Adw.PreferencesGroup({
+            title: _('Troubleshooting'),
+        });
+        profilesPage.add(explainGroup);
+
+        const explainRow = new Adw.ActionRow({
+            title: _('Why This Scenario?'),
+            subtitle: _("Compare each scenario's conditions with the current system state"),
+            activatable: true,
+        });
+        explainRow.add_suffix(new Gtk.Image({icon_name: 'go-next-symbolic'}));
+        explainRow.connect('activated', () => this._showExplanationDialog(window, settings));
+        explainGroup.add(explainRow);
+
+        const conflictsRow = new Adw.ActionRow({
+            title: _('Check for Conflicts'),
+            subtitle: _('Find scenarios that can match at the same time without one taking precedence'),
+            activatable: true,
+        });
+        conflictsRow.add_suffix(new Gtk.Image({icon_name: 'go-next-symbolic'}));
+        conflictsRow.connect('activated', () => this._showConflictAnalysisDialog(window, settings));
+        explainGroup.add(conflictsRow);
+
         // Populate profile list
         this._refreshProfileList(window, settings);
 
@@ -369,6 +521,14 @@ export default class HaraHachiBuPreferences extends ExtensionPreferences {
             this._refreshProfileList(window, settings);
         });
 
+        // Resolved sunrise/sunset times in scenario summaries follow the location
+        this._locationSettingsIds = ['solar-location-enabled', 'solar-latitude', 'solar-longitude'].map((key) =>
+            settings.connect(`changed::${key}`, () => {
+                ScheduleUtils.setLocationFromSettings(settings);
+                this._refreshProfileList(window, settings);
+            })
+        );
+
         // Store settings reference for cleanup
         this._settings = settings;
 
@@ -540,6 +700,16 @@ export default class HaraHachiBuPreferences extends ExtensionPreferences {
             }
             this._profileSettingsId = null;
         }
+        if (this._locationSettingsIds && this._settings) {
+            for (const id of this._locationSettingsIds) {
+                try {
+                    this._settings.disconnect(id);
+                } catch {
+                    // Signal already disconnected
+                }
+            }
+            this._locationSettingsIds = null;
+        }
         this._settings = null;
     }
 
@@ -640,8 +810,12 @@ export default class HaraHachiBuPreferences extends ExtensionPreferences {
             child = next;
         }
 
-        // Get profiles and add rows
-        const profiles = ProfileMatcher.getCustomProfiles(settings);
+        // Get profiles and add rows, highest priority first
+        const profiles = [...ProfileMatcher.getCustomProfiles(settings)].sort(
+            (a, b) => RuleEvaluator.getProfilePriority(b) - RuleEvaluator.getProfilePriority(a)
+        );
+        if (this._clearOrderButton)
+            this._clearOrderButton.visible = profiles.some((p) => RuleEvaluator.getProfilePriority(p) > 0);
 
         if (profiles.length === 0) {
             const emptyRow = new Adw.ActionRow({
@@ -682,10 +856,15 @@ export default class HaraHachiBuPreferences extends ExtensionPreferences {
                 const row = new ProfileRow(
                     profile,
                     (p) => this._showProfileDialog(window, settings, p),
-                    (p) => this._showDeleteDialog(window, settings, p)
+                    (p) => this._showDeleteDialog(window, settings, p),
+                    (draggedId, targetId) => this._moveProfile(settings, draggedId, targetId)
                 );
                 this._profileListBox.append(row);
+
+                // Keep keyboard focus on a scenario moved with Alt+Up/Down
+                if (profile.id === this._movedProfileId) row.grab_focus();
             }
+            this._movedProfileId = null;
         }
 
         // Update profile count label
@@ -711,6 +890,14 @@ export default class HaraHachiBuPreferences extends ExtensionPreferences {
         }
     }
 
+    /**
+     * Move a scenario to another scenario's place in the list, adjusting priorities
+     */
+    _moveProfile(settings, profileId, targetId) {
+        this._movedProfileId = profileId;
+        if (!ProfileMatcher.moveProfile(settings, profileId, targetId)) this._movedProfileId = null;
+    }
+
     _showProfileDialog(window, settings, existingProfile, template = null) {
         const isEdit = existingProfile !== null;
 
@@ -784,6 +971,14 @@ export default class HaraHachiBuPreferences extends ExtensionPreferences {
         });
         mainGroup.add(batteryRow);
 
+        // Fallback toggle: at most one scenario may be the fallback
+        const fallbackRow = new Adw.SwitchRow({
+            title: _('Fallback Scenario'),
+            subtitle: _('Apply this scenario when no other scenario matches'),
+            active: isEdit && existingProfile.fallback === true,
+        });
+        mainGroup.add(fallbackRow);
+
         // Restore Defaults button (builtin profiles only)
         if (isEdit && ProfileMatcher.isBuiltinProfile(existingProfile.id)) {
             const defaultProfile = Constants.DEFAULT_PROFILES[existingProfile.id];
@@ -817,27 +1012,16 @@ export default class HaraHachiBuPreferences extends ExtensionPreferences {
                                 powerRow.selected = Math.max(0, powerModeKeys.indexOf(defaultProfile.powerMode));
                                 batteryRow.selected = Math.max(0, batteryModeKeys.indexOf(defaultProfile.batteryMode));
 
-                                // Clear existing rules and add defaults
-                                for (const row of [...ruleRows]) {
-                                    const index = ruleRows.indexOf(row);
-                                    if (index > -1) {
-                                        ruleRows.splice(index, 1);
-                                        rulesGroup.remove(row.box);
-                                    }
-                                }
-                                if (defaultProfile.rules) {
-                                    for (const rule of defaultProfile.rules) addRuleRow(rule);
-                                }
-
+                                // Replace existing rules with the defaults
+                                rootRuleGroup.setRules(defaultProfile.rules);
                                 updateMoveButtonSensitivity();
 
                                 // Reset schedule
                                 scheduleEnabledRow.active = false;
-                                for (let d = 1; d <= 7; d++) dayButtons[d].active = false;
-                                startHourSpin.value = 6;
-                                startMinuteSpin.value = 0;
-                                endHourSpin.value = 8;
-                                endMinuteSpin.value = 0;
+                                scheduleSourceRow.selected = 0;
+                                setScheduleWindows(null);
+                                setScheduleCalendar(null);
+                                setScheduleDates(null);
 
                                 onFieldChanged?.();
                             }
@@ -855,27 +1039,46 @@ export default class HaraHachiBuPreferences extends ExtensionPreferences {
         const rulesGroup = new Adw.PreferencesGroup({
             title: _('Activation Conditions'),
             description: _(
-                'Conditions determine when this scenario activates. All conditions must match. More conditions = higher priority over other scenarios.'
+                'Conditions determine when this scenario activates. Choose whether all, any, or none of them must be true, and add groups to combine both. More conditions = higher priority over other scenarios.'
             ),
         });
 
-        // Track rule rows
-        const ruleRows = [];
         let onFieldChanged = null; // Assigned after dialog setup; called from addRuleRow closures
-        const initialRules = isEdit && existingProfile.rules ? [...existingProfile.rules] : [];
+        const initialRules = isEdit ? existingProfile.rules : null;
 
         // Rule row builder helper arrays
         const paramKeys = Object.values(PARAMETERS).map((p) => p.name);
         const paramLabels = Object.values(PARAMETERS).map((p) => _(p.label));
+        const matchKeys = Object.keys(Constants.RULE_GROUP_MATCH);
+        const matchLabels = matchKeys.map((k) => _(Constants.RULE_GROUP_MATCH[k].label));
+
+        // Position of a condition or group in the rule tree, e.g. "2.1"
+        const getRuleItemNumber = (item) => {
+            const n = item.parent.items.indexOf(item) + 1;
+            return item.parent.parent ? `${getRuleItemNumber(item.parent)}.${n}` : String(n);
+        };
+
+        const moveRuleItem = (item, delta) => {
+            const items = item.parent.items;
+            const idx = items.indexOf(item);
+            const target = idx + delta;
+            if (idx < 0 || target < 0 || target >= items.length) return;
+            [items[idx], items[target]] = [items[target], items[idx]];
+            item.parent.rebuild();
+            onFieldChanged?.();
+        };
 
-        // Operator helpers: build per-type operator lists
-        const getOperatorsForParam = (paramName) => {
-            const paramDef = PARAMETERS[paramName];
-            const paramType = paramDef?.type || 'binary';
-            return Object.values(OPERATORS).filter((o) => (o.type || 'binary') === paramType);
+        const removeRuleItem = (item) => {
+            const index = item.parent.items.indexOf(item);
+            if (index > -1) {
+                item.parent.items.splice(index, 1);
+                item.parent.itemsBox.remove(item.box);
+                updateMoveButtonSensitivity();
+                onFieldChanged?.();
+            }
         };
 
-        const addRuleRow = (rule = null) => {
+        const addRuleRow = (parentGroup, rule = null) => {
             const rowBox = new Gtk.Box({
                 orientation: Gtk.Orientation.HORIZONTAL,
                 spacing: 6,
@@ -920,6 +1123,8 @@ export default class HaraHachiBuPreferences extends ExtensionPreferences {
                 spacing: 4,
             });
             valueSpinBox.hexpand = true;
+            // A "between" rule stores [low, high]; the second spin button edits the upper bound
+            const ruleRange = Array.isArray(rule?.value) ? rule.value : null;
             const valueSpin = new Gtk.SpinButton({
                 adjustment: new Gtk.Adjustment({
                     lower: 0,
@@ -928,22 +1133,132 @@ export default class HaraHachiBuPreferences extends ExtensionPreferences {
                     page_increment: 5,
                 }),
                 numeric: true,
-                value: rule ? Number(rule.value) || 50 : 50,
+                value: rule ? Number(ruleRange ? ruleRange[0] : rule.value) || 50 : 50,
                 tooltip_text: _('Threshold value'),
             });
             valueSpin.hexpand = true;
+            const rangeLabel = new Gtk.Label({
+                label: _('and'),
+                valign: Gtk.Align.CENTER,
+            });
+            const valueSpinHigh = new Gtk.SpinButton({
+                adjustment: new Gtk.Adjustment({
+                    lower: 0,
+                    upper: 100,
+                    step_increment: 1,
+                    page_increment: 5,
+                }),
+                numeric: true,
+                value: ruleRange ? Number(ruleRange[1]) || 70 : 70,
+                tooltip_text: _('Upper bound'),
+            });
+            valueSpinHigh.hexpand = true;
             const unitLabel = new Gtk.Label({
                 label: '%',
                 valign: Gtk.Align.CENTER,
             });
             valueSpinBox.append(valueSpin);
+            valueSpinBox.append(rangeLabel);
+            valueSpinBox.append(valueSpinHigh);
             valueSpinBox.append(unitLabel);
             rowBox.append(valueSpinBox);
 
+            // Free-form value: text entry plus suggestions read from the current system
+            const valueEntryBox = new Gtk.Box({
+                orientation: Gtk.Orientation.HORIZONTAL,
+                css_classes: ['linked'],
+            });
+            valueEntryBox.hexpand = true;
+            const valueEntry = new Gtk.Entry({
+                tooltip_text: _('Condition value'),
+                hexpand: true,
+            });
+            const suggestionList = new Gtk.ListBox({
+                selection_mode: Gtk.SelectionMode.NONE,
+                css_classes: ['boxed-list'],
+            });
+            const suggestionSearch = new Gtk.SearchEntry({
+                placeholder_text: _('Search'),
+                margin_bottom: 6,
+            });
+            const suggestionBox = new Gtk.Box({orientation: Gtk.Orientation.VERTICAL});
+            suggestionBox.append(suggestionSearch);
+            suggestionBox.append(
+                new Gtk.ScrolledWindow({
+                    child: suggestionList,
+                    hscrollbar_policy: Gtk.PolicyType.NEVER,
+                    propagate_natural_height: true,
+                    max_content_height: 300,
+                    min_content_width: 300,
+                })
+            );
+            const suggestionPopover = new Gtk.Popover({child: suggestionBox});
+
+            // Filter long suggestion lists (e.g. installed applications) by name or ID
+            const suggestionSearchText = new Map();
+            suggestionList.set_filter_func((row) => {
+                const query = suggestionSearch.text.trim().toLowerCase();
+                return !query || !suggestionSearchText.has(row) || suggestionSearchText.get(row).includes(query);
+            });
+            suggestionSearch.connect('search-changed', () => suggestionList.invalidate_filter());
+            const suggestButton = new Gtk.MenuButton({
+                icon_name: 'view-list-bullet-symbolic',
+                popover: suggestionPopover,
+                tooltip_text: _('Suggest a value'),
+            });
+            valueEntryBox.append(valueEntry);
+            valueEntryBox.append(suggestButton);
+            rowBox.append(valueEntryBox);
+
+            // Serial guards against a slow lookup overwriting a newer one
+            let suggestionSerial = 0;
+            const populateSuggestions = async () => {
+                const serial = ++suggestionSerial;
+                suggestionList.remove_all();
+                suggestionSearchText.clear();
+                suggestionSearch.text = '';
+                suggestionSearch.visible = false;
+                suggestionList.append(new Adw.ActionRow({title: _('Loading\u2026')}));
+
+                const suggestions = await ParameterSuggestions.getSuggestions(paramKeys[paramDrop.selected]);
+                if (serial !== suggestionSerial) return;
+
+                suggestionList.remove_all();
+                if (suggestions.length === 0) {
+                    suggestionList.append(new Adw.ActionRow({title: _('No suggestions available')}));
+                    return;
+                }
+                suggestionSearch.visible = suggestions.length > 8;
+                for (const suggestion of suggestions) {
+                    const suggestionRow = new Adw.ActionRow({
+                        title: suggestion.label,
+                        subtitle: suggestion.description ?? '',
+                        use_markup: false,
+                        activatable: true,
+                    });
+                    if (suggestion.icon) {
+                        const icon = new Gtk.Image({gicon: suggestion.icon, icon_size: Gtk.IconSize.LARGE});
+                        suggestionRow.add_prefix(icon);
+                    }
+                    suggestionSearchText.set(
+                        suggestionRow,
+                        `${suggestion.label} ${suggestion.description ?? ''}`.toLowerCase()
+                    );
+                    suggestionRow.connect('activated', () => {
+                        valueEntry.text = suggestion.value;
+                        suggestionPopover.popdown();
+                    });
+                    suggestionList.append(suggestionRow);
+                }
+            };
+            suggestionPopover.connect('show', () => {
+                populateSuggestions().catch((e) => debugError(`Suggestion lookup error: ${e.message}`));
+            });
+
             // --- Update functions ---
             const updateOperatorModel = () => {
                 const paramName = paramKeys[paramDrop.selected];
-                const ops = getOperatorsForParam(paramName);
+                const ops = RuleEvaluator.getOperatorsForParameter(paramName);
                 currentOpKeys = ops.map((o) => o.name);
                 currentOpLabels = ops.map((o) => _(o.label));
                 opDrop.model = Gtk.StringList.new(currentOpLabels);
@@ -964,19 +1279,32 @@ export default class HaraHachiBuPreferences extends ExtensionPreferences {
 
                 if (paramType === 'numeric') {
                     valueDrop.visible = false;
+                    valueEntryBox.visible = false;
                     valueSpinBox.visible = true;
                     // Update range from param definition
                     if (paramDef.range) {
                         valueSpin.adjustment.lower = paramDef.range[0];
                         valueSpin.adjustment.upper = paramDef.range[1];
+                        valueSpinHigh.adjustment.lower = paramDef.range[0];
+                        valueSpinHigh.adjustment.upper = paramDef.range[1];
                     }
                     // Set unit label
-                    unitLabel.label = paramDef.unit || '';
+                    unitLabel.label = paramDef.unit ? _(paramDef.unit) : '';
                     // Restore value for numeric
-                    if (rule && rule.param === paramName) valueSpin.value = Number(rule.value) || 50;
+                    if (rule && rule.param === paramName) {
+                        valueSpin.value = Number(ruleRange ? ruleRange[0] : rule.value) || 50;
+                        if (ruleRange) valueSpinHigh.value = Number(ruleRange[1]) || 70;
+                    }
+                } else if (paramDef?.freeform) {
+                    valueDrop.visible = false;
+                    valueSpinBox.visible = false;
+                    valueEntryBox.visible = true;
+                    valueEntry.placeholder_text = paramDef.placeholder ? _(paramDef.placeholder) : '';
+                    valueEntry.text = rule && rule.param === paramName ? rule.value : '';
                 } else {
                     valueDrop.visible = true;
                     valueSpinBox.visible = false;
+                    valueEntryBox.visible = false;
                     // Populate value dropdown
                     if (paramDef) {
                         valueKeys = [...paramDef.values];
@@ -999,6 +1327,19 @@ export default class HaraHachiBuPreferences extends ExtensionPreferences {
             updateOperatorModel();
             updateValueWidget();
 
+            // Range operators show the upper bound as well
+            const isRangeOperator = () => !!Constants.OPERATORS[currentOpKeys[opDrop.selected]]?.range;
+            const updateRangeWidget = () => {
+                rangeLabel.visible = isRangeOperator();
+                valueSpinHigh.visible = isRangeOperator();
+                valueSpin.tooltip_text = isRangeOperator() ? _('Lower bound') : _('Threshold value');
+            };
+            updateRangeWidget();
+            opDrop.connect('notify::selected', () => {
+                updateRangeWidget();
+                onFieldChanged?.();
+            });
+
             // React to parameter change
             paramDrop.connect('notify::selected', () => {
                 updateOperatorModel();
@@ -1006,20 +1347,101 @@ export default class HaraHachiBuPreferences extends ExtensionPreferences {
                 onFieldChanged?.();
             });
 
+            // --- Minimum duration: button shows the duration, popover edits it ---
+            const durationSpin = new Gtk.SpinButton({
+                adjustment: new Gtk.Adjustment({
+                    lower: 0,
+                    upper: Constants.MAX_CONDITION_DURATION_SECONDS,
+                    step_increment: 10,
+                    page_increment: 60,
+                }),
+                numeric: true,
+                value: rule?.forSeconds ?? 0,
+                valign: Gtk.Align.CENTER,
+            });
+            const durationBox = new Gtk.Box({
+                orientation: Gtk.Orientation.HORIZONTAL,
+                spacing: 6,
+                margin_start: 6,
+                margin_end: 6,
+                margin_top: 6,
+                margin_bottom: 6,
+            });
+            durationBox.append(new Gtk.Label({label: _('Must hold for at least')}));
+            durationBox.append(durationSpin);
+            durationBox.append(new Gtk.Label({label: _('seconds')}));
+
+            // Hysteresis for numeric comparisons, shown in the same popover
+            const hysteresisSpin = new Gtk.SpinButton({
+                adjustment: new Gtk.Adjustment({
+                    lower: 0,
+                    upper: 100,
+                    step_increment: 1,
+                    page_increment: 5,
+                }),
+                numeric: true,
+                valign: Gtk.Align.CENTER,
+            });
+            const hysteresisUnitLabel = new Gtk.Label();
+            const hysteresisBox = new Gtk.Box({
+                orientation: Gtk.Orientation.HORIZONTAL,
+                spacing: 6,
+                margin_start: 6,
+                margin_end: 6,
+                margin_bottom: 6,
+            });
+            hysteresisBox.append(new Gtk.Label({label: _('Once active, allow a margin of')}));
+            hysteresisBox.append(hysteresisSpin);
+            hysteresisBox.append(hysteresisUnitLabel);
+
+            const conditionOptionsBox = new Gtk.Box({orientation: Gtk.Orientation.VERTICAL});
+            conditionOptionsBox.append(durationBox);
+            conditionOptionsBox.append(hysteresisBox);
+            const durationButton = new Gtk.MenuButton({
+                popover: new Gtk.Popover({child: conditionOptionsBox}),
+                tooltip_text: _('Minimum duration before the condition counts as true'),
+                css_classes: ['flat'],
+            });
+            const updateDurationButton = () => {
+                const seconds = Math.round(durationSpin.value);
+                if (seconds > 0) durationButton.label = RuleExplanation.formatConditionDuration(seconds);
+                else durationButton.icon_name = 'preferences-system-time-symbolic';
+            };
+            updateDurationButton();
+            rowBox.append(durationButton);
+
+            // Default margin for the selected parameter; a condition only stores a different one
+            const getDefaultHysteresis = () =>
+                RuleEvaluator.getConditionHysteresis({param: paramKeys[paramDrop.selected]});
+            const hasHysteresis = () => !!Constants.OPERATORS[currentOpKeys[opDrop.selected]]?.evaluateWithHysteresis;
+
+            const updateHysteresisWidget = () => {
+                const paramName = paramKeys[paramDrop.selected];
+                const paramDef = PARAMETERS[paramName];
+                hysteresisBox.visible = hasHysteresis();
+                durationButton.tooltip_text = hysteresisBox.visible
+                    ? _('Minimum duration and hysteresis margin')
+                    : _('Minimum duration before the condition counts as true');
+                if (!hysteresisBox.visible) return;
+
+                hysteresisSpin.adjustment.upper = paramDef.range[1] - paramDef.range[0];
+                hysteresisUnitLabel.label = paramDef.unit ? _(paramDef.unit) : '';
+                hysteresisSpin.value =
+                    rule && rule.param === paramName && rule.hysteresis !== undefined
+                        ? rule.hysteresis
+                        : getDefaultHysteresis();
+            };
+            updateHysteresisWidget();
+            paramDrop.connect('notify::selected', updateHysteresisWidget);
+            opDrop.connect('notify::selected', updateHysteresisWidget);
+
             // Move up button
             const moveUpBtn = new Gtk.Button({
                 icon_name: 'go-up-symbolic',
                 css_classes: ['flat', 'circular'],
                 tooltip_text: _('Move condition up'),
             });
-            moveUpBtn.connect('clicked', () => {
-                const idx = ruleRows.indexOf(rowData);
-                if (idx > 0) {
-                    [ruleRows[idx - 1], ruleRows[idx]] = [ruleRows[idx], ruleRows[idx - 1]];
-                    rebuildRuleDisplay();
-                    onFieldChanged?.();
-                }
-            });
+            moveUpBtn.connect('clicked', () => moveRuleItem(rowData, -1));
             rowBox.append(moveUpBtn);
 
             // Move down button
@@ -1028,14 +1450,7 @@ export default class HaraHachiBuPreferences extends ExtensionPreferences {
                 css_classes: ['flat', 'circular'],
                 tooltip_text: _('Move condition down'),
             });
-            moveDownBtn.connect('clicked', () => {
-                const idx = ruleRows.indexOf(rowData);
-                if (idx >= 0 && idx < ruleRows.length - 1) {
-                    [ruleRows[idx], ruleRows[idx + 1]] = [ruleRows[idx + 1], ruleRows[idx]];
-                    rebuildRuleDisplay();
-                    onFieldChanged?.();
-                }
-            });
+            moveDownBtn.connect('clicked', () => moveRuleItem(rowData, 1));
             rowBox.append(moveDownBtn);
 
             // Remove button
@@ -1044,20 +1459,12 @@ export default class HaraHachiBuPreferences extends ExtensionPreferences {
                 css_classes: ['flat', 'circular'],
                 tooltip_text: _('Remove condition'),
             });
-            removeBtn.connect('clicked', () => {
-                const index = ruleRows.indexOf(rowData);
-                if (index > -1) {
-                    ruleRows.splice(index, 1);
-                    rulesGroup.remove(rowBox);
-                    updateMoveButtonSensitivity();
-                    onFieldChanged?.();
-                }
-            });
+            removeBtn.connect('clicked', () => removeRuleItem(rowData));
             rowBox.append(removeBtn);
 
             // Accessible name helper
             const updateAccessibleName = () => {
-                const n = ruleRows.indexOf(rowData) + 1;
+                const n = getRuleItemNumber(rowData);
                 const pLabel = paramLabels[paramDrop.selected] ?? '';
                 const oLabel = currentOpLabels[opDrop.selected] ?? '';
 
@@ -1065,32 +1472,52 @@ export default class HaraHachiBuPreferences extends ExtensionPreferences {
                 const paramDef = PARAMETERS[paramName];
                 const paramType = paramDef?.type || 'binary';
                 let vLabel;
-                if (paramType === 'numeric') vLabel = `${Math.round(valueSpin.value)}${paramDef.unit || ''}`;
+                if (paramType === 'numeric') vLabel = RuleExplanation.formatConditionValue(paramDef, getValue());
+                else if (paramDef?.freeform) vLabel = valueEntry.text.trim();
                 else vLabel = valueLabelsArr[valueDrop.selected] ?? '';
 
-                rowBox.update_property(
-                    [Gtk.AccessibleProperty.LABEL],
-                    [_('Condition %d: %s %s %s').format(n, pLabel, oLabel, vLabel)]
-                );
+                let label = _('Condition %s: %s %s %s').format(n, pLabel, oLabel, vLabel);
+                const seconds = Math.round(durationSpin.value);
+                if (seconds > 0)
+                    label = _('%s, for at least %s').format(label, RuleExplanation.formatConditionDuration(seconds));
+                const margin = Math.round(hysteresisSpin.value);
+                if (hasHysteresis() && margin !== getDefaultHysteresis())
+                    label = _('%s, margin %s').format(label, RuleExplanation.formatConditionValue(paramDef, margin));
+                rowBox.update_property([Gtk.AccessibleProperty.LABEL], [label]);
+            };
+
+            const getValue = () => {
+                const paramName = paramKeys[paramDrop.selected];
+                const paramDef = PARAMETERS[paramName];
+                const paramType = paramDef?.type || 'binary';
+                if (paramType === 'numeric' && isRangeOperator())
+                    return [Math.round(valueSpin.value), Math.round(valueSpinHigh.value)];
+                if (paramType === 'numeric') return String(Math.round(valueSpin.value));
+                if (paramDef?.freeform) return valueEntry.text.trim() || null;
+                return valueKeys[valueDrop.selected] ?? null;
             };
 
             const rowData = {
                 box: rowBox,
-                getParam: () => paramKeys[paramDrop.selected],
-                getOp: () => currentOpKeys[opDrop.selected],
-                getValue: () => {
-                    const paramName = paramKeys[paramDrop.selected];
-                    const paramDef = PARAMETERS[paramName];
-                    const paramType = paramDef?.type || 'binary';
-                    if (paramType === 'numeric') return String(Math.round(valueSpin.value));
-                    return valueKeys[valueDrop.selected] ?? null;
+                parent: parentGroup,
+                getValue,
+                // Incomplete conditions are skipped when only complete ones are requested
+                getRules: (completeOnly = false) => {
+                    const value = getValue();
+                    if (completeOnly && !value) return null;
+                    const condition = {param: paramKeys[paramDrop.selected], op: currentOpKeys[opDrop.selected], value};
+                    const forSeconds = Math.round(durationSpin.value);
+                    if (forSeconds > 0) condition.forSeconds = forSeconds;
+                    const hysteresis = Math.round(hysteresisSpin.value);
+                    if (hasHysteresis() && hysteresis !== getDefaultHysteresis()) condition.hysteresis = hysteresis;
+                    return condition;
                 },
                 updateAccessibleName,
                 moveUpBtn,
                 moveDownBtn,
             };
-            ruleRows.push(rowData);
-            rulesGroup.add(rowBox);
+            parentGroup.items.push(rowData);
+            parentGroup.itemsBox.append(rowBox);
 
             // Set initial accessible name and update on changes
             updateAccessibleName();
@@ -1101,43 +1528,185 @@ export default class HaraHachiBuPreferences extends ExtensionPreferences {
                 updateAccessibleName();
                 onFieldChanged?.();
             });
+            valueSpinHigh.connect('value-changed', () => {
+                updateAccessibleName();
+                onFieldChanged?.();
+            });
+            valueEntry.connect('changed', () => {
+                updateAccessibleName();
+                onFieldChanged?.();
+            });
+            durationSpin.connect('value-changed', () => {
+                updateDurationButton();
+                updateAccessibleName();
+                onFieldChanged?.();
+            });
+            hysteresisSpin.connect('value-changed', () => {
+                updateAccessibleName();
+                onFieldChanged?.();
+            });
         };
 
-        // Add existing rules
-        initialRules.forEach((rule) => addRuleRow(rule));
+        // Builds a group of conditions; nested groups get a frame and their own move/remove buttons
+        const addRuleGroup = (parentGroup, group = null, depth = 1) => {
+            const groupBox = new Gtk.Box({
+                orientation: Gtk.Orientation.VERTICAL,
+                spacing: 3,
+                accessible_role: Gtk.AccessibleRole.GROUP,
+            });
+            if (parentGroup) {
+                groupBox.add_css_class('card');
+                groupBox.margin_start = 12;
+                groupBox.margin_end = 12;
+                groupBox.margin_top = 3;
+                groupBox.margin_bottom = 3;
+            }
 
-        // Add rule button
-        const addRuleBtn = new Gtk.Button({
-            label: _('Add Condition'),
-            halign: Gtk.Align.START,
-            margin_start: 12,
-            margin_end: 12,
-            margin_top: 6,
-        });
-        addRuleBtn.connect('clicked', () => {
-            addRuleRow();
-            updateMoveButtonSensitivity();
-            onFieldChanged?.();
-        });
-        rulesGroup.add(addRuleBtn);
+            const headerBox = new Gtk.Box({
+                orientation: Gtk.Orientation.HORIZONTAL,
+                spacing: 6,
+                margin_start: 12,
+                margin_end: 12,
+                margin_top: parentGroup ? 6 : 0,
+            });
+            const matchDrop = new Gtk.DropDown({
+                model: Gtk.StringList.new(matchLabels),
+                tooltip_text: _('How the conditions in this group combine'),
+                halign: Gtk.Align.START,
+            });
+            headerBox.append(matchDrop);
+            groupBox.append(headerBox);
+
+            const itemsBox = new Gtk.Box({orientation: Gtk.Orientation.VERTICAL});
+            groupBox.append(itemsBox);
+
+            const groupData = {
+                box: groupBox,
+                parent: parentGroup,
+                items: [],
+                itemsBox,
+                getRules: (completeOnly = false) => ({
+                    match: matchKeys[matchDrop.selected],
+                    conditions: groupData.items.map((item) => item.getRules(completeOnly)).filter(Boolean),
+                }),
+                setRules: (rules) => {
+                    for (const item of groupData.items) itemsBox.remove(item.box);
+                    groupData.items.length = 0;
+
+                    const normalized = RuleEvaluator.normalizeRules(rules);
+                    matchDrop.selected = Math.max(0, matchKeys.indexOf(normalized.match));
+                    for (const node of normalized.conditions) {
+                        if (RuleEvaluator.isRuleGroup(node)) addRuleGroup(groupData, node, depth + 1);
+                        else addRuleRow(groupData, node);
+                    }
+                },
+                rebuild: () => {
+                    for (const item of groupData.items) itemsBox.remove(item.box);
+                    for (const item of groupData.items) itemsBox.append(item.box);
+                    updateMoveButtonSensitivity();
+                },
+                updateAccessibleName: () => {
+                    const label = matchLabels[matchDrop.selected] ?? '';
+                    groupBox.update_property(
+                        [Gtk.AccessibleProperty.LABEL],
+                        [parentGroup ? _('Condition group %s: %s').format(getRuleItemNumber(groupData), label) : label]
+                    );
+                },
+                moveUpBtn: null,
+                moveDownBtn: null,
+            };
 
-        // Rule reorder helpers
-        const updateMoveButtonSensitivity = () => {
-            for (let i = 0; i < ruleRows.length; i++) {
-                ruleRows[i].moveUpBtn.sensitive = i > 0;
-                ruleRows[i].moveDownBtn.sensitive = i < ruleRows.length - 1;
+            if (parentGroup) {
+                const spacer = new Gtk.Box({hexpand: true});
+                headerBox.append(spacer);
+
+                groupData.moveUpBtn = new Gtk.Button({
+                    icon_name: 'go-up-symbolic',
+                    css_classes: ['flat', 'circular'],
+                    tooltip_text: _('Move group up'),
+                });
+                groupData.moveUpBtn.connect('clicked', () => moveRuleItem(groupData, -1));
+                headerBox.append(groupData.moveUpBtn);
+
+                groupData.moveDownBtn = new Gtk.Button({
+                    icon_name: 'go-down-symbolic',
+                    css_classes: ['flat', 'circular'],
+                    tooltip_text: _('Move group down'),
+                });
+                groupData.moveDownBtn.connect('clicked', () => moveRuleItem(groupData, 1));
+                headerBox.append(groupData.moveDownBtn);
+
+                const removeBtn = new Gtk.Button({
+                    icon_name: 'list-remove-symbolic',
+                    css_classes: ['flat', 'circular'],
+                    tooltip_text: _('Remove group'),
+                });
+                removeBtn.connect('clicked', () => removeRuleItem(groupData));
+                headerBox.append(removeBtn);
+
+                parentGroup.items.push(groupData);
+                parentGroup.itemsBox.append(groupBox);
+            }
+
+            // Add condition / add group buttons
+            const buttonBox = new Gtk.Box({
+                orientation: Gtk.Orientation.HORIZONTAL,
+                spacing: 6,
+                margin_start: 12,
+                margin_end: 12,
+                margin_top: 6,
+                margin_bottom: parentGroup ? 6 : 0,
+            });
+            const addConditionBtn = new Gtk.Button({label: _('Add Condition')});
+            addConditionBtn.connect('clicked', () => {
+                addRuleRow(groupData);
+                updateMoveButtonSensitivity();
+                onFieldChanged?.();
+            });
+            buttonBox.append(addConditionBtn);
+
+            if (depth < Constants.MAX_RULE_GROUP_DEPTH) {
+                const addGroupBtn = new Gtk.Button({
+                    label: _('Add Group'),
+                    tooltip_text: _('Add a group of conditions with its own all/any/none setting'),
+                });
+                addGroupBtn.connect('clicked', () => {
+                    // Start the new group with one condition to fill in
+                    addRuleRow(addRuleGroup(groupData, null, depth + 1));
+                    updateMoveButtonSensitivity();
+                    onFieldChanged?.();
+                });
+                buttonBox.append(addGroupBtn);
             }
-            ruleRows.forEach((r) => r.updateAccessibleName());
+            groupBox.append(buttonBox);
+
+            if (group) groupData.setRules(group);
+            matchDrop.connect('notify::selected', () => {
+                groupData.updateAccessibleName();
+                onFieldChanged?.();
+            });
+
+            return groupData;
         };
 
-        const rebuildRuleDisplay = () => {
-            for (const row of ruleRows) rulesGroup.remove(row.box);
-            rulesGroup.remove(addRuleBtn);
-            for (const row of ruleRows) rulesGroup.add(row.box);
-            rulesGroup.add(addRuleBtn);
-            updateMoveButtonSensitivity();
+        const rootRuleGroup = addRuleGroup(null, initialRules);
+        rulesGroup.add(rootRuleGroup.box);
+
+        // Rule reorder helpers
+        const updateMoveButtonSensitivity = (group = rootRuleGroup) => {
+            group.updateAccessibleName();
+            group.items.forEach((item, i) => {
+                item.moveUpBtn.sensitive = i > 0;
+                item.moveDownBtn.sensitive = i < group.items.length - 1;
+                if (item.items) updateMoveButtonSensitivity(item);
+                else item.updateAccessibleName();
+            });
         };
 
+        // All condition rows in the rule tree, in display order
+        const getRuleConditionRows = (group = rootRuleGroup) =>
+            group.items.flatMap((item) => (item.items ? getRuleConditionRows(item) : [item]));
+
         // Set initial move button sensitivity
         updateMoveButtonSensitivity();
 
@@ -1145,7 +1714,7 @@ export default class HaraHachiBuPreferences extends ExtensionPreferences {
         const scheduleGroup = new Adw.PreferencesGroup({
             title: _('Schedule'),
             description: _(
-                'Limit this scenario to specific days and times. Both conditions AND schedule must match for activation. When a schedule ends, settings remain unchanged unless another scenario matches.'
+                'Limit this scenario to specific days and times. Both conditions AND schedule must match for activation. When a schedule ends, settings remain unchanged unless another scenario matches, an exit action is set below, or there is a fallback scenario.'
             ),
         });
 
@@ -1157,67 +1726,14 @@ export default class HaraHachiBuPreferences extends ExtensionPreferences {
         });
         scheduleGroup.add(scheduleEnabledRow);
 
-        // Day-of-week buttons
-        const dayBox = new Gtk.Box({
-            orientation: Gtk.Orientation.HORIZONTAL,
-            spacing: 4,
-            halign: Gtk.Align.CENTER,
-            margin_top: 6,
-            margin_bottom: 6,
-            accessible_role: Gtk.AccessibleRole.GROUP,
-        });
-        dayBox.update_property([Gtk.AccessibleProperty.LABEL], [_('Schedule day selection')]);
-        const dayButtons = {};
-        const existingDays = new Set(existingProfile?.schedule?.days ?? []);
-        for (let d = 1; d <= 7; d++) {
-            const btn = new Gtk.ToggleButton({
-                label: _(Constants.DAYS_SHORT[d]),
-                active: existingDays.has(d),
-                css_classes: ['circular'],
-                tooltip_text: _(Constants.DAYS_OF_WEEK[d]),
-            });
-            dayButtons[d] = btn;
-            dayBox.append(btn);
-        }
-        scheduleGroup.add(dayBox);
-
-        // Quick-select buttons
-        const quickSelectBox = new Gtk.Box({
-            orientation: Gtk.Orientation.HORIZONTAL,
-            spacing: 6,
-            halign: Gtk.Align.CENTER,
-            margin_bottom: 6,
+        // Schedule source: weekly time windows, or the events of a calendar file
+        const scheduleSourceRow = new Adw.ComboRow({
+            title: _('Active During'),
+            model: Gtk.StringList.new([_('Days and Times'), _('Calendar Events')]),
+            selected: ScheduleUtils.isCalendarSchedule(existingProfile?.schedule) ? 1 : 0,
         });
-        const weekdaysBtn = new Gtk.Button({label: _('Weekdays'), css_classes: ['pill']});
-        weekdaysBtn.connect('clicked', () => {
-            for (let d = 1; d <= 7; d++) dayButtons[d].active = d <= 5;
-        });
-        const weekendsBtn = new Gtk.Button({label: _('Weekends'), css_classes: ['pill']});
-        weekendsBtn.connect('clicked', () => {
-            for (let d = 1; d <= 7; d++) dayButtons[d].active = d >= 6;
-        });
-        // Translators: Button to select all days of the week
-        const allDaysBtn = new Gtk.Button({label: _('All'), css_classes: ['pill']});
-        allDaysBtn.connect('clicked', () => {
-            for (let d = 1; d <= 7; d++) dayButtons[d].active = true;
-        });
-        // Translators: Button to deselect all days of the week
-        const clearDaysBtn = new Gtk.Button({label: _('Clear'), css_classes: ['pill']});
-        clearDaysBtn.connect('clicked', () => {
-            for (let d = 1; d <= 7; d++) dayButtons[d].active = false;
-        });
-        quickSelectBox.append(weekdaysBtn);
-        quickSelectBox.append(weekendsBtn);
-        quickSelectBox.append(allDaysBtn);
-        quickSelectBox.append(clearDaysBtn);
-        scheduleGroup.add(quickSelectBox);
-
-        // Parse existing times or use defaults
-        const existingStart = ScheduleUtils.parseTime(existingProfile?.schedule?.startTime ?? '') ?? {
-            hours: 6,
-            minutes: 0,
-        };
-        const existingEnd = ScheduleUtils.parseTime(existingProfile?.schedule?.endTime ?? '') ?? {hours: 8, minutes: 0};
+        scheduleGroup.add(scheduleSourceRow);
+        const isCalendarSource = () => scheduleSourceRow.selected === 1;
 
         // Helper to create a zero-padded SpinButton
         const createTimeSpin = (lower, upper, step, value, tooltipText) => {
@@ -1237,82 +1753,633 @@ export default class HaraHachiBuPreferences extends ExtensionPreferences {
             return spin;
         };
 
-        // Start time row
-        const startTimeRow = new Adw.ActionRow({title: _('Start Time')});
-        const startHourSpin = createTimeSpin(0, 23, 1, existingStart.hours, _('Hours'));
-        const startColonLabel = new Gtk.Label({label: ':', valign: Gtk.Align.CENTER});
-        const startMinuteSpin = createTimeSpin(0, 59, 1, existingStart.minutes, _('Minutes'));
-        startTimeRow.add_suffix(startHourSpin);
-        startTimeRow.add_suffix(startColonLabel);
-        startTimeRow.add_suffix(startMinuteSpin);
-        scheduleGroup.add(startTimeRow);
-
-        // End time row
-        const endTimeRow = new Adw.ActionRow({title: _('End Time')});
-        const endHourSpin = createTimeSpin(0, 23, 1, existingEnd.hours, _('Hours'));
-        const endColonLabel = new Gtk.Label({label: ':', valign: Gtk.Align.CENTER});
-        const endMinuteSpin = createTimeSpin(0, 59, 1, existingEnd.minutes, _('Minutes'));
-        endTimeRow.add_suffix(endHourSpin);
-        endTimeRow.add_suffix(endColonLabel);
-        endTimeRow.add_suffix(endMinuteSpin);
-        scheduleGroup.add(endTimeRow);
-
-        // Dynamic overnight schedule hint (updates when times change)
-        const overnightHint = new Gtk.Label({
-            label: '',
-            css_classes: ['caption', 'dim-label'],
-            wrap: true,
-            margin_top: 6,
-            margin_start: 12,
-            margin_end: 12,
-            visible: false,
-        });
-        scheduleGroup.add(overnightHint);
-
-        const updateOvernightHint = () => {
-            const sH = Math.round(startHourSpin.value);
-            const sM = Math.round(startMinuteSpin.value);
-            const eH = Math.round(endHourSpin.value);
-            const eM = Math.round(endMinuteSpin.value);
-            const startMin = sH * 60 + sM;
-            const endMin = eH * 60 + eM;
-            if (startMin > endMin) {
-                const startStr = ScheduleUtils.formatTimeHHMM(sH, sM);
-                const endStr = ScheduleUtils.formatTimeHHMM(eH, eM);
-                overnightHint.label = _('Overnight schedule: %s today \u2192 %s tomorrow').format(startStr, endStr);
-                overnightHint.visible = true;
-            } else {
-                overnightHint.visible = false;
-            }
-        };
-        startHourSpin.connect('value-changed', updateOvernightHint);
-        startMinuteSpin.connect('value-changed', updateOvernightHint);
-        endHourSpin.connect('value-changed', updateOvernightHint);
-        endMinuteSpin.connect('value-changed', updateOvernightHint);
-        updateOvernightHint();
+        // Schedule times are a clock time, or an offset from sunrise or sunset
+        const timeAnchorKeys = [null, 'sunrise', 'sunset'];
+        const timeAnchorLabels = [_('Clock Time'), _('Sunrise'), _('Sunset')];
 
-        // Schedule inner sensitivity: day buttons, spinners, quick-select sensitive only when enabled
-        const updateScheduleSensitivity = () => {
-            const enabled = scheduleEnabledRow.active;
-            dayBox.sensitive = enabled;
-            quickSelectBox.sensitive = enabled;
-            startTimeRow.sensitive = enabled;
-            endTimeRow.sensitive = enabled;
-        };
-        scheduleEnabledRow.connect('notify::active', updateScheduleSensitivity);
-        updateScheduleSensitivity();
+        const createScheduleTimeRow = (title, timeStr, defaultTime, onChanged) => {
+            const spec = ScheduleUtils.parseTimeSpec(timeStr) ?? ScheduleUtils.parseTimeSpec(defaultTime);
+            const offset = Math.abs(spec.minutes);
 
-        // Error label (inside scrollable content so long messages aren't clipped)
-        const errorGroup = new Adw.PreferencesGroup();
-        const errorLabel = new Gtk.Label({
-            css_classes: ['error'],
-            halign: Gtk.Align.START,
-            visible: false,
-            wrap: true,
-            margin_start: 12,
-            margin_end: 12,
-        });
-        errorGroup.add(errorLabel);
+            const row = new Adw.ActionRow({title});
+            const anchorDrop = new Gtk.DropDown({
+                model: Gtk.StringList.new(timeAnchorLabels),
+                selected: Math.max(0, timeAnchorKeys.indexOf(spec.anchor)),
+                valign: Gtk.Align.CENTER,
+                tooltip_text: _('Clock time, or a time relative to sunrise or sunset'),
+            });
+            const signDrop = new Gtk.DropDown({
+                model: Gtk.StringList.new(['+', '\u2212']),
+                selected: spec.minutes < 0 ? 1 : 0,
+                valign: Gtk.Align.CENTER,
+                tooltip_text: _('After (+) or before (\u2212)'),
+            });
+            const hourSpin = createTimeSpin(0, 23, 1, Math.floor(offset / 60), _('Hours'));
+            const minuteSpin = createTimeSpin(0, 59, 1, offset % 60, _('Minutes'));
+            row.add_suffix(anchorDrop);
+            row.add_suffix(signDrop);
+            row.add_suffix(hourSpin);
+            row.add_suffix(new Gtk.Label({label: ':', valign: Gtk.Align.CENTER}));
+            row.add_suffix(minuteSpin);
+
+            const getTime = () => {
+                const anchor = timeAnchorKeys[anchorDrop.selected] ?? null;
+                const minutes = Math.round(hourSpin.value) * 60 + Math.round(minuteSpin.value);
+                if (!anchor) return ScheduleUtils.buildTimeSpec(null, minutes);
+
+                const clamped = Math.min(minutes, 12 * 60);
+                return ScheduleUtils.buildTimeSpec(anchor, signDrop.selected === 1 ? -clamped : clamped);
+            };
+
+            // Offsets are limited to 12 hours; the subtitle shows today's resolved time
+            const updateRow = () => {
+                const solar = anchorDrop.selected > 0;
+                signDrop.visible = solar;
+                hourSpin.adjustment.upper = solar ? 12 : 23;
+                if (!solar) row.subtitle = '';
+                else if (!ScheduleUtils.hasLocation())
+                    row.subtitle = _('Turn on sunrise and sunset times under General \u2192 Location');
+                else row.subtitle = _('Today at %s').format(ScheduleUtils.resolveTime(getTime()));
+            };
+
+            let previousTime = getTime();
+            const onTimeChanged = () => {
+                updateRow();
+                previousTime = getTime();
+                onChanged();
+            };
+
+            // Switching to sunrise/sunset starts from no offset; switching back keeps today's time
+            anchorDrop.connect('notify::selected', () => {
+                const resolved = ScheduleUtils.parseTime(ScheduleUtils.resolveTime(previousTime) ?? '');
+                updateRow(); // Widen or narrow the hour range before setting values
+                if (anchorDrop.selected > 0) {
+                    signDrop.selected = 0;
+                    hourSpin.value = 0;
+                    minuteSpin.value = 0;
+                } else if (resolved) {
+                    hourSpin.value = resolved.hours;
+                    minuteSpin.value = resolved.minutes;
+                }
+                onTimeChanged();
+            });
+            signDrop.connect('notify::selected', onTimeChanged);
+            hourSpin.connect('value-changed', onTimeChanged);
+            minuteSpin.connect('value-changed', onTimeChanged);
+            updateRow();
+
+            return {row, getTime};
+        };
+
+        // Time windows: each has its own days and start/end time
+        const scheduleWindows = [];
+        const windowsBox = new Gtk.Box({orientation: Gtk.Orientation.VERTICAL, spacing: 6});
+        let addWindowBtn = null;
+
+        const updateScheduleWindowLabels = () => {
+            scheduleWindows.forEach((windowData, index) => {
+                const title = _('Time Window %d').format(index + 1);
+                windowData.titleLabel.label = title;
+                windowData.box.update_property([Gtk.AccessibleProperty.LABEL], [title]);
+                windowData.removeBtn.visible = scheduleWindows.length > 1;
+            });
+            if (addWindowBtn) addWindowBtn.sensitive = scheduleWindows.length < ScheduleUtils.MAX_SCHEDULE_WINDOWS;
+        };
+
+        const addScheduleWindow = (timeWindow = null) => {
+            const windowBox = new Gtk.Box({
+                orientation: Gtk.Orientation.VERTICAL,
+                spacing: 6,
+                css_classes: ['card'],
+                margin_top: 3,
+                margin_bottom: 3,
+                accessible_role: Gtk.AccessibleRole.GROUP,
+            });
+
+            const headerBox = new Gtk.Box({
+                orientation: Gtk.Orientation.HORIZONTAL,
+                spacing: 6,
+                margin_start: 12,
+                margin_end: 12,
+                margin_top: 6,
+            });
+            const titleLabel = new Gtk.Label({halign: Gtk.Align.START, hexpand: true, css_classes: ['heading']});
+            headerBox.append(titleLabel);
+            const removeBtn = new Gtk.Button({
+                icon_name: 'list-remove-symbolic',
+                valign: Gtk.Align.CENTER,
+                css_classes: ['flat', 'circular'],
+                tooltip_text: _('Remove time window'),
+            });
+            headerBox.append(removeBtn);
+            windowBox.append(headerBox);
+
+            // Day-of-week buttons
+            const dayBox = new Gtk.Box({
+                orientation: Gtk.Orientation.HORIZONTAL,
+                spacing: 4,
+                halign: Gtk.Align.CENTER,
+                accessible_role: Gtk.AccessibleRole.GROUP,
+            });
+            dayBox.update_property([Gtk.AccessibleProperty.LABEL], [_('Schedule day selection')]);
+            const dayButtons = {};
+            const existingDays = new Set(timeWindow?.days ?? []);
+            for (let d = 1; d <= 7; d++) {
+                const btn = new Gtk.ToggleButton({
+                    label: _(Constants.DAYS_SHORT[d]),
+                    active: existingDays.has(d),
+                    css_classes: ['circular'],
+                    tooltip_text: _(Constants.DAYS_OF_WEEK[d]),
+                });
+                btn.connect('toggled', () => onFieldChanged?.());
+                dayButtons[d] = btn;
+                dayBox.append(btn);
+            }
+            windowBox.append(dayBox);
+
+            // Quick-select buttons
+            const quickSelectBox = new Gtk.Box({
+                orientation: Gtk.Orientation.HORIZONTAL,
+                spacing: 6,
+                halign: Gtk.Align.CENTER,
+            });
+            const setDays = (predicate) => {
+                for (let d = 1; d <= 7; d++) dayButtons[d].active = predicate(d);
+            };
+            const weekdaysBtn = new Gtk.Button({label: _('Weekdays'), css_classes: ['pill']});
+            weekdaysBtn.connect('clicked', () => setDays((d) => d <= 5));
+            const weekendsBtn = new Gtk.Button({label: _('Weekends'), css_classes: ['pill']});
+            weekendsBtn.connect('clicked', () => setDays((d) => d >= 6));
+            // Translators: Button to select all days of the week
+            const allDaysBtn = new Gtk.Button({label: _('All'), css_classes: ['pill']});
+            allDaysBtn.connect('clicked', () => setDays(() => true));
+            // Translators: Button to deselect all days of the week
+            const clearDaysBtn = new Gtk.Button({label: _('Clear'), css_classes: ['pill']});
+            clearDaysBtn.connect('clicked', () => setDays(() => false));
+            quickSelectBox.append(weekdaysBtn);
+            quickSelectBox.append(weekendsBtn);
+            quickSelectBox.append(allDaysBtn);
+            quickSelectBox.append(clearDaysBtn);
+            windowBox.append(quickSelectBox);
+
+            const timeList = new Gtk.ListBox({
+                selection_mode: Gtk.SelectionMode.NONE,
+                css_classes: ['boxed-list'],
+                margin_start: 12,
+                margin_end: 12,
+                margin_bottom: 12,
+            });
+
+            // Dynamic overnight hint (updates when times change)
+            const overnightHint = new Gtk.Label({
+                label: '',
+                css_classes: ['caption', 'dim-label'],
+                wrap: true,
+                margin_start: 12,
+                margin_end: 12,
+                margin_bottom: 12,
+                visible: false,
+            });
+
+            const updateOvernightHint = () => {
+                const startTime = startTimeRow.getTime();
+                const endTime = endTimeRow.getTime();
+
+                // Resolved "HH:MM" strings compare in time order
+                const resolvedStart = ScheduleUtils.resolveTime(startTime);
+                const resolvedEnd = ScheduleUtils.resolveTime(endTime);
+                if (resolvedStart && resolvedEnd && resolvedStart > resolvedEnd) {
+                    overnightHint.label = _('Overnight schedule: %s today \u2192 %s tomorrow').format(
+                        ScheduleUtils.formatScheduleTime(startTime),
+                        ScheduleUtils.formatScheduleTime(endTime)
+                    );
+                    overnightHint.visible = true;
+                } else {
+                    overnightHint.visible = false;
+                }
+            };
+            const onTimeChanged = () => {
+                updateOvernightHint();
+                onFieldChanged?.();
+            };
+
+            const startTimeRow = createScheduleTimeRow(_('Start Time'), timeWindow?.startTime, '06:00', onTimeChanged);
+            const endTimeRow = createScheduleTimeRow(_('End Time'), timeWindow?.endTime, '08:00', onTimeChanged);
+            timeList.append(startTimeRow.row);
+            timeList.append(endTimeRow.row);
+            windowBox.append(timeList);
+            windowBox.append(overnightHint);
+            updateOvernightHint();
+
+            const windowData = {
+                box: windowBox,
+                titleLabel,
+                removeBtn,
+                getWindow: () => {
+                    const days = [];
+                    for (let d = 1; d <= 7; d++) {
+                        if (dayButtons[d].active) days.push(d);
+                    }
+                    return {days, startTime: startTimeRow.getTime(), endTime: endTimeRow.getTime()};
+                },
+            };
+
+            removeBtn.connect('clicked', () => {
+                const index = scheduleWindows.indexOf(windowData);
+                if (index === -1 || scheduleWindows.length <= 1) return;
+                scheduleWindows.splice(index, 1);
+                windowsBox.remove(windowBox);
+                updateScheduleWindowLabels();
+                onFieldChanged?.();
+            });
+
+            scheduleWindows.push(windowData);
+            windowsBox.append(windowBox);
+            updateScheduleWindowLabels();
+            return windowData;
+        };
+
+        const setScheduleWindows = (windows) => {
+            for (const windowData of scheduleWindows) windowsBox.remove(windowData.box);
+            scheduleWindows.length = 0;
+            const list = windows?.length > 0 ? windows : [null];
+            for (const timeWindow of list) addScheduleWindow(timeWindow);
+        };
+        const getScheduleWindows = () => scheduleWindows.map((windowData) => windowData.getWindow());
+
+        setScheduleWindows(ScheduleUtils.getScheduleWindows(existingProfile?.schedule));
+
+        addWindowBtn = new Gtk.Button({
+            label: _('Add Time Window'),
+            halign: Gtk.Align.START,
+            css_classes: ['flat'],
+            tooltip_text: _('Add another set of days and times to this schedule'),
+        });
+        addWindowBtn.connect('clicked', () => {
+            if (scheduleWindows.length >= ScheduleUtils.MAX_SCHEDULE_WINDOWS) return;
+            addScheduleWindow();
+            onFieldChanged?.();
+        });
+        updateScheduleWindowLabels();
+
+        const scheduleWindowsContainer = new Gtk.Box({
+            orientation: Gtk.Orientation.VERTICAL,
+            spacing: 6,
+            margin_top: 12,
+        });
+        scheduleWindowsContainer.append(windowsBox);
+        scheduleWindowsContainer.append(addWindowBtn);
+        scheduleGroup.add(scheduleWindowsContainer);
+
+        // --- Calendar source: a local .ics file and an optional event name pattern ---
+        const existingCalendar = existingProfile?.schedule?.calendar ?? null;
+        let calendarPath = existingCalendar?.path ?? null;
+        let calendarEvents = null; // Parsed events of calendarPath, null if unreadable
+        let calendarLoadId = 0; // Increased by each read, so an earlier read finishing later is ignored
+        let calendarPreviewTimeoutId = null;
+
+        const calendarFileRow = new Adw.ActionRow({title: _('Calendar File')});
+        const chooseCalendarBtn = new Gtk.Button({
+            label: _('Choose\u2026'),
+            valign: Gtk.Align.CENTER,
+            tooltip_text: _('Choose a local iCalendar (.ics) file'),
+        });
+        calendarFileRow.add_suffix(chooseCalendarBtn);
+        scheduleGroup.add(calendarFileRow);
+
+        const calendarSummaryRow = new Adw.EntryRow({
+            title: _('Only Events Named'),
+            text: existingCalendar?.summary ?? '',
+            tooltip_text: _('Leave empty to use every event. Matches part of the event name; * matches any text.'),
+        });
+        scheduleGroup.add(calendarSummaryRow);
+
+        const calendarPreviewRow = new Adw.ActionRow({title: _('Next Event')});
+        scheduleGroup.add(calendarPreviewRow);
+
+        // Read and parse the calendar file, then update the preview
+        const loadCalendarFile = async () => {
+            const loadId = ++calendarLoadId;
+            const path = calendarPath;
+            calendarEvents = null;
+            calendarFileRow.subtitle = path ?? _('No file chosen');
+            if (!path) {
+                updateCalendarPreview();
+                return;
+            }
+
+            calendarPreviewRow.subtitle = _('Reading the file\u2026');
+            let events = null;
+            try {
+                const [contents] = await Gio.File.new_for_path(path).load_contents_async(null);
+                events = CalendarEvents.parseCalendar(new TextDecoder().decode(contents));
+            } catch (e) {
+                debugError(`Failed to read calendar file ${path}: ${e.message}`);
+            }
+            if (loadId !== calendarLoadId) return;
+
+            calendarEvents = events;
+            updateCalendarPreview();
+        };
+
+        // Preview the current or next matching event, so the pattern can be checked
+        const updateCalendarPreview = () => {
+            calendarFileRow.subtitle = calendarPath ?? _('No file chosen');
+            if (!calendarPath) {
+                calendarPreviewRow.subtitle = _('Choose a calendar file first');
+                return;
+            }
+            if (!calendarEvents) {
+                calendarPreviewRow.subtitle = _('The file could not be read');
+                return;
+            }
+
+            const now = Date.now();
+            const [next] = CalendarEvents.getOccurrences(
+                calendarEvents,
+                now,
+                now + 366 * 86400000,
+                calendarSummaryRow.get_text().trim()
+            );
+            const formatTime = (ms) => GLib.DateTime.new_from_unix_local(Math.floor(ms / 1000)).format('%x %H:%M');
+            if (!next) calendarPreviewRow.subtitle = _('No matching events in the next year');
+            else if (next.start <= now)
+                calendarPreviewRow.subtitle = _('%s \u2014 now, until %s').format(next.summary, formatTime(next.end));
+            else calendarPreviewRow.subtitle = _('%s \u2014 %s').format(next.summary, formatTime(next.start));
+        };
+
+        chooseCalendarBtn.connect('clicked', async () => {
+            try {
+                const filter = new Gtk.FileFilter();
+                filter.add_pattern('*.ics');
+                filter.set_name(_('iCalendar files'));
+
+                const filterList = new Gio.ListStore({item_type: Gtk.FileFilter});
+                filterList.append(filter);
+
+                const fileDialog = new Gtk.FileDialog({
+                    title: _('Choose Calendar File'),
+                    filters: filterList,
+                    default_filter: filter,
+                });
+
+                const file = await fileDialog.open(window, null);
+                if (!file?.get_path()) return;
+
+                calendarPath = file.get_path();
+                await loadCalendarFile();
+                onFieldChanged?.();
+            } catch (e) {
+                if (e.matches?.(Gtk.DialogError, Gtk.DialogError.DISMISSED)) return; // User cancelled
+                debugError(`Calendar file selection error: ${e.message}`);
+            }
+        });
+        calendarSummaryRow.connect('changed', () => {
+            if (calendarPreviewTimeoutId) GLib.Source.remove(calendarPreviewTimeoutId);
+            calendarPreviewTimeoutId = GLib.timeout_add(GLib.PRIORITY_DEFAULT, CALENDAR_PREVIEW_DELAY_MS, () => {
+                calendarPreviewTimeoutId = null;
+                updateCalendarPreview();
+                return GLib.SOURCE_REMOVE;
+            });
+            onFieldChanged?.();
+        });
+
+        const setScheduleCalendar = (calendar) => {
+            calendarPath = calendar?.path ?? null;
+            calendarSummaryRow.set_text(calendar?.summary ?? '');
+            loadCalendarFile().catch((e) => debugError(`Calendar preview error: ${e.message}`));
+        };
+        const getScheduleCalendar = () => ({path: calendarPath, summary: calendarSummaryRow.get_text().trim()});
+        setScheduleCalendar(existingCalendar);
+
+        // --- Schedule dates: excluded date ranges and extra dates ---
+        const scheduleDatesGroup = new Adw.PreferencesGroup({
+            title: _('Holidays and Extra Days'),
+            description: _(
+                'Skip the schedule on dates such as holidays or vacations, or apply it on extra dates whatever the day of the week. Skipped dates take precedence.'
+            ),
+        });
+        const excludedDates = [];
+        const includedDates = [];
+        const dateRows = [];
+
+        // Skip popover: first date and number of days
+        const skipCalendar = new Gtk.Calendar();
+        const skipDaysSpin = new Gtk.SpinButton({
+            adjustment: new Gtk.Adjustment({lower: 1, upper: 366, step_increment: 1, page_increment: 7}),
+            numeric: true,
+            valign: Gtk.Align.CENTER,
+        });
+        const skipDaysBox = new Gtk.Box({orientation: Gtk.Orientation.HORIZONTAL, spacing: 6});
+        skipDaysBox.append(new Gtk.Label({label: _('Number of days'), hexpand: true, halign: Gtk.Align.START}));
+        skipDaysBox.append(skipDaysSpin);
+        const skipConfirmBtn = new Gtk.Button({label: _('Skip Dates'), css_classes: ['suggested-action']});
+        const skipBox = new Gtk.Box({
+            orientation: Gtk.Orientation.VERTICAL,
+            spacing: 6,
+            margin_start: 6,
+            margin_end: 6,
+            margin_top: 6,
+            margin_bottom: 6,
+        });
+        skipBox.append(skipCalendar);
+        skipBox.append(skipDaysBox);
+        skipBox.append(skipConfirmBtn);
+        const skipMenuBtn = new Gtk.MenuButton({
+            label: _('Skip Dates\u2026'),
+            popover: new Gtk.Popover({child: skipBox}),
+            tooltip_text: _('Do not apply the schedule on a range of dates'),
+            css_classes: ['flat'],
+        });
+
+        // Extra date popover
+        const extraCalendar = new Gtk.Calendar();
+        const extraConfirmBtn = new Gtk.Button({label: _('Add Extra Date'), css_classes: ['suggested-action']});
+        const extraBox = new Gtk.Box({
+            orientation: Gtk.Orientation.VERTICAL,
+            spacing: 6,
+            margin_start: 6,
+            margin_end: 6,
+            margin_top: 6,
+            margin_bottom: 6,
+        });
+        extraBox.append(extraCalendar);
+        extraBox.append(extraConfirmBtn);
+        const extraMenuBtn = new Gtk.MenuButton({
+            label: _('Add Extra Date\u2026'),
+            popover: new Gtk.Popover({child: extraBox}),
+            tooltip_text: _('Apply the schedule on a date whatever the day of the week'),
+            css_classes: ['flat'],
+        });
+
+        const dateButtonsBox = new Gtk.Box({orientation: Gtk.Orientation.HORIZONTAL, spacing: 6});
+        dateButtonsBox.append(skipMenuBtn);
+        dateButtonsBox.append(extraMenuBtn);
+        scheduleDatesGroup.set_header_suffix(dateButtonsBox);
+
+        // Rows are rebuilt in date order after every change
+        const rebuildDateRows = () => {
+            for (const row of dateRows) scheduleDatesGroup.remove(row);
+            dateRows.length = 0;
+            excludedDates.sort((a, b) => a.start.localeCompare(b.start));
+            includedDates.sort();
+
+            const addDateRow = (title, onRemove) => {
+                const row = new Adw.ActionRow({title});
+                const removeBtn = new Gtk.Button({
+                    icon_name: 'list-remove-symbolic',
+                    valign: Gtk.Align.CENTER,
+                    css_classes: ['flat', 'circular'],
+                    tooltip_text: _('Remove'),
+                });
+                removeBtn.connect('clicked', () => {
+                    onRemove();
+                    rebuildDateRows();
+                    onFieldChanged?.();
+                });
+                row.add_suffix(removeBtn);
+                dateRows.push(row);
+                scheduleDatesGroup.add(row);
+            };
+
+            for (const range of excludedDates) {
+                const title =
+                    range.start === range.end
+                        ? _('Skip %s').format(ScheduleUtils.formatDateLabel(range.start))
+                        : _('Skip %s \u2013 %s').format(
+                              ScheduleUtils.formatDateLabel(range.start),
+                              ScheduleUtils.formatDateLabel(range.end)
+                          );
+                addDateRow(title, () => excludedDates.splice(excludedDates.indexOf(range), 1));
+            }
+            // Extra dates apply only to time windows, not to calendar events
+            for (const dateStr of isCalendarSource() ? [] : includedDates) {
+                addDateRow(_('Also on %s').format(ScheduleUtils.formatDateLabel(dateStr)), () =>
+                    includedDates.splice(includedDates.indexOf(dateStr), 1)
+                );
+            }
+
+            skipMenuBtn.sensitive = excludedDates.length < ScheduleUtils.MAX_SCHEDULE_DATES;
+            extraMenuBtn.sensitive = includedDates.length < ScheduleUtils.MAX_SCHEDULE_DATES;
+        };
+
+        skipConfirmBtn.connect('clicked', () => {
+            const startDate = skipCalendar.get_date();
+            const start = ScheduleUtils.formatDate(startDate);
+            const end = ScheduleUtils.formatDate(startDate.add_days(Math.round(skipDaysSpin.value) - 1));
+            excludedDates.push({start, end});
+            skipMenuBtn.popdown();
+            rebuildDateRows();
+            onFieldChanged?.();
+        });
+        extraConfirmBtn.connect('clicked', () => {
+            const dateStr = ScheduleUtils.formatDate(extraCalendar.get_date());
+            if (!includedDates.includes(dateStr)) includedDates.push(dateStr);
+            extraMenuBtn.popdown();
+            rebuildDateRows();
+            onFieldChanged?.();
+        });
+
+        const setScheduleDates = (schedule) => {
+            excludedDates.length = 0;
+            includedDates.length = 0;
+            for (const range of schedule?.excludedDates ?? []) excludedDates.push({start: range.start, end: range.end});
+            includedDates.push(...(schedule?.includedDates ?? []));
+            rebuildDateRows();
+        };
+        // Only non-empty lists are stored
+        const getScheduleDates = () => ({
+            ...(excludedDates.length > 0 && {excludedDates: excludedDates.map(({start, end}) => ({start, end}))}),
+            ...(includedDates.length > 0 && !isCalendarSource() && {includedDates: [...includedDates]}),
+        });
+        setScheduleDates(existingProfile?.schedule);
+
+        // The schedule as edited: time windows, or a chosen calendar file, plus dates
+        const getSchedule = (enabled) =>
+            isCalendarSource() && calendarPath
+                ? {enabled, calendar: getScheduleCalendar(), ...getScheduleDates()}
+                : {enabled, windows: getScheduleWindows(), ...getScheduleDates()};
+
+        // Show the editor of the selected schedule source
+        const updateScheduleSource = () => {
+            const calendarSource = isCalendarSource();
+            scheduleWindowsContainer.visible = !calendarSource;
+            extraMenuBtn.visible = !calendarSource;
+            calendarFileRow.visible = calendarSource;
+            calendarSummaryRow.visible = calendarSource;
+            calendarPreviewRow.visible = calendarSource;
+            rebuildDateRows();
+        };
+        scheduleSourceRow.connect('notify::selected', updateScheduleSource);
+        updateScheduleSource();
+
+        // Schedule inner sensitivity: the schedule is editable only when enabled
+        const updateScheduleSensitivity = () => {
+            scheduleSourceRow.sensitive = scheduleEnabledRow.active;
+            scheduleWindowsContainer.sensitive = scheduleEnabledRow.active;
+            calendarFileRow.sensitive = scheduleEnabledRow.active;
+            calendarSummaryRow.sensitive = scheduleEnabledRow.active;
+            calendarPreviewRow.sensitive = scheduleEnabledRow.active;
+            scheduleDatesGroup.sensitive = scheduleEnabledRow.active;
+        };
+        scheduleEnabledRow.connect('notify::active', updateScheduleSensitivity);
+        updateScheduleSensitivity();
+
+        // --- Exit action section ---
+        const exitGroup = new Adw.PreferencesGroup({
+            title: _('When Conditions Stop Matching'),
+            description: _(
+                'What happens when this scenario was activated automatically, stops matching, and no other scenario matches.'
+            ),
+        });
+
+        const otherProfiles = ProfileMatcher.getCustomProfiles(settings).filter(
+            (p) => !isEdit || p.id !== existingProfile.id
+        );
+        // null: no exit action; "switch" needs another scenario to switch to
+        const exitActionKeys = [null, 'restore', ...(otherProfiles.length > 0 ? ['switch'] : [])];
+        const exitActionRow = new Adw.ComboRow({
+            title: _('Action'),
+            model: Gtk.StringList.new(
+                exitActionKeys.map((key) => (key ? _(Constants.EXIT_ACTIONS[key].label) : _('Keep current modes')))
+            ),
+            selected: Math.max(0, exitActionKeys.indexOf(existingProfile?.exitAction?.type ?? null)),
+        });
+        exitGroup.add(exitActionRow);
+
+        const exitTargetRow = new Adw.ComboRow({
+            title: _('Scenario'),
+            model: Gtk.StringList.new(otherProfiles.map((p) => ProfileMatcher.getProfileDisplayName(p))),
+            selected: Math.max(
+                0,
+                otherProfiles.findIndex((p) => p.id === existingProfile?.exitAction?.profileId)
+            ),
+        });
+        exitGroup.add(exitTargetRow);
+
+        const updateExitTargetVisibility = () => {
+            exitTargetRow.visible = exitActionKeys[exitActionRow.selected] === 'switch';
+        };
+        exitActionRow.connect('notify::selected', updateExitTargetVisibility);
+        updateExitTargetVisibility();
+
+        const getExitAction = () => {
+            const type = exitActionKeys[exitActionRow.selected] ?? null;
+            if (type === 'switch') return {type, profileId: otherProfiles[exitTargetRow.selected].id};
+            return type ? {type} : null;
+        };
+
+        // Error label (inside scrollable content so long messages aren't clipped)
+        const errorGroup = new Adw.PreferencesGroup();
+        const errorLabel = new Gtk.Label({
+            css_classes: ['error'],
+            halign: Gtk.Align.START,
+            visible: false,
+            wrap: true,
+            margin_start: 12,
+            margin_end: 12,
+        });
+        errorGroup.add(errorLabel);
 
         // Warning label for real-time conflict/schedule feedback (non-blocking)
         const warningLabel = new Gtk.Label({
@@ -1330,6 +2397,8 @@ export default class HaraHachiBuPreferences extends ExtensionPreferences {
         contentPage.add(mainGroup);
         contentPage.add(rulesGroup);
         contentPage.add(scheduleGroup);
+        contentPage.add(scheduleDatesGroup);
+        contentPage.add(exitGroup);
         contentPage.add(errorGroup);
 
         // Wrap in Adw.ToolbarView for header bar with buttons
@@ -1363,108 +2432,63 @@ export default class HaraHachiBuPreferences extends ExtensionPreferences {
         // --- Real-time feedback helpers ---
 
         // Build detailed conflict description showing which rules/schedules overlap
-        const buildConflictDetail = (conflictProfile, newRules, newSchedule) => {
-            const parts = [];
-
-            // Describe overlapping rules
-            if (conflictProfile.rules?.length > 0 && newRules.length > 0) {
-                const sharedRules = newRules.filter((nr) =>
-                    conflictProfile.rules.some(
-                        (cr) => cr.param === nr.param && cr.op === nr.op && cr.value === nr.value
-                    )
-                );
-                if (sharedRules.length > 0) {
-                    const ruleDescs = sharedRules.map((r) => {
-                        const paramDef = PARAMETERS[r.param];
-                        const opDef = OPERATORS[r.op];
-                        if (paramDef && opDef) {
-                            return _('%s %s %s').format(
-                                _(paramDef.label),
-                                _(opDef.label),
-                                _(paramDef.valueLabels[r.value])
-                            );
-                        }
-                        return `${r.param} ${r.op} ${r.value}`;
-                    });
-                    parts.push(_('Both match when: %s').format(ruleDescs.join(_(', '))));
-                }
-            }
-
-            // Describe schedule overlap
-            if (conflictProfile.schedule?.enabled && newSchedule?.enabled) {
-                const daysSummary = ScheduleUtils.formatDaysSummary(conflictProfile.schedule.days);
-                parts.push(
-                    _('Overlapping schedule: %s %s\u2013%s').format(
-                        daysSummary,
-                        conflictProfile.schedule.startTime,
-                        conflictProfile.schedule.endTime
-                    )
-                );
-            }
-
-            if (parts.length === 0) parts.push(_('Same priority and overlapping activation conditions'));
+        const buildConflictDetail = (conflictProfile, newProfile) => {
+            // Describe one situation in which both would match
+            const tie = RuleEvaluator.findProfileTie(conflictProfile, newProfile);
+            const example = tie?.examples[0];
+            const detail =
+                example || tie?.when
+                    ? _('Both match, for example: %s').format(
+                          RuleExplanation.formatConflictSituation(example ?? [], tie.when)
+                      )
+                    : _('Same priority and overlapping activation conditions');
 
             return _(
                 'Conflicts with \u201c%s\u201d \u2014 %s. Add more conditions to one, or give them non-overlapping schedules.'
-            ).format(ProfileMatcher.getProfileDisplayName(conflictProfile), parts.join('. '));
+            ).format(ProfileMatcher.getProfileDisplayName(conflictProfile), detail);
         };
 
         // Real-time warning updater for conflict detection and zero-day prevention
         const updateRealTimeWarnings = () => {
             warningLabel.hide();
 
-            // Zero-day prevention: warn immediately when all days deselected
-            if (scheduleEnabledRow.active) {
-                let dayCount = 0;
-                for (let d = 1; d <= 7; d++) {
-                    if (dayButtons[d].active) dayCount++;
-                }
-
-                if (dayCount === 0) {
-                    warningLabel.set_text(_('No days selected \u2014 schedule needs at least one day'));
+            // Zero-day prevention: warn immediately when a time window has all days deselected,
+            // unless extra dates give it days to apply on
+            const windows = getScheduleWindows();
+            const scheduleDates = getScheduleDates();
+            if (scheduleEnabledRow.active && !isCalendarSource() && !scheduleDates.includedDates) {
+                const emptyIndex = windows.findIndex((timeWindow) => timeWindow.days.length === 0);
+                if (emptyIndex !== -1) {
+                    warningLabel.set_text(
+                        windows.length > 1
+                            ? _(
+                                  'No days selected in time window %d \u2014 each window needs at least one day, or the schedule an extra date'
+                              ).format(emptyIndex + 1)
+                            : _('No days selected \u2014 schedule needs at least one day or an extra date')
+                    );
                     warningLabel.show();
                     return;
                 }
             }
 
             // Real-time conflict detection (non-blocking warning during editing)
-            const currentRules = ruleRows
-                .map((row) => ({param: row.getParam(), op: row.getOp(), value: row.getValue()}))
-                .filter((r) => r.param && r.op && r.value);
+            const currentRules = rootRuleGroup.getRules(true);
             const scheduleEnabled = scheduleEnabledRow.active;
-            if (currentRules.length === 0 && !scheduleEnabled) return;
+            if (!RuleEvaluator.hasRules(currentRules) && !scheduleEnabled) return;
 
-            const scheduleDays = [];
-            for (let d = 1; d <= 7; d++) {
-                if (dayButtons[d].active) scheduleDays.push(d);
-            }
-
-            let schedule = null;
-            if (scheduleEnabled && scheduleDays.length > 0) {
-                schedule = {
-                    enabled: true,
-                    days: scheduleDays,
-                    startTime: ScheduleUtils.formatTimeHHMM(
-                        Math.round(startHourSpin.value),
-                        Math.round(startMinuteSpin.value)
-                    ),
-                    endTime: ScheduleUtils.formatTimeHHMM(
-                        Math.round(endHourSpin.value),
-                        Math.round(endMinuteSpin.value)
-                    ),
-                };
-            }
+            const schedule = scheduleEnabled ? getSchedule(true) : null;
 
             const newProfile = {
                 id: isEdit ? existingProfile.id : '__new_profile__',
                 rules: currentRules,
                 schedule,
+                priority: existingProfile?.priority,
             };
 
             const profiles = ProfileMatcher.getCustomProfiles(settings);
             const conflict = RuleEvaluator.findRuleConflict(profiles, newProfile, isEdit ? existingProfile.id : null);
             if (conflict) {
-                warningLabel.set_text(buildConflictDetail(conflict, currentRules, schedule));
+                warningLabel.set_text(buildConflictDetail(conflict, newProfile));
                 warningLabel.show();
             }
         };
@@ -1475,13 +2499,14 @@ export default class HaraHachiBuPreferences extends ExtensionPreferences {
                 name: nameRow.get_text().trim(),
                 power: powerRow.selected,
                 battery: batteryRow.selected,
-                rules: ruleRows.map((r) => ({p: r.getParam(), o: r.getOp(), v: r.getValue()})),
+                fallback: fallbackRow.active,
+                rules: rootRuleGroup.getRules(),
                 schedEnabled: scheduleEnabledRow.active,
-                days: Object.keys(dayButtons).filter((d) => dayButtons[d].active),
-                startH: Math.round(startHourSpin.value),
-                startM: Math.round(startMinuteSpin.value),
-                endH: Math.round(endHourSpin.value),
-                endM: Math.round(endMinuteSpin.value),
+                scheduleSource: scheduleSourceRow.selected,
+                scheduleWindows: getScheduleWindows(),
+                scheduleCalendar: getScheduleCalendar(),
+                scheduleDates: getScheduleDates(),
+                exitAction: getExitAction(),
             });
         const initialState = captureState();
 
@@ -1493,12 +2518,11 @@ export default class HaraHachiBuPreferences extends ExtensionPreferences {
         nameRow.connect('changed', onFieldChanged);
         powerRow.connect('notify::selected', onFieldChanged);
         batteryRow.connect('notify::selected', onFieldChanged);
+        fallbackRow.connect('notify::active', onFieldChanged);
         scheduleEnabledRow.connect('notify::active', onFieldChanged);
-        for (const btn of Object.values(dayButtons)) btn.connect('toggled', onFieldChanged);
-        startHourSpin.connect('value-changed', onFieldChanged);
-        startMinuteSpin.connect('value-changed', onFieldChanged);
-        endHourSpin.connect('value-changed', onFieldChanged);
-        endMinuteSpin.connect('value-changed', onFieldChanged);
+        scheduleSourceRow.connect('notify::selected', onFieldChanged);
+        exitActionRow.connect('notify::selected', onFieldChanged);
+        exitTargetRow.connect('notify::selected', onFieldChanged);
 
         // Run initial real-time check (edit mode may have pre-existing conflicts)
         updateRealTimeWarnings();
@@ -1543,53 +2567,55 @@ export default class HaraHachiBuPreferences extends ExtensionPreferences {
                 else if (name.length > 50) errors.push(_('Scenario name too long (max 50 characters)'));
 
                 // Per-rule completeness check — identify which conditions are incomplete
-                const allRules = ruleRows.map((row, i) => ({
-                    param: row.getParam(),
-                    op: row.getOp(),
-                    value: row.getValue(),
-                    index: i,
-                }));
-                for (const r of allRules) {
-                    if (!r.value) {
+                for (const row of getRuleConditionRows()) {
+                    if (!row.getValue()) {
                         errors.push(
-                            _('Condition %d: incomplete \u2014 fill in all fields or remove it').format(r.index + 1)
+                            _('Condition %s: incomplete \u2014 fill in all fields or remove it').format(
+                                getRuleItemNumber(row)
+                            )
                         );
                     }
                 }
-                const completeRules = allRules.filter((r) => r.param && r.op && r.value);
-                const rules = completeRules.map(({param, op, value}) => ({param, op, value}));
+                const rules = rootRuleGroup.getRules(true);
 
                 // Collect schedule data (always preserve user input; set enabled=false when not active)
-                const scheduleDays = [];
-                for (let d = 1; d <= 7; d++) {
-                    if (dayButtons[d].active) scheduleDays.push(d);
-                }
-
+                const windows = getScheduleWindows();
+                const scheduleDates = getScheduleDates();
                 const scheduleEnabled = scheduleEnabledRow.active;
                 const hadSchedule = existingProfile?.schedule !== null && existingProfile?.schedule !== undefined;
                 let schedule = null;
-                if (scheduleEnabled || hadSchedule || scheduleDays.length > 0) {
-                    schedule = {
-                        enabled: scheduleEnabled,
-                        days: scheduleDays,
-                        startTime: ScheduleUtils.formatTimeHHMM(
-                            Math.round(startHourSpin.value),
-                            Math.round(startMinuteSpin.value)
-                        ),
-                        endTime: ScheduleUtils.formatTimeHHMM(
-                            Math.round(endHourSpin.value),
-                            Math.round(endMinuteSpin.value)
-                        ),
-                    };
-                }
-
-                // Schedule validation (zero-day + format)
-                if (scheduleEnabled) {
-                    if (scheduleDays.length === 0) errors.push(_('Schedule must have at least one day selected'));
-                    if (schedule) {
+                if (
+                    scheduleEnabled ||
+                    hadSchedule ||
+                    windows.some((timeWindow) => timeWindow.days.length > 0) ||
+                    Object.keys(scheduleDates).length > 0 ||
+                    (isCalendarSource() && calendarPath)
+                )
+                    schedule = getSchedule(scheduleEnabled);
+
+                // Schedule validation (zero-day + format); windows without days need extra dates
+                if (scheduleEnabled && isCalendarSource()) {
+                    if (!calendarPath) {
+                        errors.push(_('Choose a calendar file for the schedule'));
+                    } else {
                         const scheduleValidation = ScheduleUtils.validateSchedule(schedule);
                         if (!scheduleValidation.valid) errors.push(scheduleValidation.error);
                     }
+                } else if (scheduleEnabled) {
+                    const emptyIndex = scheduleDates.includedDates
+                        ? -1
+                        : windows.findIndex((timeWindow) => timeWindow.days.length === 0);
+                    if (emptyIndex !== -1) {
+                        const message = _('Schedule must have at least one day selected or an extra date');
+                        errors.push(
+                            windows.length > 1 ? _('Time window %d: %s').format(emptyIndex + 1, message) : message
+                        );
+                    } else {
+                        const scheduleValidation = ScheduleUtils.validateSchedule(schedule);
+                        if (!scheduleValidation.valid) errors.push(scheduleValidation.error);
+                        else if (ScheduleUtils.scheduleUsesSolarTimes(schedule) && !ScheduleUtils.hasLocation())
+                            errors.push(_('Turn on sunrise and sunset times under General \u2192 Location first'));
+                    }
                 }
 
                 // Show phase 1 errors if any
@@ -1631,6 +2657,17 @@ export default class HaraHachiBuPreferences extends ExtensionPreferences {
                 );
                 if (duplicateName) errors.push(_('A scenario with this name already exists'));
 
+                // Only one fallback scenario
+                const fallback = fallbackRow.active;
+                const otherFallback = RuleEvaluator.getFallbackProfile(existingProfiles);
+                if (fallback && otherFallback && (!isEdit || otherFallback.id !== existingProfile.id)) {
+                    errors.push(
+                        _('"%s" is already the fallback scenario. Turn it off there first.').format(
+                            ProfileMatcher.getProfileDisplayName(otherFallback)
+                        )
+                    );
+                }
+
                 // Rule semantic validation (contradictions, duplicates)
                 const rulesValidation = RuleEvaluator.validateRules(rules);
                 if (!rulesValidation.valid) errors.push(...rulesValidation.errors);
@@ -1643,19 +2680,28 @@ export default class HaraHachiBuPreferences extends ExtensionPreferences {
                 }
 
                 // --- Phase 3: Conflict detection (blocking at save time) ---
-                const newProfile = {id, name, powerMode, batteryMode, rules, schedule};
+                const newProfile = {
+                    id,
+                    name,
+                    powerMode,
+                    batteryMode,
+                    rules,
+                    schedule,
+                    priority: existingProfile?.priority,
+                };
                 const conflict = RuleEvaluator.findRuleConflict(
                     existingProfiles,
                     newProfile,
                     isEdit ? existingProfile.id : null
                 );
                 if (conflict) {
-                    errorLabel.set_text(buildConflictDetail(conflict, rules, schedule));
+                    errorLabel.set_text(buildConflictDetail(conflict, newProfile));
                     errorLabel.show();
                     return;
                 }
 
                 // --- Save ---
+                const exitAction = getExitAction();
                 let success;
                 if (isEdit) {
                     success = ProfileMatcher.updateProfile(settings, existingProfile.id, {
@@ -1664,9 +2710,20 @@ export default class HaraHachiBuPreferences extends ExtensionPreferences {
                         batteryMode,
                         rules,
                         schedule,
+                        fallback,
+                        exitAction,
                     });
                 } else {
-                    success = ProfileMatcher.createProfile(settings, id, name, powerMode, batteryMode, rules, schedule);
+                    success = ProfileMatcher.createProfile(
+                        settings,
+                        id,
+                        name,
+                        powerMode,
+                        batteryMode,
+                        rules,
+                        schedule,
+                        {fallback, exitAction}
+                    );
                 }
 
                 if (!success) {
@@ -1689,11 +2746,201 @@ export default class HaraHachiBuPreferences extends ExtensionPreferences {
         this._profileDialogClosedId = dialog.connect('closed', () => {
             this._profileDialog = null;
             this._profileDialogClosedId = null;
+            calendarLoadId++;
+            if (calendarPreviewTimeoutId) {
+                GLib.Source.remove(calendarPreviewTimeoutId);
+                calendarPreviewTimeoutId = null;
+            }
         });
         this._profileDialog = dialog;
         dialog.present(window);
     }
 
+    _showExplanationDialog(window, settings) {
+        const contentPage = new Adw.PreferencesPage();
+        let groups = [];
+
+        const setGroups = (newGroups) => {
+            for (const group of groups) contentPage.remove(group);
+            groups = newGroups;
+            for (const group of groups) contentPage.add(group);
+        };
+
+        const buildEntryRow = (entry, profile) => {
+            const name = profile ? ProfileMatcher.getProfileDisplayName(profile) : entry.profileId;
+            const status = RuleExplanation.formatExplanationStatus(entry);
+
+            if (!entry.automatic) return new Adw.ActionRow({title: name, subtitle: status, use_markup: false});
+
+            const row = new Adw.ExpanderRow({
+                title: name,
+                subtitle: _('%s \u2014 priority %d, specificity %d').format(status, entry.priority, entry.specificity),
+                use_markup: false,
+                expanded: entry.selected,
+            });
+            if (entry.selected) row.add_prefix(new Gtk.Image({icon_name: 'object-select-symbolic'}));
+
+            const addLine = (text, met, waiting, depth) => {
+                const lineRow = new Adw.ActionRow({title: text, use_markup: false, title_lines: 0});
+                let iconName = met ? 'emblem-ok-symbolic' : 'window-close-symbolic';
+                let description = met ? _('Met') : _('Not met');
+                if (waiting) {
+                    iconName = 'content-loading-symbolic';
+                    description = _('Waiting for minimum duration');
+                }
+                const icon = new Gtk.Image({icon_name: iconName, tooltip_text: description, margin_start: depth * 12});
+                icon.update_property([Gtk.AccessibleProperty.LABEL], [description]);
+                lineRow.add_prefix(icon);
+                row.add_row(lineRow);
+            };
+
+            if (entry.scheduleActive !== null) {
+                addLine(
+                    entry.scheduleActive ? _('Schedule window open') : _('Schedule window closed'),
+                    entry.scheduleActive,
+                    false,
+                    0
+                );
+            }
+            for (const line of RuleExplanation.getExplanationLines(entry.rules))
+                addLine(line.text, line.result, line.waiting, line.depth);
+
+            return row;
+        };
+
+        const load = async () => {
+            let explanation;
+            try {
+                const result = await Gio.DBus.session.call(
+                    'org.gnome.Shell',
+                    Constants.EXTENSION_DBUS_PATH,
+                    Constants.EXTENSION_DBUS_INTERFACE,
+                    'ExplainRules',
+                    null,
+                    new GLib.VariantType('(s)'),
+                    Gio.DBusCallFlags.NONE,
+                    -1,
+                    null
+                );
+                explanation = JSON.parse(result.deep_unpack()[0]);
+            } catch (e) {
+                debugError(`Explain rules error: ${e.message}`);
+                setGroups([
+                    new Adw.PreferencesGroup({
+                        title: _('Explanation Unavailable'),
+                        description: _(
+                            'The extension is not running in GNOME Shell, so the current state cannot be read. Enable the extension and try again.'
+                        ),
+                    }),
+                ]);
+                return;
+            }
+
+            let summary = _('Automatic switching is on.');
+            if (!explanation.autoSwitchEnabled) summary = _('Automatic switching is turned off.');
+            else if (explanation.paused) summary = _('Automatic switching is paused by a manual change.');
+            else if (explanation.exitActionApplied)
+                summary = _(
+                    'Automatic switching is on. No scenario matches, so the exit action of the last one applies.'
+                );
+
+            const profiles = ProfileMatcher.getCustomProfiles(settings);
+            const active = profiles.find((p) => p.id === explanation.activeProfileId);
+            const summaryGroup = new Adw.PreferencesGroup({
+                title: active
+                    ? _('Active: %s').format(ProfileMatcher.getProfileDisplayName(active))
+                    : _('No Scenario Active'),
+                description: summary,
+            });
+
+            const scenariosGroup = new Adw.PreferencesGroup({title: _('Scenarios')});
+            for (const entry of explanation.profiles) {
+                const profile = profiles.find((p) => p.id === entry.profileId);
+                scenariosGroup.add(buildEntryRow(entry, profile));
+            }
+
+            setGroups([summaryGroup, scenariosGroup]);
+        };
+
+        const headerBar = new Adw.HeaderBar();
+        const refreshBtn = new Gtk.Button({
+            icon_name: 'view-refresh-symbolic',
+            tooltip_text: _('Refresh'),
+        });
+        refreshBtn.connect('clicked', () => {
+            load().catch((e) => debugError(`Explain rules error: ${e.message}`));
+        });
+        headerBar.pack_start(refreshBtn);
+
+        const toolbarView = new Adw.ToolbarView();
+        toolbarView.add_top_bar(headerBar);
+        toolbarView.set_content(contentPage);
+
+        const dialog = new Adw.Dialog({
+            title: _('Why This Scenario?'),
+            content_width: 450,
+            content_height: 600,
+        });
+        dialog.set_child(toolbarView);
+        dialog.present(window);
+
+        load().catch((e) => debugError(`Explain rules error: ${e.message}`));
+    }
+
+    _showConflictAnalysisDialog(window, settings) {
+        const profiles = ProfileMatcher.getCustomProfiles(settings);
+        const conflicts = RuleEvaluator.analyzeRuleConflicts(profiles);
+        const getName = (id) => {
+            const profile = profiles.find((p) => p.id === id);
+            return profile ? ProfileMatcher.getProfileDisplayName(profile) : id;
+        };
+
+        const contentPage = new Adw.PreferencesPage();
+        const group = new Adw.PreferencesGroup({
+            title: conflicts.length > 0 ? _('Conflicts') : _('No Conflicts'),
+            description:
+                conflicts.length > 0
+                    ? _(
+                          'These scenarios can match at the same time with the same priority and specificity, so neither clearly takes precedence. Drag them into order, or add conditions to one.'
+                      )
+                    : _('In every situation, at most one scenario matches or one clearly takes precedence.'),
+        });
+        contentPage.add(group);
+
+        for (const conflict of conflicts) {
+            const [name1, name2] = conflict.profileIds.map(getName);
+            const row = new Adw.ExpanderRow({
+                // Translators: Two scenario names, e.g. "Docked and Presentation"
+                title: _('%s and %s').format(name1, name2),
+                subtitle: _('Priority %d, specificity %d').format(conflict.priority, conflict.specificity),
+                use_markup: false,
+            });
+
+            const situations =
+                conflict.examples.length > 0
+                    ? conflict.examples.map((example) =>
+                          RuleExplanation.formatConflictSituation(example, conflict.when)
+                      )
+                    : [_('Too many condition combinations to list; assuming they overlap')];
+            for (const situation of situations)
+                row.add_row(new Adw.ActionRow({title: situation, use_markup: false, title_lines: 0}));
+
+            group.add(row);
+        }
+
+        const toolbarView = new Adw.ToolbarView();
+        toolbarView.add_top_bar(new Adw.HeaderBar());
+        toolbarView.set_content(contentPage);
+
+        const dialog = new Adw.Dialog({
+            title: _('Scenario Conflicts'),
+            content_width: 450,
+            content_height: 500,
+        });
+        dialog.set_child(toolbarView);
+        dialog.present(window);
+    }
+
     _showDeleteDialog(window, settings, profile) {
         // Check if this profile is currently active
         const isActive =
@@ -0,0 +1,164 @@
+/*
+ * Hara Hachi Bu - GNOME Shell Extension
+ * Copyright (C) 2024-2026 zvi
+ * SPDX-License-Identifier: GPL-3.0-or-later
+ *
+ * Tests for iCalendar parsing and recurrence expansion in CalendarEvents.
+ */
+'use strict';
+import GLib from 'gi://GLib';
+import * as CalendarEvents from '../lib/calendarEvents.js';
+import {test, assertEqual, run} from './testUtils.js';
+
+const BERLIN = GLib.TimeZone.new_identifier('Europe/Berlin');
+
+const calendar = (...events) =>
+    CalendarEvents.parseCalendar(
+        ['BEGIN:VCALENDAR', ...events.map((lines) => ['BEGIN:VEVENT', ...lines, 'END:VEVENT']).flat(), 'END:VCALENDAR']
+            .map((line) => `${line}\r\n`)
+            .join('')
+    );
+
+/**
+ * Occurrences between two UTC times ("YYYY-MM-DDTHH:MM"), as "start..end" in UTC
+ */
+const occurrences = (events, from, to, pattern = '', timeZone = BERLIN) =>
+    CalendarEvents.getOccurrences(events, Date.parse(`${from}Z`), Date.parse(`${to}Z`), pattern, timeZone).map(
+        ({start, end}) => `${new Date(start).toISOString().slice(0, 16)}..${new Date(end).toISOString().slice(0, 16)}`
+    );
+
+const officeDays = calendar(
+    [
+        'UID:office',
+        'SUMMARY:Office day',
+        'DTSTART;TZID=Europe/Berlin:20261005T090000',
+        'DTEND;TZID=Europe/Berlin:20261005T170000',
+        'RRULE:FREQ=WEEKLY;BYDAY=MO,WE;UNTIL=20261104T000000Z',
+        'EXDATE;TZID=Europe/Berlin:20261021T090000',
+        'BEGIN:VALARM',
+        'SUMMARY:Reminder',
+        'END:VALARM',
+    ],
+    [
+        'UID:office',
+        'RECURRENCE-ID;TZID=Europe/Berlin:20261026T090000',
+        'SUMMARY:Office day (moved)',
+        'DTSTART;TZID=Europe/Berlin:20261027T100000',
+        'DTEND;TZID=Europe/Berlin:20261027T120000',
+    ]
+);
+
+test('events are parsed with nested components ignored', () => {
+    assertEqual(
+        officeDays.map(({summary}) => summary),
+        ['Office day', 'Office day (moved)']
+    );
+});
+
+test('cancelled events and events without a start are skipped', () => {
+    const events = calendar(
+        ['UID:a', 'SUMMARY:Cancelled', 'STATUS:CANCELLED', 'DTSTART:20261019T090000Z'],
+        ['UID:b', 'SUMMARY:No start'],
+        ['UID:c', 'SUMMARY:Invalid start', 'DTSTART:20260230T090000Z']
+    );
+    assertEqual(events, []);
+});
+
+test('weekly BYDAY instances stop at UNTIL, across a DST change', () => {
+    assertEqual(occurrences(officeDays, '2026-10-12T00:00', '2026-12-01T00:00', 'office day'), [
+        '2026-10-12T07:00..2026-10-12T15:00',
+        '2026-10-14T07:00..2026-10-14T15:00',
+        '2026-10-19T07:00..2026-10-19T15:00',
+        '2026-10-27T09:00..2026-10-27T11:00',
+        '2026-10-28T08:00..2026-10-28T16:00',
+        '2026-11-02T08:00..2026-11-02T16:00',
+    ]);
+});
+
+test('EXDATE removes an instance and RECURRENCE-ID replaces one', () => {
+    assertEqual(occurrences(officeDays, '2026-10-21T00:00', '2026-10-27T00:00'), []);
+    assertEqual(occurrences(officeDays, '2026-10-27T00:00', '2026-10-28T00:00'), [
+        '2026-10-27T09:00..2026-10-27T11:00',
+    ]);
+});
+
+test('occurrences overlapping the start of the range are included', () => {
+    assertEqual(occurrences(officeDays, '2026-10-19T12:00', '2026-10-19T12:01'), [
+        '2026-10-19T07:00..2026-10-19T15:00',
+    ]);
+});
+
+test('summary patterns match case-insensitively with wildcards', () => {
+    assertEqual(CalendarEvents.matchesSummary('Office day (moved)', 'office*moved'), true);
+    assertEqual(CalendarEvents.matchesSummary('Travel, Berlin', 'TRAVEL'), true);
+    assertEqual(CalendarEvents.matchesSummary('x', 'a.b'), false);
+    assertEqual(CalendarEvents.matchesSummary('anything', ''), true);
+});
+
+test('monthly BYDAY with a negative ordinal respects COUNT', () => {
+    const events = calendar([
+        'UID:review',
+        'DTSTART:20260130T150000Z',
+        'DURATION:PT1H',
+        'RRULE:FREQ=MONTHLY;BYDAY=-1FR;COUNT=3',
+    ]);
+    assertEqual(occurrences(events, '2026-01-01T00:00', '2027-01-01T00:00'), [
+        '2026-01-30T15:00..2026-01-30T16:00',
+        '2026-02-27T15:00..2026-02-27T16:00',
+        '2026-03-27T15:00..2026-03-27T16:00',
+    ]);
+});
+
+test('monthly BYMONTHDAY skips months that are too short', () => {
+    const events = calendar(['UID:end', 'DTSTART:20260131T100000Z', 'RRULE:FREQ=MONTHLY;BYMONTHDAY=31;INTERVAL=1']);
+    assertEqual(occurrences(events, '2026-02-01T00:00', '2026-06-01T00:00').length, 2);
+});
+
+test('all-day events last whole days in local time', () => {
+    const events = calendar(['UID:trip', 'DTSTART;VALUE=DATE:20261024', 'DTEND;VALUE=DATE:20261026']);
+    // The trip spans the end of daylight saving time, so it is 49 hours long
+    assertEqual(occurrences(events, '2026-10-01T00:00', '2026-11-01T00:00'), ['2026-10-23T22:00..2026-10-25T23:00']);
+});
+
+test('long-running recurrences are expanded near the requested range', () => {
+    const events = calendar([
+        'UID:standup',
+        'DTSTART;TZID=Europe/Berlin:19900101T090000',
+        'DURATION:PT15M',
+        'RRULE:FREQ=DAILY',
+    ]);
+    assertEqual(occurrences(events, '2026-10-19T07:00', '2026-10-19T08:00'), ['2026-10-19T07:00..2026-10-19T07:15']);
+
+    const fortnightly = calendar([
+        'UID:sync',
+        'DTSTART:20000103T120000Z',
+        'DURATION:PT1H',
+        'RRULE:FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,TH',
+    ]);
+    assertEqual(occurrences(fortnightly, '2026-10-19T00:00', '2026-11-02T00:00'), [
+        '2026-10-19T12:00..2026-10-19T13:00',
+        '2026-10-22T12:00..2026-10-22T13:00',
+    ]);
+});
+
+test('BYMONTH limits daily, weekly and monthly rules to its months', () => {
+    const weekly = calendar(['UID:summer', 'DTSTART:20260504T080000Z', 'RRULE:FREQ=WEEKLY;BYDAY=MO;BYMONTH=6']);
+    assertEqual(occurrences(weekly, '2026-05-01T00:00', '2026-07-15T00:00').length, 5);
+    assertEqual(occurrences(weekly, '2027-05-01T00:00', '2027-06-08T00:00'), ['2027-06-07T08:00..2027-06-07T08:00']);
+
+    const daily = calendar(['UID:dec', 'DTSTART:20261130T080000Z', 'RRULE:FREQ=DAILY;BYMONTH=12;COUNT=2']);
+    assertEqual(occurrences(daily, '2026-11-01T00:00', '2027-01-01T00:00'), [
+        '2026-12-01T08:00..2026-12-01T08:00',
+        '2026-12-02T08:00..2026-12-02T08:00',
+    ]);
+
+    const monthly = calendar(['UID:q', 'DTSTART:20260115T080000Z', 'RRULE:FREQ=MONTHLY;BYMONTH=1,4,7,10']);
+    assertEqual(occurrences(monthly, '2026-01-01T00:00', '2026-12-31T00:00').length, 4);
+});
+
+test('rules that never produce an instance end the expansion', () => {
+    const events = calendar(['UID:never', 'DTSTART:20260101T000000Z', 'RRULE:FREQ=YEARLY;BYMONTH=2;BYMONTHDAY=30']);
+    assertEqual(occurrences(events, '2026-01-01T00:00', '2030-01-01T00:00'), []);
+});
+
+run();
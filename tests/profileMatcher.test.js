@@ -0,0 +1,90 @@
+/*
+ * Hara Hachi Bu - GNOME Shell Extension
+ * Copyright (C) 2024-2026 zvi
+ * SPDX-License-Identifier: GPL-3.0-or-later
+ *
+ * Tests for stored profile data in ProfileMatcher: migrations, validation of
+ * exit actions, and reordering by priority.
+ */
+'use strict';
+import * as ProfileMatcher from '../lib/profileMatcher.js';
+import {test, assertEqual, run} from './testUtils.js';
+
+/**
+ * Settings holding custom-profiles and migration-version, like the GSettings keys
+ */
+const settings = (profiles, migrationVersion = 8) => {
+    const values = {'custom-profiles': JSON.stringify(profiles), 'migration-version': migrationVersion};
+    ProfileMatcher.resetCache();
+    return {
+        get_string: (key) => values[key],
+        set_string: (key, value) => (values[key] = value),
+        get_int: (key) => values[key],
+        set_int: (key, value) => (values[key] = value),
+        stored: () => JSON.parse(values['custom-profiles']),
+    };
+};
+
+const profile = (id, extra = {}) => ({id, name: id, powerMode: 'balanced', batteryMode: 'balanced', ...extra});
+const onBattery = {param: 'power_source', op: 'is', value: 'battery'};
+
+test('migration 7 stores flat rule lists as an "all" group', () => {
+    const store = settings([profile('travel', {rules: [onBattery]}), profile('manual')], 6);
+    assertEqual(ProfileMatcher.runMigrations(store), true);
+    assertEqual(store.stored()[0].rules, {match: 'all', conditions: [onBattery]});
+    assertEqual(store.stored()[1].rules, undefined);
+    assertEqual(store.get_int('migration-version'), 8);
+});
+
+test('migration 8 stores single-window schedules as a list of windows', () => {
+    const legacy = {enabled: true, days: [1, 2, 3, 4, 5], startTime: '09:00', endTime: '17:00'};
+    const calendar = {enabled: true, calendar: {path: '/calendars/work.ics', summary: 'Office'}};
+    const store = settings([profile('work', {schedule: legacy}), profile('office', {schedule: calendar})], 7);
+    assertEqual(ProfileMatcher.runMigrations(store), true);
+    assertEqual(store.stored()[0].schedule, {
+        enabled: true,
+        windows: [{days: [1, 2, 3, 4, 5], startTime: '09:00', endTime: '17:00'}],
+    });
+    assertEqual(store.stored()[1].schedule, calendar);
+});
+
+test('migrations do nothing once the data is current', () => {
+    const store = settings([profile('travel', {rules: [onBattery]})], 8);
+    assertEqual(ProfileMatcher.runMigrations(store), false);
+    assertEqual(store.stored()[0].rules, [onBattery]);
+});
+
+test('exit actions must restore or switch to another scenario', () => {
+    const validated = (exitAction) => ProfileMatcher.validateProfile(profile('travel', {exitAction}))?.exitAction;
+    assertEqual(validated({type: 'restore'}), {type: 'restore'});
+    assertEqual(validated({type: 'switch', profileId: 'home'}), {type: 'switch', profileId: 'home'});
+    assertEqual(validated({type: 'switch', profileId: 'travel'}), undefined);
+    assertEqual(validated({type: 'switch'}), undefined);
+    assertEqual(validated({type: 'suspend'}), undefined);
+    assertEqual(validated(null), undefined);
+});
+
+const priorities = (store) => store.stored().map(({id, priority}) => `${id}:${priority ?? 0}`);
+
+test('moving a scenario keeps the order of the others', () => {
+    const store = settings([
+        profile('a', {priority: 3}),
+        profile('b', {priority: 3}),
+        profile('c', {priority: 1}),
+        profile('d'),
+        profile('e'),
+    ]);
+    ProfileMatcher.moveProfile(store, 'd', 'a');
+    assertEqual(priorities(store), ['d:3', 'a:2', 'b:2', 'c:1', 'e:0']);
+
+    ProfileMatcher.moveProfile(store, 'a', 'e');
+    assertEqual(priorities(store), ['d:4', 'b:3', 'c:2', 'e:1', 'a:0']);
+});
+
+test('repeated moves keep priorities within range', () => {
+    const store = settings([profile('a'), profile('b')]);
+    for (let i = 0; i < 200; i++) ProfileMatcher.moveProfile(store, store.stored()[1].id, store.stored()[0].id);
+    assertEqual(priorities(store), ['a:2', 'b:1']);
+});
+
+run();
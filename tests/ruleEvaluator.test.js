@@ -0,0 +1,245 @@
+/*
+ * Hara Hachi Bu - GNOME Shell Extension
+ * Copyright (C) 2024-2026 zvi
+ * SPDX-License-Identifier: GPL-3.0-or-later
+ *
+ * Tests for rule evaluation, duration tracking and the rule conflict analysis
+ * (findProfileTie) in RuleEvaluator.
+ */
+'use strict';
+import * as RuleEvaluator from '../lib/ruleEvaluator.js';
+import {test, assert, assertEqual, run} from './testUtils.js';
+
+const condition = (param, op, value, hysteresis) => ({
+    param,
+    op,
+    value,
+    ...(hysteresis !== undefined ? {hysteresis} : {}),
+});
+const profile = (id, rules, extra = {}) => ({id, rules, ...extra});
+const group = (match, ...conditions) => ({match, conditions});
+
+const tie = (rules1, rules2) => RuleEvaluator.findProfileTie(profile('a', rules1), profile('b', rules2));
+const exampleValues = (result) => result.examples.map((example) => example.map(({value}) => value));
+
+const evaluate = (rules, params, isActive = false, holdTracker = null) =>
+    RuleEvaluator.evaluateRules(rules, params, isActive, holdTracker, 'p');
+
+test('each operator compares the current value', () => {
+    const params = {power_source: 'battery', battery_level: 40, wifi_network: 'Home'};
+    assertEqual(evaluate([condition('power_source', 'is', 'battery')], params), true);
+    assertEqual(evaluate([condition('wifi_network', 'is_not', 'Home')], params), false);
+    assertEqual(evaluate([condition('battery_level', 'below', 40)], params), false);
+    assertEqual(evaluate([condition('battery_level', 'above', 39)], params), true);
+    assertEqual(evaluate([condition('battery_level', 'between', [40, 60])], params), true);
+    assertEqual(evaluate([condition('battery_level', 'between', [41, 60])], params), false);
+});
+
+test('a missing parameter value fails the condition, also when negated', () => {
+    assertEqual(evaluate([condition('wifi_network', 'is_not', 'Home')], {}), false);
+    assertEqual(evaluate(group('none', condition('wifi_network', 'is', 'Home')), {}), true);
+});
+
+test('groups combine their conditions', () => {
+    const params = {power_source: 'ac', lid_state: 'closed'};
+    const onBattery = condition('power_source', 'is', 'battery');
+    const lidClosed = condition('lid_state', 'is', 'closed');
+    assertEqual(evaluate(group('all', onBattery, lidClosed), params), false);
+    assertEqual(evaluate(group('any', onBattery, lidClosed), params), true);
+    assertEqual(evaluate(group('none', onBattery, lidClosed), params), false);
+    assertEqual(evaluate(group('none', onBattery), params), true);
+    assertEqual(evaluate(group('all', lidClosed, group('any', onBattery, lidClosed)), params), true);
+    assertEqual(evaluate(group('all'), params), false, 'empty rules never match');
+});
+
+test('hysteresis keeps an active profile matching within the margin', () => {
+    const below30 = [condition('battery_level', 'below', 30)];
+    assertEqual(evaluate(below30, {battery_level: 31}), false);
+    assertEqual(evaluate(below30, {battery_level: 31}, true), true);
+    assertEqual(evaluate(below30, {battery_level: 32}, true), false);
+
+    const between = [condition('battery_level', 'between', [40, 60], 5)];
+    assertEqual(evaluate(between, {battery_level: 65}, true), true);
+    assertEqual(evaluate(between, {battery_level: 35}, true), true);
+    assertEqual(evaluate(between, {battery_level: 66}, true), false);
+});
+
+test('hysteresis inside a "none" group keeps the negated result', () => {
+    // "not below 30" holds down to 28 while active
+    const notBelow30 = group('none', condition('battery_level', 'below', 30));
+    assertEqual(evaluate(notBelow30, {battery_level: 28}), false);
+    assertEqual(evaluate(notBelow30, {battery_level: 28}, true), true);
+    assertEqual(evaluate(notBelow30, {battery_level: 27}, true), false);
+});
+
+/**
+ * A hold tracker with a settable clock, like the one StateManager keeps:
+ * a condition holds once it has been true for its duration without interruption
+ */
+const holdTracker = () => {
+    const since = new Map();
+    const tracker = (key, isTrue, seconds) => {
+        tracker.keys.add(key);
+        if (!isTrue) {
+            since.delete(key);
+            return false;
+        }
+        if (!since.has(key)) since.set(key, tracker.now);
+        return tracker.now - since.get(key) >= seconds;
+    };
+    tracker.now = 0;
+    tracker.keys = new Set();
+    return tracker;
+};
+
+test('a condition with a duration matches once it has held that long', () => {
+    const tracker = holdTracker();
+    const rules = [{...condition('lid_state', 'is', 'closed'), forSeconds: 60}];
+    assertEqual(evaluate(rules, {lid_state: 'closed'}, false, tracker), false);
+    tracker.now = 59;
+    assertEqual(evaluate(rules, {lid_state: 'closed'}, false, tracker), false);
+    tracker.now = 60;
+    assertEqual(evaluate(rules, {lid_state: 'closed'}, false, tracker), true);
+
+    // Becoming false restarts the count
+    tracker.now = 61;
+    assertEqual(evaluate(rules, {lid_state: 'open'}, false, tracker), false);
+    tracker.now = 62;
+    assertEqual(evaluate(rules, {lid_state: 'closed'}, false, tracker), false);
+    tracker.now = 122;
+    assertEqual(evaluate(rules, {lid_state: 'closed'}, false, tracker), true);
+});
+
+test('durations are ignored without a tracker, and tracked by position and content', () => {
+    const rules = group(
+        'any',
+        {...condition('lid_state', 'is', 'closed'), forSeconds: 60},
+        {...condition('lid_state', 'is', 'closed'), forSeconds: 120}
+    );
+    assertEqual(evaluate(rules, {lid_state: 'closed'}), true);
+
+    const tracker = holdTracker();
+    evaluate(rules, {lid_state: 'closed'}, false, tracker);
+    assertEqual(tracker.keys.size, 2);
+    assert(
+        [...tracker.keys].every((key) => key.startsWith('p')),
+        'keys start with the prefix'
+    );
+});
+
+test('explicit priority beats specificity when choosing a profile', () => {
+    const params = {power_source: 'battery', lid_state: 'closed'};
+    const onBattery = [condition('power_source', 'is', 'battery')];
+    const specific = profile('specific', [...onBattery, condition('lid_state', 'is', 'closed')]);
+    assertEqual(RuleEvaluator.findMatchingProfile([profile('general', onBattery), specific], params)?.id, 'specific');
+    assertEqual(
+        RuleEvaluator.findMatchingProfile([profile('general', onBattery, {priority: 1}), specific], params)?.id,
+        'general'
+    );
+});
+
+test('overlapping numeric ranges tie', () => {
+    const result = tie([condition('battery_level', 'below', 30)], [condition('battery_level', 'below', 50)]);
+    assertEqual(result.priority, 0);
+    assertEqual(result.specificity, 1);
+    assertEqual(result.when, null);
+    assertEqual(result.examples, [[{param: 'battery_level', value: 0}]]);
+});
+
+test('thresholds meeting at one value do not tie without hysteresis', () => {
+    assertEqual(tie([condition('cpu_load', 'above', 30, 0)], [condition('cpu_load', 'below', 30, 0)]), null);
+});
+
+test('no whole number lies strictly between adjacent thresholds', () => {
+    assertEqual(tie([condition('cpu_load', 'above', 29, 0)], [condition('cpu_load', 'below', 30, 0)]), null);
+});
+
+test('thresholds within the hysteresis margin tie while either profile is active', () => {
+    // Default margin of 2: "below 30" holds up to 31 while active, "above 30" down to 29
+    const result = tie([condition('battery_level', 'below', 30)], [condition('battery_level', 'above', 30)]);
+    assertEqual(exampleValues(result), [[31], [29]]);
+});
+
+test('thresholds at least the hysteresis margin apart do not tie', () => {
+    assertEqual(tie([condition('battery_level', 'below', 30)], [condition('battery_level', 'above', 32)]), null);
+});
+
+test('a condition hysteresis overrides the default margin', () => {
+    const result = tie([condition('battery_level', 'below', 30, 5)], [condition('battery_level', 'above', 32)]);
+    assertEqual(exampleValues(result), [[33]]);
+});
+
+test('negated "below" includes its threshold', () => {
+    const notBelow = group('none', condition('cpu_load', 'below', 30, 0));
+    assertEqual(tie(notBelow, [condition('cpu_load', 'below', 30, 0)]), null);
+    assertEqual(exampleValues(tie(notBelow, [condition('cpu_load', 'above', 29, 0)])), [[30]]);
+});
+
+test('negated "above" includes its threshold', () => {
+    const notAbove = group('none', condition('cpu_load', 'above', 70, 0));
+    assertEqual(tie(notAbove, [condition('cpu_load', 'above', 70, 0)]), null);
+    assertEqual(exampleValues(tie(notAbove, [condition('cpu_load', 'between', [70, 90], 0)])), [[70]]);
+});
+
+test('negated "between" excludes both ends', () => {
+    const outside = group('none', condition('cpu_load', 'between', [20, 40], 0));
+    assertEqual(tie(outside, [condition('cpu_load', 'between', [30, 40], 0)]), null);
+    assertEqual(exampleValues(tie(outside, [condition('cpu_load', 'between', [40, 50], 0)])), [[41]]);
+});
+
+test('negated conditions hold within their hysteresis margin', () => {
+    // "not below 30" stays true down to 28 while its profile is active, "below 30" up to 31
+    const result = tie(group('none', condition('battery_level', 'below', 30)), [
+        condition('battery_level', 'below', 30),
+    ]);
+    assertEqual(exampleValues(result), [[28], [30]]);
+});
+
+test('"any" groups tie through each branch', () => {
+    const result = tie(
+        group('any', condition('wifi_network', 'is_not', 'Home'), condition('lid_state', 'is', 'closed')),
+        [condition('power_source', 'is', 'battery')]
+    );
+    assertEqual(result.examples, [
+        [
+            {param: 'wifi_network', value: null, except: ['Home']},
+            {param: 'power_source', value: 'battery'},
+        ],
+        [
+            {param: 'lid_state', value: 'closed'},
+            {param: 'power_source', value: 'battery'},
+        ],
+    ]);
+});
+
+test('a "none" group excludes what the other profile requires', () => {
+    const result = tie(group('none', condition('power_source', 'is', 'battery')), [
+        condition('power_source', 'is', 'battery'),
+    ]);
+    assertEqual(result, null);
+});
+
+test('contradicting values never tie', () => {
+    assertEqual(tie([condition('power_source', 'is', 'ac')], [condition('power_source', 'is', 'battery')]), null);
+});
+
+test('priority and specificity settle overlaps', () => {
+    const onBattery = [condition('power_source', 'is', 'battery')];
+    const prioritized = profile('b', onBattery, {priority: 1});
+    assertEqual(RuleEvaluator.findProfileTie(profile('a', onBattery), prioritized), null);
+
+    const moreSpecific = [...onBattery, condition('lid_state', 'is', 'closed')];
+    assertEqual(tie(onBattery, moreSpecific), null);
+});
+
+test('findRuleConflict reports the tied profile', () => {
+    const profiles = [
+        profile('docked', [condition('external_display', 'is', 'connected'), condition('power_source', 'is', 'ac')]),
+        profile('travel', [condition('power_source', 'is', 'battery')]),
+    ];
+    const newProfile = profile('new', [condition('power_source', 'is', 'battery')]);
+    assertEqual(RuleEvaluator.findRuleConflict(profiles, newProfile)?.id, 'travel');
+    assert(RuleEvaluator.findRuleConflict(profiles, newProfile, 'travel') === null, 'own profile is skipped');
+});
+
+run();
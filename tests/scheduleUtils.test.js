@@ -0,0 +1,202 @@
+/*
+ * Hara Hachi Bu - GNOME Shell Extension
+ * Copyright (C) 2024-2026 zvi
+ * SPDX-License-Identifier: GPL-3.0-or-later
+ *
+ * Tests for schedule windows and their boundaries in ScheduleUtils: across
+ * daylight saving time and time zone changes, with several windows, and relative
+ * to sunrise and sunset. Europe/Berlin switches to summer time on
+ * 2026-03-29 (02:00 -> 03:00) and back on 2026-10-25 (03:00 -> 02:00).
+ */
+'use strict';
+import GLib from 'gi://GLib';
+import * as CalendarEvents from '../lib/calendarEvents.js';
+import * as ScheduleUtils from '../lib/scheduleUtils.js';
+import {test, assertEqual, run} from './testUtils.js';
+
+const setTimeZone = (identifier) => {
+    GLib.setenv('TZ', identifier, true);
+    ScheduleUtils.refreshTimeZone();
+};
+setTimeZone('Europe/Berlin');
+
+const at = (year, month, day, hour, minute = 0) =>
+    GLib.DateTime.new(GLib.TimeZone.new_identifier('Europe/Berlin'), year, month, day, hour, minute, 0);
+const utc = (year, month, day, hour, minute = 0) => GLib.DateTime.new_utc(year, month, day, hour, minute, 0);
+
+const schedule = (days, startTime, endTime, extra = {}) => ({
+    enabled: true,
+    windows: [{days, startTime, endTime}],
+    ...extra,
+});
+const everyNight = schedule([1, 2, 3, 4, 5, 6, 7], '22:00', '06:00');
+
+const hoursUntilBoundary = (sched, now) => ScheduleUtils.secondsUntilNextBoundary(sched, now) / 3600;
+
+const setLocation = (location) =>
+    ScheduleUtils.setLocationFromSettings({
+        get_boolean: () => location !== null,
+        get_double: (key) => (key === 'solar-latitude' ? location.latitude : location.longitude),
+    });
+const BERLIN = {latitude: 52.52, longitude: 13.405};
+
+test('a night window is an hour shorter when summer time starts', () => {
+    assertEqual(hoursUntilBoundary(everyNight, at(2026, 3, 28, 22)), 7);
+});
+
+test('a night window is an hour longer when summer time ends', () => {
+    assertEqual(hoursUntilBoundary(everyNight, at(2026, 10, 24, 22)), 9);
+});
+
+test('boundaries days ahead count the lost hour', () => {
+    // Saturday noon to Monday 09:00 is 45 hours on the clock, 44 in real time
+    assertEqual(hoursUntilBoundary(schedule([1], '09:00', '10:00'), at(2026, 3, 28, 12)), 44);
+});
+
+test('times skipped by the clock change resolve to the next valid time', () => {
+    assertEqual(ScheduleUtils.resolveTime('02:30', at(2026, 3, 29, 12)), '03:30');
+    assertEqual(hoursUntilBoundary(schedule([7], '02:30', '04:00'), at(2026, 3, 29, 0)), 2.5);
+});
+
+test('a repeated hour stays inside a night window', () => {
+    const repeated = utc(2026, 10, 25, 0, 30); // 02:30 summer time, the first time round
+    assertEqual(ScheduleUtils.isScheduleActive(everyNight, repeated), true);
+    assertEqual(ScheduleUtils.getScheduleEndTimeToday(everyNight, repeated), '06:00');
+});
+
+test('boundaries far ahead are found past excluded dates', () => {
+    const weekly = schedule([1], '09:00', '10:00', {excludedDates: [{start: '2026-10-19', end: '2026-12-31'}]});
+    // Monday 2027-01-04 09:00 in winter time, 77 days and 2 hours after 08:00 summer time
+    assertEqual(ScheduleUtils.secondsUntilNextBoundary(weekly, at(2026, 10, 19, 8)), 77 * 86400 + 2 * 3600);
+});
+
+test('window times follow a change of time zone', () => {
+    const morning = schedule([1], '09:00', '10:00');
+    const now = utc(2026, 10, 19, 7, 30);
+    try {
+        assertEqual(ScheduleUtils.isScheduleActive(morning, now), true);
+        setTimeZone('America/New_York');
+        assertEqual(ScheduleUtils.isScheduleActive(morning, now), false);
+        assertEqual(ScheduleUtils.isScheduleActive(morning, utc(2026, 10, 19, 13, 30)), true);
+    } finally {
+        setTimeZone('Europe/Berlin');
+    }
+});
+
+test('floating calendar times follow a change of time zone', () => {
+    const events = CalendarEvents.parseCalendar(
+        [
+            'BEGIN:VEVENT',
+            'UID:focus',
+            'DTSTART:20261019T090000',
+            'DTEND:20261019T100000',
+            'RRULE:FREQ=DAILY',
+            'EXDATE:20261020T090000',
+            'END:VEVENT',
+        ].join('\r\n')
+    );
+    ScheduleUtils.setCalendarEvents('/calendars/focus.ics', events);
+    const focus = {enabled: true, calendar: {path: '/calendars/focus.ics'}};
+    try {
+        assertEqual(ScheduleUtils.isScheduleActive(focus, utc(2026, 10, 19, 7, 30)), true);
+        assertEqual(ScheduleUtils.isScheduleActive(focus, utc(2026, 10, 20, 7, 30)), false, 'excluded instance');
+
+        setTimeZone('America/New_York');
+        assertEqual(ScheduleUtils.isScheduleActive(focus, utc(2026, 10, 19, 7, 30)), false);
+        assertEqual(ScheduleUtils.isScheduleActive(focus, utc(2026, 10, 19, 13, 30)), true);
+        assertEqual(ScheduleUtils.isScheduleActive(focus, utc(2026, 10, 20, 13, 30)), false, 'excluded instance');
+    } finally {
+        ScheduleUtils.setCalendarEvents('/calendars/focus.ics', null);
+        setTimeZone('Europe/Berlin');
+    }
+});
+
+test('a schedule with several windows is active during each of them', () => {
+    const split = {
+        enabled: true,
+        windows: [
+            {days: [1, 2, 3, 4, 5], startTime: '08:00', endTime: '12:00'},
+            {days: [1, 2, 3, 4, 5], startTime: '13:00', endTime: '17:00'},
+            {days: [6, 7], startTime: '22:00', endTime: '02:00'},
+        ],
+    };
+    assertEqual(ScheduleUtils.getActiveScheduleWindow(split, at(2026, 10, 19, 9))?.endTime, '12:00');
+    assertEqual(ScheduleUtils.isScheduleActive(split, at(2026, 10, 19, 12, 30)), false);
+    assertEqual(ScheduleUtils.getScheduleEndTimeToday(split, at(2026, 10, 19, 14)), '17:00');
+    // Sunday night's window runs into Monday morning
+    assertEqual(ScheduleUtils.getScheduleEndTimeToday(split, at(2026, 10, 19, 1)), '02:00');
+
+    // The nearest boundary of any window
+    assertEqual(hoursUntilBoundary(split, at(2026, 10, 19, 12, 30)), 0.5);
+    assertEqual(hoursUntilBoundary(split, at(2026, 10, 23, 18)), 28);
+});
+
+test('schedules overlap when any of their windows do', () => {
+    const workday = {
+        enabled: true,
+        windows: [
+            {days: [1, 2, 3, 4, 5], startTime: '08:00', endTime: '12:00'},
+            {days: [1, 2, 3, 4, 5], startTime: '13:00', endTime: '17:00'},
+        ],
+    };
+    assertEqual(ScheduleUtils.schedulesOverlap(workday, schedule([1, 2, 3, 4, 5], '12:00', '13:00')), false);
+    assertEqual(ScheduleUtils.findScheduleOverlap(workday, schedule([3], '16:00', '09:00')), {day: 3, time: '16:00'});
+    assertEqual(ScheduleUtils.findScheduleOverlap(workday, schedule([7], '23:00', '08:30')), {day: 1, time: '08:00'});
+});
+
+test('sunrise and sunset resolve for the day at the set location', () => {
+    try {
+        setLocation(BERLIN);
+        assertEqual(ScheduleUtils.resolveTime('sunrise', at(2026, 6, 21, 12)), '04:43');
+        assertEqual(ScheduleUtils.resolveTime('sunset', at(2026, 6, 21, 12)), '21:33');
+        assertEqual(ScheduleUtils.resolveTime('sunset-00:30', at(2026, 12, 21, 12)), '15:24');
+        assertEqual(ScheduleUtils.resolveTime('sunrise+01:00', at(2026, 12, 21, 12)), '09:15');
+    } finally {
+        setLocation(null);
+    }
+});
+
+test('a night window between sunset and sunrise', () => {
+    const night = schedule([1, 2, 3, 4, 5, 6, 7], 'sunset', 'sunrise');
+    try {
+        setLocation(BERLIN);
+        assertEqual(hoursUntilBoundary(night, at(2026, 6, 21, 12)) * 60, 573);
+        assertEqual(ScheduleUtils.isScheduleActive(night, at(2026, 6, 21, 23)), true);
+        assertEqual(ScheduleUtils.getScheduleEndTimeToday(night, at(2026, 6, 21, 23)), '04:43');
+        assertEqual(ScheduleUtils.getScheduleEndTimeToday(night, at(2026, 12, 22, 7)), '08:15');
+    } finally {
+        setLocation(null);
+    }
+});
+
+test('where the sun does not set or rise, days keep a short night or day', () => {
+    const daytime = schedule([1, 2, 3, 4, 5, 6, 7], 'sunrise', 'sunset');
+    try {
+        setLocation({latitude: 69.65, longitude: 18.96});
+        assertEqual(ScheduleUtils.isScheduleActive(daytime, at(2026, 6, 21, 12)), true);
+        assertEqual(ScheduleUtils.isScheduleActive(daytime, at(2026, 12, 21, 8)), false);
+        assertEqual(ScheduleUtils.resolveTime('sunrise', at(2026, 12, 21, 12)), '11:41');
+        assertEqual(ScheduleUtils.resolveTime('sunset', at(2026, 12, 21, 12)), '11:43');
+    } finally {
+        setLocation(null);
+    }
+});
+
+test('without a location, sunrise and sunset windows never match', () => {
+    const evening = schedule([1, 2, 3, 4, 5, 6, 7], 'sunset', '23:00');
+    assertEqual(ScheduleUtils.resolveTime('sunset', at(2026, 6, 21, 12)), null);
+    assertEqual(ScheduleUtils.isScheduleActive(evening, at(2026, 6, 21, 22)), false);
+    assertEqual(ScheduleUtils.secondsUntilNextBoundary(evening, at(2026, 6, 21, 12)), Infinity);
+});
+
+test('calendar schedules only overlap when they follow the same events', () => {
+    const calendar = (path, summary) => ({enabled: true, calendar: {path, summary}});
+    const work = calendar('/calendars/work.ics', 'Office');
+    assertEqual(ScheduleUtils.findScheduleOverlap(work, calendar('/calendars/work.ics', 'office')), {calendar: true});
+    assertEqual(ScheduleUtils.schedulesOverlap(work, calendar('/calendars/work.ics', '')), true);
+    assertEqual(ScheduleUtils.schedulesOverlap(work, calendar('/calendars/work.ics', 'Travel')), false);
+    assertEqual(ScheduleUtils.schedulesOverlap(work, calendar('/calendars/home.ics', 'Office')), false);
+    assertEqual(ScheduleUtils.schedulesOverlap(work, schedule([1, 2, 3, 4, 5], '09:00', '17:00')), false);
+});
+
+run();
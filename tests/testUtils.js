@@ -0,0 +1,53 @@
+/*
+ * Hara Hachi Bu - GNOME Shell Extension
+ * Copyright (C) 2024-2026 zvi
+ * SPDX-License-Identifier: GPL-3.0-or-later
+ *
+ * Minimal helpers for the unit tests in this directory, which run under gjs
+ * outside GNOME Shell (see `make test`). A test file registers its tests with
+ * test() and ends with run(), which exits with status 1 if any of them failed.
+ */
+'use strict';
+import System from 'system';
+
+const _tests = [];
+
+/**
+ * Register a test; fn fails the test by throwing
+ */
+export function test(name, fn) {
+    _tests.push({name, fn});
+}
+
+export function assert(condition, message = 'Assertion failed') {
+    if (!condition) throw new Error(message);
+}
+
+/**
+ * Assert that two values are equal, comparing objects and arrays by their JSON form
+ */
+export function assertEqual(actual, expected, message = '') {
+    const actualJson = JSON.stringify(actual);
+    const expectedJson = JSON.stringify(expected);
+    if (actualJson !== expectedJson)
+        throw new Error(`${message ? `${message}: ` : ''}expected ${expectedJson}, got ${actualJson}`);
+}
+
+/**
+ * Run the registered tests in order and report the results
+ */
+export function run() {
+    let failed = 0;
+    for (const {name, fn} of _tests) {
+        try {
+            fn();
+            print(`ok - ${name}`);
+        } catch (e) {
+            failed++;
+            printerr(`FAIL - ${name}: ${e.message}`);
+        }
+    }
+
+    print(`${_tests.length - failed} of ${_tests.length} tests passed`);
+    if (failed > 0) System.exit(1);
+}